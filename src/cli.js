@@ -0,0 +1,202 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { SpreadsheetEngine } from './lib/engine.js';
+import { loadScripts, formatScriptError } from './lib/scripts.js';
+import { createNodeSandbox } from './nodeSandbox.js';
+import { isCellError } from './lib/errors.js';
+import { cellKey, parseAbsoluteA1, splitCellKey, splitSheetRef } from './lib/address.js';
+
+// Headless workbook evaluation, e.g. in CI. See USAGE; bin/autosheet.js runs it.
+
+const USAGE = `Usage:
+  autosheet eval <workbook> [--sheet <name>] [--range <A1:D20>] [--format csv|json]
+  autosheet set <workbook> <cell> <value> [<cell> <value> ...] [--sheet <name>] [--out <file>]
+  autosheet recalc <workbook>
+
+Options:
+  --sheet <name>     Sheet for unqualified cells and ranges (default: the active sheet)
+  --range <range>    Range to print (default: the sheet's used range)
+  --format <format>  csv (default) or json
+  --out <file>       Where set writes the workbook (default: in place)
+  --script <file>    Also load custom functions from this script (repeatable)
+  --ai <module>      Module whose default export answers AI(prompt) calls
+
+eval prints computed values; set edits cells, saves the workbook and prints
+the recomputed cells; recalc prints every formula that evaluates to an
+error and fails if there is one.`;
+
+// Runs the CLI with `argv` (without node and the script path). Returns the
+// exit code: 0 on success, 1 if recalc found errors, 2 on usage errors.
+export async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        sheet: { type: 'string' },
+        range: { type: 'string' },
+        format: { type: 'string', default: 'csv' },
+        out: { type: 'string' },
+        script: { type: 'string', multiple: true, default: [] },
+        ai: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    io.stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { values: options, positionals } = parsed;
+  const [command, file, ...rest] = positionals;
+  if (options.help || !command) {
+    io.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    io.stderr.write(`Unknown command '${command}'\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (!file) {
+    io.stderr.write(`Missing workbook file\n\n${USAGE}\n`);
+    return 2;
+  }
+  const sandbox = createNodeSandbox();
+  try {
+    const engine = await openWorkbook(file, options, sandbox, io);
+    if (engine.sheets.size === 0) throw new Error('The workbook has no sheets');
+    const sheet = options.sheet ?? engine.workbook.activeSheet ?? engine.sheets.keys().next().value;
+    if (!engine.sheets.has(sheet)) throw new Error(`Sheet '${sheet}' does not exist`);
+    return await COMMANDS[command]({ engine, file, sheet, args: rest, options, io });
+  } catch (e) {
+    io.stderr.write(`autosheet: ${e.message}\n`);
+    return 1;
+  } finally {
+    sandbox.terminate();
+  }
+}
+
+const COMMANDS = {
+  async eval({ engine, sheet, options, io }) {
+    if (options.format !== 'csv' && options.format !== 'json') throw new Error(`Unknown format '${options.format}'`);
+    const range = options.range ?? engine.getUsedRange(sheet);
+    if (range) engine.getRange(sheet, range);
+    await engine.whenIdle();
+    const result = range ? engine.getRange(sheet, range) : { sheet, range: null, rows: [] };
+    const values = result.rows.map((row) => row.map((cell) => cell.computed));
+    if (options.format === 'json') {
+      io.stdout.write(`${JSON.stringify({ sheet: result.sheet, range: result.range, values: values.map((row) => row.map(toJsonValue)) }, null, 2)}\n`);
+    } else {
+      io.stdout.write(values.map((row) => row.map(toCsvCell).join(',')).join('\n') + (values.length ? '\n' : ''));
+    }
+    return 0;
+  },
+
+  async set({ engine, file, sheet, args, options, io }) {
+    if (args.length === 0 || args.length % 2 !== 0) throw new Error('set needs <cell> <value> pairs');
+    // Every cell is checked before any is edited, so a typo changes nothing
+    const edits = [];
+    for (let i = 0; i < args.length; i += 2) {
+      const { sheet: target, ref } = splitSheetRef(args[i]);
+      if (!parseAbsoluteA1(ref)) throw new Error(`Invalid cell '${args[i]}'`);
+      if (!engine.sheets.has(target ?? sheet)) throw new Error(`Sheet '${target}' does not exist`);
+      edits.push({ sheet: target ?? sheet, ref, value: parseInput(args[i + 1]) });
+    }
+    // Computing every formula first records the dependents the edits reach
+    for (const { sheet: formulaSheet, addr } of formulaCells(engine)) engine.evaluateCell(formulaSheet, addr);
+    const changed = new Set();
+    for (const edit of edits) {
+      for (const key of engine.setCell(edit.sheet, edit.ref, edit.value)) changed.add(key);
+    }
+    await engine.whenIdle();
+    const lines = [];
+    for (const key of changed) {
+      const { sheet: keySheet, addr } = splitCellKey(key);
+      lines.push(`${key}\t${toCsvCell(engine.evaluateCell(keySheet, addr))}\n`);
+    }
+    await writeFile(options.out ?? file, `${JSON.stringify(engine.toJSON(), null, 2)}\n`);
+    io.stdout.write(lines.join(''));
+    return 0;
+  },
+
+  async recalc({ engine, io }) {
+    const formulas = formulaCells(engine);
+    for (const { sheet, addr } of formulas) engine.evaluateCell(sheet, addr);
+    await engine.whenIdle();
+    let errors = 0;
+    for (const { sheet, addr } of formulas) {
+      const value = engine.evaluateCell(sheet, addr);
+      if (!isCellError(value)) continue;
+      errors++;
+      io.stdout.write(`${cellKey(sheet, addr)}\t${value.code}${value.message ? `\t${value.message}` : ''}\n`);
+    }
+    io.stderr.write(`${formulas.length} formula${formulas.length === 1 ? '' : 's'}, ${errors} error${errors === 1 ? '' : 's'}\n`);
+    return errors > 0 ? 1 : 0;
+  },
+};
+
+function formulaCells(engine) {
+  const formulas = [];
+  for (const [sheet, cells] of engine.sheets) {
+    for (const [addr, raw] of cells) {
+      if (typeof raw === 'string' && raw.startsWith('=')) formulas.push({ sheet, addr });
+    }
+  }
+  return formulas;
+}
+
+// Scripts run in `sandbox`, so one stuck in a loop ends in #TIMEOUT!
+async function openWorkbook(file, options, sandbox, io) {
+  const engine = SpreadsheetEngine.fromJSON(await readFile(file, 'utf8'));
+  const scripts = [...engine.workbook.scripts];
+  for (const scriptFile of options.script) {
+    scripts.push({ name: scriptFile, content: await readFile(scriptFile, 'utf8') });
+  }
+  // As in the app, a broken script only loses its own functions
+  for (const error of loadScripts(engine, scripts, { sandbox }).errors) {
+    io.stderr.write(`autosheet: script error: ${formatScriptError(error)}\n`);
+  }
+  // Logs would mix with the values printed on stdout
+  engine.onLog = ({ sheet, address, function: name, values }) => {
+    io.stderr.write(`autosheet: ${sheet ? `${cellKey(sheet, address)} ` : ''}${name}: ${values.map(formatLogValue).join(' ')}\n`);
+  };
+  if (options.ai) {
+    const module = await import(pathToFileURL(resolve(options.ai)).href);
+    if (typeof module.default !== 'function') throw new Error(`${options.ai} must export a default function`);
+    engine.setAiFetcher(module.default);
+  } else {
+    engine.setAiFetcher(() => {
+      throw new Error('AI() is not available; pass --ai <module>');
+    });
+  }
+  return engine;
+}
+
+function formatLogValue(value) {
+  if (isCellError(value)) return value.code;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Command-line values: formulas and text as given, numbers and booleans parsed.
+function parseInput(text) {
+  if (text === '') return '';
+  if (/^(TRUE|FALSE)$/i.test(text)) return text.toUpperCase() === 'TRUE';
+  const n = Number(text);
+  return Number.isFinite(n) && !text.startsWith('=') ? n : text;
+}
+
+function toJsonValue(value) {
+  if (isCellError(value)) return { error: value.code, message: value.message };
+  return value ?? null;
+}
+
+function toCsvCell(value) {
+  let s;
+  if (value == null) s = '';
+  else if (isCellError(value)) s = value.code;
+  else if (typeof value === 'boolean') s = value ? 'TRUE' : 'FALSE';
+  else s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -1,5 +1,11 @@
 export { SpreadsheetEngine } from './lib/engine.js';
 export { registerBuiltins } from './lib/builtins/index.js';
-export { getBuiltinFunctionNames } from './lib/registry.js';
+export { getBuiltinFunctionNames, formatSignature } from './lib/registry.js';
 
 
+export { isValidSheetName, quoteSheetName, splitSheetRef } from './lib/address.js';
+export { dateToSerial, serialToDate, parseDateInput, formatSerial } from './lib/dates.js';
+export { WORKBOOK_VERSION, migrateWorkbook } from './lib/workbook.js';
+export { loadScripts, formatScriptError } from './lib/scripts.js';
+export { createEngineHost, MIRRORED_METHODS } from './lib/host.js';
+export { createSandbox, serveSandbox, SANDBOX_GLOBALS } from './lib/sandbox.js';
@@ -0,0 +1,211 @@
+// A1 address utilities shared by the engine, dependency graph and built-ins.
+
+export function a1ToRowCol(a1) {
+  const m = parseAbsoluteA1(a1);
+  if (!m) throw new Error('Invalid A1 ref: ' + a1);
+  const colStr = m.col.toUpperCase();
+  const row = parseInt(m.row, 10);
+  let col = 0;
+  for (let i = 0; i < colStr.length; i++) {
+    col = col * 26 + (colStr.charCodeAt(i) - 64);
+  }
+  return { row, col };
+}
+
+export function rowColToA1(row, col) {
+  return `${columnLabel(col)}${row}`;
+}
+
+// 1 -> A, 26 -> Z, 27 -> AA
+export function columnLabel(col) {
+  let c = col;
+  let colStr = '';
+  while (c > 0) {
+    const rem = (c - 1) % 26;
+    colStr = String.fromCharCode(65 + rem) + colStr;
+    c = Math.floor((c - 1) / 26);
+  }
+  return colStr;
+}
+
+export function expandRange(startA1, endA1) {
+  const { rowsMin, rowsMax, colsMin, colsMax } = rangeBounds(startA1, endA1);
+  const out = [];
+  for (let r = rowsMin; r <= rowsMax; r++) {
+    for (let c = colsMin; c <= colsMax; c++) {
+      out.push(rowColToA1(r, c));
+    }
+  }
+  return out;
+}
+
+// Numeric bounds of the rectangle spanned by two corner cells, in any order.
+export function rangeBounds(startA1, endA1) {
+  const { row: r1, col: c1 } = a1ToRowCol(startA1);
+  const { row: r2, col: c2 } = a1ToRowCol(endA1);
+  return {
+    rowsMin: Math.min(r1, r2),
+    rowsMax: Math.max(r1, r2),
+    colsMin: Math.min(c1, c2),
+    colsMax: Math.max(c1, c2),
+  };
+}
+
+export function parseAbsoluteA1(a1) {
+  // Supports optional $ for column and/or row
+  const match = /^(\$?)([A-Za-z]+)(\$?)(\d+)$/.exec(a1);
+  if (!match) return null;
+  const [, colAbs, col, rowAbs, row] = match;
+  return { colAbs: !!colAbs, col, rowAbs: !!rowAbs, row };
+}
+
+export function normalizeAddress(address, defaultSheet) {
+  // Handle sheet-qualified refs like Sheet1!A1 or 'My Sheet'!A1
+  const { sheet, ref } = splitSheetRef(address);
+  const abs = parseAbsoluteA1(ref);
+  if (!abs) throw new Error('Invalid A1: ' + ref);
+  return { sheet: sheet === null ? defaultSheet : sheet, addr: `${abs.col.toUpperCase()}${parseInt(abs.row, 10)}` };
+}
+
+export function qualifyIfNeeded(address, defaultSheet) {
+  if (address.includes('!')) return address;
+  return `${defaultSheet}!${address}`;
+}
+
+// Parses ranges like "A1:C3", "Sheet1!A1:C3" or "'Q1 Sales'!A1:C3", as well
+// as whole columns/rows ("A:A", "3:3") and open-ended columns ("A2:A").
+// Returns normalized sheet name and numeric bounds for iteration; unbounded
+// sides are Infinity (see clipBounds).
+export function parseRangeRef(rangeStr, defaultSheet) {
+  const input = String(rangeStr).trim();
+  if (!input) throw new Error('Missing range');
+
+  const { sheet: qualified, ref } = splitSheetRef(input);
+  const sheet = qualified === null ? defaultSheet : qualified;
+  const parts = ref.split(':');
+  if (parts.length !== 2) throw new Error('Invalid range (expected A1:B2)');
+  const start = parts[0].trim().replace(/\$/g, '').toUpperCase();
+  const end = parts[1].trim().replace(/\$/g, '').toUpperCase();
+
+  return { sheet, start, end, ...openRangeBounds(start, end) };
+}
+
+// Parses one end of a range: a cell ("$A$1"), a column ("A") or a row ("3").
+// Missing parts are null.
+export function parseRangePart(part) {
+  const match = /^(\$?)([A-Za-z]*)(\$?)(\d*)$/.exec(part);
+  if (!match || (!match[2] && !match[4])) return null;
+  const [, first, colStr, second, rowStr] = match;
+  // With no column ("$3"), the first $ belongs to the row
+  if (!colStr && first && second) return null;
+  const row = rowStr ? parseInt(rowStr, 10) : null;
+  if (row === 0) return null;
+  return {
+    colAbs: !!colStr && !!first,
+    col: colStr ? a1ToRowCol(`${colStr}1`).col : null,
+    rowAbs: row !== null && (!!second || (!colStr && !!first)),
+    row,
+  };
+}
+
+// Bounds of cell:cell, column:column ("A:C"), row:row ("2:5") and open-ended
+// cell:column ("A2:C") ranges. Whole columns and open ends run to row
+// Infinity; whole rows run to column Infinity.
+export function openRangeBounds(startRef, endRef) {
+  const a = parseRangePart(startRef);
+  const b = parseRangePart(endRef);
+  if (!a || !b) throw new Error(`Invalid range: ${startRef}:${endRef}`);
+  const isCell = (p) => p.col !== null && p.row !== null;
+  const isCol = (p) => p.col !== null && p.row === null;
+  const isRow = (p) => p.col === null && p.row !== null;
+  if (isCell(a) && isCell(b)) {
+    return {
+      rowsMin: Math.min(a.row, b.row),
+      rowsMax: Math.max(a.row, b.row),
+      colsMin: Math.min(a.col, b.col),
+      colsMax: Math.max(a.col, b.col),
+    };
+  }
+  if ((isCol(a) || isCell(a)) && isCol(b)) {
+    return {
+      rowsMin: isCell(a) ? a.row : 1,
+      rowsMax: Infinity,
+      colsMin: Math.min(a.col, b.col),
+      colsMax: Math.max(a.col, b.col),
+    };
+  }
+  if (isRow(a) && isRow(b)) {
+    return { rowsMin: Math.min(a.row, b.row), rowsMax: Math.max(a.row, b.row), colsMin: 1, colsMax: Infinity };
+  }
+  throw new Error(`Invalid range: ${startRef}:${endRef}`);
+}
+
+// Limits the unbounded sides of a range to a sheet's used extent
+// ({ rows, cols }: the last used row and column).
+export function clipBounds(bounds, used) {
+  return {
+    ...bounds,
+    rowsMax: bounds.rowsMax === Infinity ? used.rows : bounds.rowsMax,
+    colsMax: bounds.colsMax === Infinity ? used.cols : bounds.colsMax,
+  };
+}
+
+// ===== Sheet names =====
+// Names follow Excel's rules: 1-31 characters, none of \ / ? * [ ] :, and no
+// leading or trailing apostrophe. Names other than letters, digits and
+// underscores must be quoted in formulas: 'Q1 Sales'!A1, with ' doubled. So
+// must names that would read as a number, cell reference or boolean: '2024'!A1.
+
+export function isValidSheetName(name) {
+  if (typeof name !== 'string') return false;
+  if (name.length === 0 || name.length > 31 || name.trim() !== name) return false;
+  if (/[\\/?*[\]:]/.test(name)) return false;
+  return !name.startsWith("'") && !name.endsWith("'");
+}
+
+export function quoteSheetName(name) {
+  const plain = /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !isCellRef(name) && !/^(TRUE|FALSE)$/i.test(name);
+  if (plain) return name;
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+export function unquoteSheetName(name) {
+  const s = String(name).trim();
+  if (s.length >= 2 && s.startsWith("'") && s.endsWith("'")) return s.slice(1, -1).replace(/''/g, "'");
+  return s;
+}
+
+// Splits "Sheet1!A1" / "'My Sheet'!A1:B2" into { sheet, ref }; sheet is null
+// when unqualified. Splits at the last "!" since quoted names may contain one.
+export function splitSheetRef(input) {
+  const s = String(input);
+  const idx = s.lastIndexOf('!');
+  if (idx === -1) return { sheet: null, ref: s.trim() };
+  return { sheet: unquoteSheetName(s.slice(0, idx)), ref: s.slice(idx + 1).trim() };
+}
+
+// ===== Defined names =====
+// Identifiers usable as function and defined names
+export const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+// Cells go up to column XFD as in Excel, so words like Sales2024 are names.
+export function isCellRef(word) {
+  const m = /^\$?([A-Za-z]{1,3})\$?\d+$/.exec(word);
+  return !!m && (m[1].length < 3 || m[1].toUpperCase() <= 'XFD');
+}
+
+export function isValidDefinedName(name) {
+  if (typeof name !== 'string' || name.length > 255 || !NAME_PATTERN.test(name)) return false;
+  const upper = name.toUpperCase();
+  return upper !== 'TRUE' && upper !== 'FALSE' && !isCellRef(name);
+}
+
+// Cell keys identify a cell across the workbook: "Sheet1!A1".
+export function cellKey(sheetName, addr) {
+  return `${sheetName}!${addr}`;
+}
+
+export function splitCellKey(key) {
+  const idx = key.lastIndexOf('!');
+  return { sheet: key.slice(0, idx), addr: key.slice(idx + 1) };
+}
@@ -0,0 +1,216 @@
+import { ensureArray, flattenArgsToValues, firstError } from './utils.js';
+import { ERROR, err, isCellError } from '../errors.js';
+import {
+  MAX_SERIAL,
+  dateToSerial,
+  serialToDate,
+  dayOfWeek,
+  daysInMonth,
+  serialFromJsDate,
+  parseDateInput,
+} from '../dates.js';
+
+// Date and time functions over 1900-system serials (see ../dates.js).
+export function registerDateBuiltins(registry) {
+  registry.register('TODAY', () => serialFromJsDate(new Date(), false), {
+    description: "Today's date.",
+    params: '',
+    returns: 'date',
+    examples: ['TODAY()'],
+    volatile: true,
+  });
+
+  registry.register('NOW', () => serialFromJsDate(new Date()), {
+    description: 'The current date and time.',
+    params: '',
+    returns: 'date',
+    examples: ['NOW()'],
+    volatile: true,
+  });
+
+  registry.register('DATE', (args) => {
+    const parts = ensureArray(args, 3).map(toInteger);
+    const error = firstError(parts);
+    if (error) return error;
+    const [y, month, day] = parts;
+    // As in Excel, years 0-1899 count from 1900
+    const year = y >= 0 && y < 1900 ? y + 1900 : y;
+    if (year < 0 || year > 9999) return err(ERROR.NUM, 'DATE: year must be between 0 and 9999');
+    return checkSerial(dateToSerial(year, month, day));
+  }, {
+    description: 'The date of a year, month and day; months and days past the end roll over.',
+    params: 'year: number, month: number, day: number',
+    returns: 'date',
+    examples: ['DATE(2026, 10, 19)'],
+  });
+
+  registry.register('YEAR', (args) => datePart(args[0], (d) => d.year), {
+    description: 'The year of a date.',
+    params: 'date: date',
+    returns: 'number',
+    examples: ['YEAR(A1)'],
+  });
+
+  registry.register('MONTH', (args) => datePart(args[0], (d) => d.month), {
+    description: 'The month of a date, 1 to 12.',
+    params: 'date: date',
+    returns: 'number',
+    examples: ['MONTH(A1)'],
+  });
+
+  registry.register('DAY', (args) => datePart(args[0], (d) => d.day), {
+    description: 'The day of the month of a date.',
+    params: 'date: date',
+    returns: 'number',
+    examples: ['DAY(A1)'],
+  });
+
+  registry.register('EDATE', (args) => {
+    const [start, months] = ensureArray(args, 2);
+    const serial = toSerial(start);
+    if (isCellError(serial)) return serial;
+    const n = toInteger(months);
+    if (isCellError(n)) return n;
+    const { year, month, day } = serialToDate(serial);
+    // The same day n months later, or that month's last day if it is shorter
+    const first = serialToDate(dateToSerial(year, month + n, 1));
+    return checkSerial(dateToSerial(first.year, first.month, Math.min(day, daysInMonth(first.year, first.month))));
+  }, {
+    description: 'The date the given number of months from the start date.',
+    params: 'startDate: date, months: number',
+    returns: 'date',
+    examples: ['EDATE(A1, 3)'],
+  });
+
+  registry.register('EOMONTH', (args) => {
+    const [start, months] = ensureArray(args, 2);
+    const serial = toSerial(start);
+    if (isCellError(serial)) return serial;
+    const n = toInteger(months);
+    if (isCellError(n)) return n;
+    const { year, month } = serialToDate(serial);
+    return checkSerial(dateToSerial(year, month + n + 1, 0));
+  }, {
+    description: 'The last day of the month the given number of months from the start date.',
+    params: 'startDate: date, months: number',
+    returns: 'date',
+    examples: ['EOMONTH(A1, 0)'],
+  });
+
+  registry.register('DATEDIF', (args) => {
+    const [startArg, endArg, unitArg] = ensureArray(args, 3);
+    const start = toSerial(startArg);
+    if (isCellError(start)) return start;
+    const end = toSerial(endArg);
+    if (isCellError(end)) return end;
+    if (isCellError(unitArg)) return unitArg;
+    if (start > end) return err(ERROR.NUM, 'DATEDIF: start date is after end date');
+    const a = serialToDate(start);
+    const b = serialToDate(end);
+    let months = (b.year - a.year) * 12 + (b.month - a.month);
+    if (b.day < a.day) months -= 1;
+    switch (String(unitArg ?? '').toUpperCase()) {
+      case 'D': return end - start;
+      case 'M': return months;
+      case 'Y': return Math.floor(months / 12);
+      case 'YM': return months % 12;
+      case 'MD': return b.day >= a.day ? b.day - a.day : daysInMonth(b.year, b.month - 1) - a.day + b.day;
+      case 'YD': {
+        // Days since the last anniversary of the start date
+        let anniversary = dateToSerial(b.year, a.month, a.day);
+        if (anniversary > end) anniversary = dateToSerial(b.year - 1, a.month, a.day);
+        return end - anniversary;
+      }
+      default: return err(ERROR.NUM, `DATEDIF: unknown unit ${unitArg}`);
+    }
+  }, {
+    description: 'The time between two dates in a unit: Y, M, D, YM, MD or YD.',
+    params: 'startDate: date, endDate: date, unit: text',
+    returns: 'number',
+    examples: ['DATEDIF(A1, B1, "M")'],
+  });
+
+  registry.register('NETWORKDAYS', (args) => {
+    const [startArg, endArg, holidays] = ensureArray(args, 3);
+    const start = toSerial(startArg);
+    if (isCellError(start)) return start;
+    const end = toSerial(endArg);
+    if (isCellError(end)) return end;
+    const skip = new Set();
+    for (const h of flattenArgsToValues(holidays === undefined ? [] : [holidays])) {
+      if (h == null || h === '') continue;
+      const serial = toSerial(h);
+      if (isCellError(serial)) return serial;
+      skip.add(serial);
+    }
+    // Counts Monday-Friday in either direction, like Excel
+    const sign = start <= end ? 1 : -1;
+    let count = 0;
+    for (let d = Math.min(start, end); d <= Math.max(start, end); d++) {
+      const dow = dayOfWeek(d);
+      if (dow !== 0 && dow !== 6 && !skip.has(d)) count++;
+    }
+    return sign * count;
+  }, {
+    description: 'The number of weekdays from the start to the end date, less holidays.',
+    params: 'startDate: date, endDate: date, [holidays]: range',
+    returns: 'number',
+    examples: ['NETWORKDAYS(A1, B1)'],
+  });
+
+  registry.register('WEEKDAY', (args) => {
+    const [date, typeArg] = ensureArray(args, 2);
+    const serial = toSerial(date);
+    if (isCellError(serial)) return serial;
+    const type = typeArg == null ? 1 : toInteger(typeArg);
+    if (isCellError(type)) return type;
+    const dow = dayOfWeek(serial);
+    // Type 1: Sunday is 1; 2: Monday is 1; 3: Monday is 0; 11-17: Monday..Sunday is 1
+    if (type === 1) return dow + 1;
+    if (type === 2) return ((dow + 6) % 7) + 1;
+    if (type === 3) return (dow + 6) % 7;
+    if (type >= 11 && type <= 17) return ((dow - ((type - 10) % 7) + 7) % 7) + 1;
+    return err(ERROR.NUM, `WEEKDAY: unknown return type ${typeArg}`);
+  }, {
+    description: 'The day of the week of a date: by default 1 for Sunday to 7 for Saturday.',
+    params: 'date: date, [type]: number',
+    returns: 'number',
+    examples: ['WEEKDAY(A1, 2)'],
+  });
+}
+
+// Date arguments are serials or date text like "2026-10-19"; like Excel the
+// time of day is dropped.
+function toSerial(value) {
+  if (isCellError(value)) return value;
+  let serial;
+  if (typeof value === 'number') serial = value;
+  else if (value == null || value === '') serial = 0;
+  else if (typeof value === 'boolean') serial = Number(value);
+  else {
+    const parsed = parseDateInput(value);
+    serial = parsed ? parsed.serial : Number(value);
+  }
+  if (!Number.isFinite(serial)) return err(ERROR.VALUE, `Not a date: ${value}`);
+  serial = Math.floor(serial);
+  if (serial < 0 || serial > MAX_SERIAL) return err(ERROR.NUM, `Date out of range: ${value}`);
+  return serial;
+}
+
+function toInteger(value) {
+  if (isCellError(value)) return value;
+  const n = value == null || value === '' ? 0 : Number(value);
+  if (!Number.isFinite(n)) return err(ERROR.VALUE, `Not a number: ${value}`);
+  return Math.trunc(n);
+}
+
+function datePart(value, pick) {
+  const serial = toSerial(value);
+  if (isCellError(serial)) return serial;
+  return pick(serialToDate(serial));
+}
+
+function checkSerial(serial) {
+  if (serial < 0 || serial > MAX_SERIAL) return err(ERROR.NUM, 'Date out of range');
+  return serial;
+}
@@ -1,111 +1,368 @@
-import { flattenArgsToValues, coerceToNumberArray, truthy, ensureArray } from './utils.js';
+import { flattenArgsToValues, truthy, ensureArray, toMatrix, resolveArg, firstError, numbersOrError } from './utils.js';
 import { ERROR, err, isCellError } from '../errors.js';
+import { registerDateBuiltins } from './dates.js';
 
 export function registerBuiltins(registry) {
   // Math/aggregate
   registry.register('SUM', (args) => {
-    const values = coerceToNumberArray(flattenArgsToValues(args));
+    const values = numbersOrError(args);
+    if (isCellError(values)) return values;
     return values.reduce((a, b) => a + b, 0);
+  }, {
+    description: 'Adds numbers and the numbers in ranges.',
+    params: '...values: number',
+    returns: 'number',
+    examples: ['SUM(A1:A10)', 'SUM(A1, B2:B5, 10)'],
   });
 
   registry.register('AVERAGE', (args) => {
-    const values = coerceToNumberArray(flattenArgsToValues(args));
+    const values = numbersOrError(args);
+    if (isCellError(values)) return values;
     if (values.length === 0) return 0;
     return values.reduce((a, b) => a + b, 0) / values.length;
+  }, {
+    description: 'Averages numbers and the numbers in ranges.',
+    params: '...values: number',
+    returns: 'number',
+    examples: ['AVERAGE(B2:B20)'],
   });
 
   registry.register('MIN', (args) => {
-    const values = coerceToNumberArray(flattenArgsToValues(args));
+    const values = numbersOrError(args);
+    if (isCellError(values)) return values;
     if (values.length === 0) return 0;
     return Math.min(...values);
+  }, {
+    description: 'The smallest of the numbers.',
+    params: '...values: number',
+    returns: 'number',
+    examples: ['MIN(A1:A10)'],
   });
 
   registry.register('MAX', (args) => {
-    const values = coerceToNumberArray(flattenArgsToValues(args));
+    const values = numbersOrError(args);
+    if (isCellError(values)) return values;
     if (values.length === 0) return 0;
     return Math.max(...values);
+  }, {
+    description: 'The largest of the numbers.',
+    params: '...values: number',
+    returns: 'number',
+    examples: ['MAX(A1:A10)'],
+  });
+
+  registry.register('RAND', () => Math.random(), {
+    description: 'A random number from 0 up to 1.',
+    params: '',
+    returns: 'number',
+    examples: ['RAND()'],
+    volatile: true,
+  });
+
+  registry.register('RANDBETWEEN', (args) => {
+    const [bottom, top] = ensureArray(args, 2);
+    if (isCellError(bottom) || isCellError(top)) return firstError([bottom, top]);
+    const lo = Math.ceil(Number(bottom));
+    const hi = Math.floor(Number(top));
+    if (!Number.isFinite(lo) || !Number.isFinite(hi)) return err(ERROR.VALUE, 'RANDBETWEEN expects numbers');
+    if (lo > hi) return err(ERROR.NUM, 'RANDBETWEEN: bottom is greater than top');
+    return lo + Math.floor(Math.random() * (hi - lo + 1));
+  }, {
+    description: 'A random integer from bottom to top.',
+    params: 'bottom: number, top: number',
+    returns: 'number',
+    examples: ['RANDBETWEEN(1, 6)'],
+    volatile: true,
   });
 
   registry.register('COUNT', (args) => {
     const values = flattenArgsToValues(args);
-    // COUNT counts numbers only (like Sheets)
+    // COUNT counts numbers only (like Sheets); errors are not counted
     return values.filter((v) => typeof v === 'number' && Number.isFinite(v)).length;
+  }, {
+    description: 'Counts the numbers among the values.',
+    params: '...values: any',
+    returns: 'number',
+    examples: ['COUNT(A1:A10)'],
   });
 
   registry.register('COUNTA', (args) => {
     const values = flattenArgsToValues(args);
     return values.filter((v) => v !== null && v !== undefined && v !== '').length;
+  }, {
+    description: 'Counts the values that are not blank.',
+    params: '...values: any',
+    returns: 'number',
+    examples: ['COUNTA(A1:A10)'],
   });
 
-  // Logical
+  // Logical (lazy: untaken branches are never evaluated)
   registry.register('IF', (args) => {
     const [cond, thenVal, elseVal] = ensureArray(args, 3);
-    return truthy(cond) ? thenVal : elseVal;
+    const condition = resolveArg(cond);
+    if (isCellError(condition)) return condition;
+    return truthy(condition) ? resolveArg(thenVal) : resolveArg(elseVal);
+  }, {
+    description: 'One value if the condition is true, another if it is false.',
+    params: 'condition: boolean, valueIfTrue: any, [valueIfFalse]: any',
+    examples: ['IF(A1>10, "high", "low")'],
+    lazy: true,
+  });
+
+  registry.register('IFS', (args) => {
+    for (let i = 0; i + 1 < args.length; i += 2) {
+      const condition = resolveArg(args[i]);
+      if (isCellError(condition)) return condition;
+      if (truthy(condition)) return resolveArg(args[i + 1]);
+    }
+    return err(ERROR.NA, 'IFS: no condition was true');
+  }, {
+    description: 'The value paired with the first true condition.',
+    params: 'condition: boolean, value: any, ...[more]: any',
+    examples: ['IFS(A1>90, "A", A1>80, "B", TRUE, "C")'],
+    lazy: true,
+  });
+
+  registry.register('SWITCH', (args) => {
+    const value = resolveArg(args[0]);
+    if (isCellError(value)) return value;
+    let i = 1;
+    for (; i + 1 < args.length; i += 2) {
+      if (equals(value, resolveArg(args[i]))) return resolveArg(args[i + 1]);
+    }
+    // A trailing unpaired argument is the default
+    if (i < args.length) return resolveArg(args[i]);
+    return err(ERROR.NA, 'SWITCH: no match');
+  }, {
+    description: 'The value paired with the first case equal to the expression, or the trailing default.',
+    params: 'expression: any, case: any, value: any, ...[more]: any',
+    examples: ['SWITCH(A1, 1, "one", 2, "two", "other")'],
+    lazy: true,
+  });
+
+  registry.register('CHOOSE', (args) => {
+    const selector = resolveArg(args[0]);
+    if (isCellError(selector)) return selector;
+    const index = Number(selector);
+    if (!Number.isInteger(index) || index < 1 || index >= args.length) return err(ERROR.VALUE, 'CHOOSE index out of range');
+    return resolveArg(args[index]);
+  }, {
+    description: 'The choice at the index, counting from 1.',
+    params: 'index: number, choice: any, ...[choices]: any',
+    examples: ['CHOOSE(2, "a", "b", "c")'],
+    lazy: true,
+  });
+
+  registry.register('IFERROR', (args) => {
+    const [value, valueIfError] = ensureArray(args, 2);
+    const v = resolveArg(value);
+    return isCellError(v) ? resolveArg(valueIfError) : v;
+  }, {
+    description: 'The value, or valueIfError if it is an error.',
+    params: 'value: any, valueIfError: any',
+    examples: ['IFERROR(A1/B1, 0)'],
+    lazy: true,
+  });
+
+  registry.register('IFNA', (args) => {
+    const [value, valueIfNa] = ensureArray(args, 2);
+    const v = resolveArg(value);
+    return isCellError(v) && v.code === ERROR.NA ? resolveArg(valueIfNa) : v;
+  }, {
+    description: 'The value, or valueIfNa if it is #N/A.',
+    params: 'value: any, valueIfNa: any',
+    examples: ['IFNA(MATCH(A1, B:B, 0), "missing")'],
+    lazy: true,
+  });
+
+  // Error checks (applied per element to ranges and arrays)
+  registry.register('ISERROR', (args) => mapValues(args[0], (v) => isCellError(v)), {
+    description: 'Whether the value is an error.',
+    params: 'value: any',
+    returns: 'boolean',
+    examples: ['ISERROR(A1)'],
+  });
+
+  registry.register('ISERR', (args) => mapValues(args[0], (v) => isCellError(v) && v.code !== ERROR.NA), {
+    description: 'Whether the value is an error other than #N/A.',
+    params: 'value: any',
+    returns: 'boolean',
+    examples: ['ISERR(A1)'],
+  });
+
+  registry.register('ISNA', (args) => mapValues(args[0], (v) => isCellError(v) && v.code === ERROR.NA), {
+    description: 'Whether the value is #N/A.',
+    params: 'value: any',
+    returns: 'boolean',
+    examples: ['ISNA(A1)'],
+  });
+
+  registry.register('NA', () => err(ERROR.NA, 'No value available'), {
+    description: 'The #N/A error, to mark a value as missing.',
+    params: '',
+    examples: ['IF(A1="", NA(), A1)'],
+  });
+
+  registry.register('ERROR.TYPE', (args) => {
+    const [v] = ensureArray(args, 1);
+    if (!isCellError(v)) return err(ERROR.NA, 'ERROR.TYPE expects an error value');
+    return ERROR_TYPES[v.code] ?? err(ERROR.NA, `${v.code} has no error type number`);
+  }, {
+    description: 'The number of an error value, e.g. 2 for #DIV/0!.',
+    params: 'error: any',
+    returns: 'number',
+    examples: ['ERROR.TYPE(A1)'],
   });
 
   registry.register('AND', (args) => {
-    for (const a of flattenArgsToValues(args)) {
-      if (!truthy(a)) return false;
+    for (const arg of args) {
+      for (const a of flattenArgsToValues([resolveArg(arg)])) {
+        if (isCellError(a)) return a;
+        if (!truthy(a)) return false;
+      }
     }
     return true;
+  }, {
+    description: 'Whether all the values are true.',
+    params: 'logical: boolean, ...[logicals]: boolean',
+    returns: 'boolean',
+    examples: ['AND(A1>0, B1>0)'],
+    lazy: true,
   });
 
   registry.register('OR', (args) => {
-    for (const a of flattenArgsToValues(args)) {
-      if (truthy(a)) return true;
+    for (const arg of args) {
+      for (const a of flattenArgsToValues([resolveArg(arg)])) {
+        if (isCellError(a)) return a;
+        if (truthy(a)) return true;
+      }
     }
     return false;
+  }, {
+    description: 'Whether any of the values is true.',
+    params: 'logical: boolean, ...[logicals]: boolean',
+    returns: 'boolean',
+    examples: ['OR(A1>0, B1>0)'],
+    lazy: true,
   });
 
   registry.register('NOT', (args) => {
     const [val] = ensureArray(args, 1);
+    if (isCellError(val)) return val;
     return !truthy(val);
+  }, {
+    description: 'The opposite of a logical value.',
+    params: 'logical: boolean',
+    returns: 'boolean',
+    examples: ['NOT(A1)'],
   });
 
   // Comparison helpers (equal, gt, etc.)
   registry.register('EQ', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a === b;
+  }, {
+    description: 'Whether a equals b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['EQ(A1, B1)'],
   });
   registry.register('NE', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a !== b;
+  }, {
+    description: 'Whether a differs from b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['NE(A1, B1)'],
   });
   registry.register('GT', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a > b;
+  }, {
+    description: 'Whether a is greater than b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['GT(A1, B1)'],
   });
   registry.register('GTE', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a >= b;
+  }, {
+    description: 'Whether a is greater than or equal to b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['GTE(A1, B1)'],
   });
   registry.register('LT', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a < b;
+  }, {
+    description: 'Whether a is less than b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['LT(A1, B1)'],
   });
   registry.register('LTE', (args) => {
     const [a, b] = ensureArray(args, 2);
+    if (isCellError(a) || isCellError(b)) return firstError([a, b]);
     return a <= b;
+  }, {
+    description: 'Whether a is less than or equal to b.',
+    params: 'a: any, b: any',
+    returns: 'boolean',
+    examples: ['LTE(A1, B1)'],
   });
 
   // Text
   registry.register('CONCAT', (args) => {
-    return flattenArgsToValues(args).map((v) => (v == null ? '' : String(v))).join('');
+    const values = flattenArgsToValues(args);
+    const error = firstError(values);
+    if (error) return error;
+    return values.map((v) => (v == null ? '' : String(v))).join('');
+  }, {
+    description: 'Joins the values and the values in ranges as text.',
+    params: '...values: text',
+    returns: 'text',
+    examples: ['CONCAT(A1, " ", B1)'],
   });
 
   registry.register('LEN', (args) => {
     const [v] = ensureArray(args, 1);
+    if (isCellError(v)) return v;
     return (v == null ? '' : String(v)).length;
+  }, {
+    description: 'The number of characters in the text.',
+    params: 'text: text',
+    returns: 'number',
+    examples: ['LEN(A1)'],
   });
 
   registry.register('UPPER', (args) => {
     const [v] = ensureArray(args, 1);
+    if (isCellError(v)) return v;
     return (v == null ? '' : String(v)).toUpperCase();
+  }, {
+    description: 'The text in upper case.',
+    params: 'text: text',
+    returns: 'text',
+    examples: ['UPPER(A1)'],
   });
 
   registry.register('LOWER', (args) => {
     const [v] = ensureArray(args, 1);
+    if (isCellError(v)) return v;
     return (v == null ? '' : String(v)).toLowerCase();
+  }, {
+    description: 'The text in lower case.',
+    params: 'text: text',
+    returns: 'text',
+    examples: ['LOWER(A1)'],
   });
 
   // Basic wrappers to call built-ins from user JS conveniently
@@ -122,30 +379,47 @@ export function registerBuiltins(registry) {
   // Conditional/lookup functions
   registry.register('COUNTIF', (args) => {
     const [range, criterion] = ensureArray(args, 2);
-    const arr = Array.isArray(range) ? range : [range];
+    if (isCellError(criterion)) return criterion;
+    const arr = flattenArgsToValues([range]);
     let pred = buildCriterion(criterion);
     return arr.filter((v) => pred(v)).length;
+  }, {
+    description: 'Counts the cells in the range that meet the criterion, e.g. ">5".',
+    params: 'range: range, criterion: any',
+    returns: 'number',
+    examples: ['COUNTIF(A1:A10, ">5")'],
   });
 
   registry.register('SUMIF', (args) => {
     const [range, criterion, sumRange] = ensureArray(args, 3);
-    const base = Array.isArray(range) ? range : [range];
-    const sumArr = Array.isArray(sumRange) ? sumRange : base;
+    if (isCellError(criterion)) return criterion;
+    const base = toMatrix(range);
+    // Like Excel, sum_range is aligned to range's shape from its top-left cell
+    const sums = sumRange === undefined ? base : toMatrix(sumRange);
     const pred = buildCriterion(criterion);
     let total = 0;
-    const n = Math.min(base.length, sumArr.length);
-    for (let i = 0; i < n; i++) {
-      if (pred(base[i])) {
-        const val = sumArr[i];
+    for (let r = 0; r < base.length; r++) {
+      for (let c = 0; c < base[r].length; c++) {
+        if (!pred(base[r][c])) continue;
+        const val = sums[r] ? sums[r][c] : undefined;
+        if (isCellError(val)) return val;
         if (typeof val === 'number' && Number.isFinite(val)) total += val;
       }
     }
     return total;
+  }, {
+    description: 'Adds the cells of sumRange (or range) whose cells in range meet the criterion.',
+    params: 'range: range, criterion: any, [sumRange]: range',
+    returns: 'number',
+    examples: ['SUMIF(A1:A10, ">5", B1:B10)'],
   });
 
   registry.register('MATCH', (args) => {
     const [lookupValue, lookupArray, matchType = 1] = ensureArray(args, 3);
-    const arr = Array.isArray(lookupArray) ? lookupArray : [lookupArray];
+    if (isCellError(lookupValue)) return lookupValue;
+    const matrix = toMatrix(lookupArray);
+    if (matrix.length > 1 && matrix[0].length > 1) return err(ERROR.NA, 'MATCH expects a single row or column');
+    const arr = flattenArgsToValues([matrix]);
     if (matchType === 0) {
       // exact
       for (let i = 0; i < arr.length; i++) if (equals(lookupValue, arr[i])) return i + 1;
@@ -171,34 +445,54 @@ export function registerBuiltins(registry) {
       return idx + 1;
     }
     return err(ERROR.VALUE, 'Invalid matchType');
+  }, {
+    description: 'The position of the lookup value in a row or column: 0 finds it exactly, 1 (the default) the last value not above it in ascending order, -1 the last not below it in descending order.',
+    params: 'lookupValue: any, lookupArray: range, [matchType]: number',
+    returns: 'number',
+    examples: ['MATCH("b", A1:A3, 0)'],
   });
 
   registry.register('INDEX', (args) => {
     const [array, row, column] = ensureArray(args, 3);
-    if (Array.isArray(array) && array.length > 0 && Array.isArray(array[0])) {
-      // 2D array; minimal support from ranges currently returns 1D. Keep simple: if 2D, index [row-1][column-1]
-      const r = (row || 1) - 1;
-      const c = (column || 1) - 1;
-      if (r < 0 || c < 0) return err(ERROR.REF, 'INDEX out of bounds');
-      const rowArr = array[r];
-      if (!rowArr || rowArr[c] === undefined) return err(ERROR.REF, 'INDEX out of bounds');
-      return rowArr[c];
-    } else {
-      // 1D array
-      const r = (row || 1) - 1;
-      if (!Array.isArray(array)) return err(ERROR.VALUE, 'INDEX expects array');
-      if (r < 0 || r >= array.length) return err(ERROR.REF, 'INDEX out of bounds');
-      return array[r];
+    const error = firstError([array, row, column]);
+    if (error) return error;
+    const matrix = toMatrix(array);
+    const height = matrix.length;
+    const width = height > 0 ? matrix[0].length : 0;
+    let r = row == null ? 0 : Number(row);
+    let c = column == null ? null : Number(column);
+    if (c === null) {
+      // A single index addresses the only dimension of a one-row/one-column array
+      if (height === 1 && width > 1) {
+        c = r;
+        r = 1;
+      } else {
+        c = width === 1 ? 1 : 0;
+      }
+    }
+    if (!Number.isInteger(r) || !Number.isInteger(c) || r < 0 || c < 0 || r > height || c > width) {
+      return err(ERROR.REF, 'INDEX out of bounds');
     }
+    // 0 selects the whole column/row, as in Excel
+    if (r === 0 && c === 0) return matrix;
+    if (r === 0) return matrix.map((rowArr) => [rowArr[c - 1]]);
+    if (c === 0) return [matrix[r - 1]];
+    return matrix[r - 1][c - 1];
+  }, {
+    description: 'The value at the row and column of the array; 0 selects a whole row or column.',
+    params: 'array: range, [row]: number, [column]: number',
+    examples: ['INDEX(A1:C3, 2, 3)'],
   });
 
   registry.register('VLOOKUP', (args) => {
     const [searchKey, tableArray, index, isSorted = true] = ensureArray(args, 4);
+    const error = firstError([searchKey, tableArray, index, isSorted]);
+    if (error) return error;
     if (!Array.isArray(tableArray)) return err(ERROR.VALUE, 'VLOOKUP expects array');
-    // Accept tableArray as array of rows; if range produced 1D, treat as list of rows with 1 column
-    const rows = Array.isArray(tableArray[0]) ? tableArray : tableArray.map((v) => [v]);
+    const rows = toMatrix(tableArray);
     const idx = Number(index);
     if (!Number.isInteger(idx) || idx < 1) return err(ERROR.VALUE, 'Invalid index');
+    if (idx > rows[0].length) return err(ERROR.REF, 'Index out of bounds');
 
     if (isSorted) {
       // approximate: find last row with first column <= searchKey
@@ -209,28 +503,38 @@ export function registerBuiltins(registry) {
         else break;
       }
       if (pick === -1) return err(ERROR.NA, 'Not found');
-      return rows[pick][idx - 1] ?? err(ERROR.REF, 'Index out of bounds');
+      return rows[pick][idx - 1];
     } else {
       // exact
       for (let r = 0; r < rows.length; r++) {
-        if (equals(rows[r][0], searchKey)) return rows[r][idx - 1] ?? err(ERROR.REF, 'Index out of bounds');
+        if (equals(rows[r][0], searchKey)) return rows[r][idx - 1];
       }
       return err(ERROR.NA, 'Not found');
     }
+  }, {
+    description: "Finds the search key in the range's first column and returns the value at index in that row; exactly when isSorted is FALSE.",
+    params: 'searchKey: any, range: range, index: number, [isSorted]: boolean',
+    examples: ['VLOOKUP("id-2", A2:C10, 3, FALSE)'],
   });
 
   // AI(prompt)
-  // Returns cached value if available; otherwise triggers async fetch and returns a placeholder.
-  registry.register('AI', (args, engine) => {
+  // Async: the cell shows #BUSY! until the response arrives; responses are
+  // cached per prompt like any async function's results.
+  registry.register('AI', (args, ctx) => {
     const [prompt] = ensureArray(args, 1);
     const text = prompt == null ? '' : String(prompt);
-    if (!engine || typeof engine.requestAi !== 'function') return '#AI_UNAVAILABLE';
-    const cached = engine.getAiCached(text);
-    if (cached !== undefined) return cached;
-    engine.requestAi(text);
-    return '(loading…)';
+    const engine = ctx && ctx.engine;
+    if (!engine || typeof engine.fetchAi !== 'function') return '#AI_UNAVAILABLE';
+    return engine.fetchAi(text);
+  }, {
+    description: 'Asks the AI model; the cell shows #BUSY! until the answer arrives.',
+    params: 'prompt: text',
+    returns: 'text',
+    examples: ['AI("Translate to French: " & A1)'],
   });
 
+  registerDateBuiltins(registry);
+
   // Snapshot builtin names for downstream consumers (e.g., UI/system prompt)
   try {
     if (registry && typeof registry.names === 'function') {
@@ -240,6 +544,24 @@ export function registerBuiltins(registry) {
   } catch {}
 }
 
+// ERROR.TYPE numbers, as in Excel. #CYCLE!, #BUSY! and #TIMEOUT! are specific
+// to this engine and have none.
+const ERROR_TYPES = {
+  [ERROR.DIV0]: 2,
+  [ERROR.VALUE]: 3,
+  [ERROR.REF]: 4,
+  [ERROR.NAME]: 5,
+  [ERROR.NUM]: 6,
+  [ERROR.NA]: 7,
+  [ERROR.SPILL]: 9,
+};
+
+// Applies fn to a scalar, or to each element of a range/array (as a matrix).
+function mapValues(value, fn) {
+  if (!Array.isArray(value)) return fn(value);
+  return toMatrix(value).map((row) => row.map(fn));
+}
+
 function buildCriterion(criterion) {
   // Supports numbers/strings directly and simple operators like ">=10", "<5", "<>a"
   if (typeof criterion === 'number') return (v) => toNumberIfPossible(v) === criterion;
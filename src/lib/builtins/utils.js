@@ -1,14 +1,24 @@
+import { isCellError } from '../errors.js';
+
 export function ensureArray(args, n) {
   const out = new Array(n).fill(undefined);
   for (let i = 0; i < n; i++) out[i] = args[i];
   return out;
 }
 
+// Flattens arguments, including range matrices (arrays of rows), into a
+// single row-major list of values.
 export function flattenArgsToValues(args) {
   const out = [];
   for (const a of args) {
     if (Array.isArray(a)) {
-      for (const v of a) out.push(v);
+      for (const v of a) {
+        if (Array.isArray(v)) {
+          for (const inner of v) out.push(inner);
+        } else {
+          out.push(v);
+        }
+      }
     } else {
       out.push(a);
     }
@@ -16,6 +26,31 @@ export function flattenArgsToValues(args) {
   return out;
 }
 
+// Normalizes a value to a matrix (array of rows). Ranges already are one;
+// a flat array is treated as a single row and a scalar as a 1x1 matrix.
+export function toMatrix(value) {
+  if (!Array.isArray(value)) return [[value]];
+  if (value.length > 0 && value.every((row) => Array.isArray(row))) return value;
+  return [value];
+}
+
+// The first error among values. Like Excel, most functions return it
+// instead of skipping it.
+export function firstError(values) {
+  for (const v of values) {
+    if (isCellError(v)) return v;
+  }
+  return null;
+}
+
+// Numbers in the arguments of an aggregate like SUM, or the first error.
+export function numbersOrError(args) {
+  const values = flattenArgsToValues(args);
+  return firstError(values) || coerceToNumberArray(values);
+}
+
+// Text and non-numeric values are skipped; callers check firstError first
+// when errors should propagate.
 export function coerceToNumberArray(values) {
   const out = [];
   for (const v of values) {
@@ -29,4 +64,8 @@ export function truthy(v) {
   return !!v;
 }
 
-
+// Lazy functions receive thunks; this also accepts plain values so they can
+// still be called directly from JS (e.g., through BUILTINS).
+export function resolveArg(arg) {
+  return typeof arg === 'function' ? arg() : arg;
+}
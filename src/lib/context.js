@@ -0,0 +1,75 @@
+import { normalizeAddress, splitSheetRef, splitCellKey } from './address.js';
+
+// The second argument of every function call: what a function can learn
+// about its call and do besides computing its result.
+// - engine: the engine calling it
+// - caller: { sheet, address } of the formula cell calling it, or null
+//   outside of formulas
+// - argRefs[i]: { sheet, address } when argument i is written as a cell or
+//   range reference (address 'B2' or 'A1:C3'), otherwise null
+// - getRange(ref): the values of a range like 'A1:B3' or 'Sheet2!C:C' as a
+//   matrix of rows ('A1' gives [[value]]). Unqualified refs are on the
+//   caller's sheet; the caller recomputes when the cells change.
+// - log(...values): reports values with the caller (see engine.onLog)
+//
+// Functions registered as contextual have async results cached per caller
+// and argRefs instead of per arguments only (see BuiltinRegistry#register).
+export class CallContext {
+  constructor(engine, name, sheet, argNodes, visiting) {
+    this.engine = engine;
+    this.name = name;
+    this._sheet = sheet;
+    this._argNodes = argNodes;
+    this._visiting = visiting;
+    const frame = engine._frames[engine._frames.length - 1];
+    this._callerKey = frame ? frame.key : null;
+    this.reads = []; // { sheet, ref, seen } per getRange call, to revalidate cached async results
+  }
+
+  get caller() {
+    if (!this._callerKey) return null;
+    const { sheet, addr } = splitCellKey(this._callerKey);
+    return { sheet, address: addr };
+  }
+
+  get argRefs() {
+    return this._argNodes.map((node) => argRef(node, this._sheet));
+  }
+
+  getRange(ref) {
+    const { sheet: qualified, ref: local } = splitSheetRef(ref);
+    const sheet = qualified ?? this._sheet;
+    if (!this.engine.sheets.has(sheet)) throw new Error(`Sheet '${sheet}' does not exist`);
+    const values = this.engine._readRef(sheet, local, this._callerKey, this._visiting);
+    this.reads.push({ sheet, ref: local, seen: JSON.stringify(values) });
+    return values;
+  }
+
+  log(...values) {
+    const entry = { ...this.caller, function: this.name, values };
+    if (typeof this.engine.onLog === 'function') {
+      this.engine.onLog(entry);
+    } else {
+      console.log(`[${this._callerKey ?? this.name}]`, ...values);
+    }
+  }
+
+  // Identifies the call site in async cache keys.
+  siteKey() {
+    return `@${this._callerKey ?? ''}${JSON.stringify(this.argRefs)}`;
+  }
+}
+
+function argRef(node, sheet) {
+  if (node.type === 'Cell') {
+    const { sheet: refSheet, addr } = normalizeAddress(node.ref, sheet);
+    return { sheet: refSheet, address: addr };
+  }
+  if (node.type === 'Range') {
+    const start = splitSheetRef(node.start);
+    const end = splitSheetRef(node.end);
+    const strip = (part) => part.replace(/\$/g, '').toUpperCase();
+    return { sheet: start.sheet ?? end.sheet ?? sheet, address: `${strip(start.ref)}:${strip(end.ref)}` };
+  }
+  return null;
+}
@@ -0,0 +1,99 @@
+// Excel-compatible date serials (1900 date system): day 1 is 1900-01-01 and
+// the fraction is the time of day. Like Excel, serial 60 is the nonexistent
+// 1900-02-29, so serials from 61 (1900-03-01) on match Excel's.
+
+const MS_PER_DAY = 86400000;
+const EPOCH = Date.UTC(1899, 11, 30);
+
+// Largest serial Excel accepts: 9999-12-31
+export const MAX_SERIAL = 2958465;
+
+// Serial of a calendar date; months and days out of range roll over, so
+// (2026, 13, 1) is 2027-01-01 and (2026, 3, 0) is 2026-02-28.
+export function dateToSerial(year, month, day) {
+  const d = new Date(0);
+  d.setUTCFullYear(year, month - 1, day);
+  const serial = Math.round((d.getTime() - EPOCH) / MS_PER_DAY);
+  return serial < 61 ? serial - 1 : serial;
+}
+
+// Calendar date and time of day of a serial. Months are 1-based.
+export function serialToDate(serial) {
+  let days = Math.floor(serial);
+  let seconds = Math.round((serial - days) * 86400);
+  if (seconds === 86400) {
+    days += 1;
+    seconds = 0;
+  }
+  const time = { hours: Math.floor(seconds / 3600), minutes: Math.floor(seconds / 60) % 60, seconds: seconds % 60 };
+  if (days === 60) return { year: 1900, month: 2, day: 29, ...time };
+  const d = new Date(EPOCH + (days < 60 ? days + 1 : days) * MS_PER_DAY);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), ...time };
+}
+
+export function timeToSerial(hours, minutes, seconds = 0) {
+  return (hours * 3600 + minutes * 60 + seconds) / 86400;
+}
+
+// 0 = Sunday ... 6 = Saturday, matching Excel also before 1900-03-01
+export function dayOfWeek(serial) {
+  return (((Math.floor(serial) - 1) % 7) + 7) % 7;
+}
+
+export function daysInMonth(year, month) {
+  return serialToDate(dateToSerial(year, month + 1, 0)).day;
+}
+
+// The serial of the given moment in local time; TODAY() and NOW() use it.
+export function serialFromJsDate(date, withTime = true) {
+  const serial = dateToSerial(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  if (!withTime) return serial;
+  return serial + timeToSerial(date.getHours(), date.getMinutes(), date.getSeconds());
+}
+
+// Parses typed dates and times: "2026-10-19", "10/19/2026" (month first, as
+// in Excel's en-US locale), either followed by a time, or a time alone like
+// "14:30" or "2:30 PM". Returns { serial, format } where format is 'date',
+// 'datetime' or 'time', or null if the text is not a date.
+export function parseDateInput(text) {
+  const s = String(text).trim();
+  const m = /^(?:(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\/(\d{1,2})\/(\d{4}))(?:[ T](.+))?$/.exec(s);
+  if (!m) {
+    const time = parseTime(s);
+    return time === null ? null : { serial: time, format: 'time' };
+  }
+  const year = Number(m[1] ?? m[6]);
+  const month = Number(m[2] ?? m[4]);
+  const day = Number(m[3] ?? m[5]);
+  if (year < 1900 || month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+  const serial = dateToSerial(year, month, day);
+  if (m[7] === undefined) return { serial, format: 'date' };
+  const time = parseTime(m[7]);
+  return time === null ? null : { serial: serial + time, format: 'datetime' };
+}
+
+function parseTime(text) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([AaPp])[Mm])?$/.exec(text.trim());
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  const seconds = m[3] === undefined ? 0 : Number(m[3]);
+  if (m[4]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (m[4].toUpperCase() === 'P' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return timeToSerial(hours, minutes, seconds);
+}
+
+// Formats a serial as "2026-10-19" ('date'), "2026-10-19 14:30" ('datetime')
+// or "14:30" ('time'); seconds are shown only when non-zero.
+export function formatSerial(serial, format = 'date') {
+  const { year, month, day, hours, minutes, seconds } = serialToDate(serial);
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${year}-${pad(month)}-${pad(day)}`;
+  const time = `${pad(hours)}:${pad(minutes)}${seconds ? `:${pad(seconds)}` : ''}`;
+  if (format === 'time') return time;
+  if (format === 'datetime') return `${date} ${time}`;
+  return date;
+}
@@ -1,35 +1,249 @@
 import { parseFormula } from './parser.js';
 import { BuiltinRegistry } from './registry.js';
 import { CellError, ERROR, err, isCellError } from './errors.js';
+import { DependencyGraph } from './graph.js';
+import { CallContext } from './context.js';
+import { a1ToRowCol, rowColToA1, normalizeAddress, parseRangeRef, openRangeBounds, clipBounds, splitSheetRef, cellKey, splitCellKey, isValidSheetName, isValidDefinedName } from './address.js';
+import { shiftFormulaRefs, shiftIndex, renameSheetRefs, removeSheetRefs } from './refs.js';
+import { WORKBOOK_FORMAT, WORKBOOK_VERSION, migrateWorkbook } from './workbook.js';
+import { parseDateInput } from './dates.js';
+
+export { a1ToRowCol, rowColToA1, expandRange, parseAbsoluteA1, normalizeAddress, qualifyIfNeeded } from './address.js';
 
 /**
  * SpreadsheetEngine
  * - Pure calculation engine
  * - Cell addressing in A1 notation (case-insensitive)
  * - Supports literals, ranges (A1:B2), built-in functions, and custom functions
+ * - Caches computed values and tracks precedents/dependents, so an edit only
+ *   recomputes the edited cells and the cells downstream of them
  * - Async-safe API (evaluation is synchronous for now, but can be extended)
+ *
+ * Options:
+ * - cacheFormulas (default true): parse each cell's formula once and reuse it
+ *   until the formula text changes, instead of on every evaluation
+ * - compileFormulas (default false): compile parsed formulas to closures, so
+ *   evaluating them skips the tree walk of evaluateAst. Per-cell bookkeeping
+ *   outweighs the walk for typical formulas (see test/engine.bench.js).
+ * - calculate (default true): false keeps edits from recomputing anything, so
+ *   cells compute only when read. For a UI holding the cell contents while
+ *   an engine in a Web Worker computes the values (see ./host.js).
  */
 export class SpreadsheetEngine {
-  constructor() {
+  constructor(options = {}) {
+    this._options = { cacheFormulas: true, compileFormulas: false, calculate: true, ...options };
     this.sheets = new Map(); // sheetName -> Map(cellAddrUpper -> value or formula string)
-    this.registry = new BuiltinRegistry();
-    // Built-in async/cached helpers (e.g., AI())
-    this._aiCache = new Map(); // prompt(string) -> value(string)
-    this._aiInFlight = new Map(); // prompt -> Promise
+    this._registry = new BuiltinRegistry();
+    this.graph = new DependencyGraph();
+    this._values = new Map(); // cellKey -> computed value of a formula cell
+    this._formulas = new Map(); // cellKey -> { raw, run }: the cell's formula text and its evaluator
+    this._frames = []; // formula cells currently being computed, innermost last
+    this._used = new Map(); // sheetName -> { rows, cols }: last used row/column, bounds whole-column/row ranges
+    this.names = new Map(); // NAME (upper case) -> { name, refersTo: '=formula' }
+    this._nameAsts = new Map(); // NAME -> parsed refersTo
+    this._resolvingNames = new Set(); // "Sheet|NAME" pairs being evaluated, to stop circular names
+    // Dynamic arrays: a formula returning an array spills it from its anchor cell
+    this._spills = new Map(); // anchor cellKey -> { sheet, rowsMin, rowsMax, colsMin, colsMax, values }
+    this._spillCells = new Map(); // spilled cellKey (not the anchor) -> anchor cellKey
+    this._spillBlocked = new Map(); // anchor cellKey -> { sheet, ...bounds } of a spill showing #SPILL!
+    this._spillTouched = new Set(); // cellKeys whose spilled value changed since last taken
+    this._spillsStale = false; // true after invalidateAll until anchors are recomputed
+    // Calculation: volatile cells recompute on every recalculation; in manual
+    // mode edits wait in _pendingRecalc until recalculate()
+    this._calculationMode = 'automatic';
+    this._volatile = new Set(); // formula cellKeys that called a volatile function (NOW(), RAND(), ...)
+    this._pendingRecalc = new Set(); // cellKeys edited since the last calculation (manual mode)
+    // Iterative calculation of intentional circular references (off by default)
+    this._iteration = { ...DEFAULT_ITERATION };
+    this._iterates = new Map(); // cellKey -> previous value, read by the loop it is on
+    this._cycleHits = new Set(); // cellKeys found on a loop since the last iteration
+    this._iterationStatus = new Map(); // cellKey -> { converged, iterations, change }
+    this._iterating = false;
+    // Async functions: a function returning a Promise shows #BUSY! until it
+    // settles, and its results are cached by function name and arguments
+    this._asyncResults = new Map(); // call key 'NAME(args)' -> settled value
+    this._asyncInFlight = new Map(); // call key -> Promise settling once the result is stored
+    this._asyncWaiters = new Map(); // call key -> Set(cellKey) of cells to recompute once it settles
+    this._asyncFunctions = new Set(); // UPPER names of functions that returned a Promise
+    this._asyncReads = new Map(); // call key -> ranges the call read through its context
     this.onAsyncChange = null; // optional callback when async state updates
-    this._aiFetcher = defaultAiFetcher; // overridable fetcher
+    this.onLog = null; // optional callback for values functions log (see ./context.js)
+    this._aiFetcher = defaultAiFetcher; // overridable fetcher used by AI()
+    // Workbook parts the engine does not calculate with, carried through
+    // loadJSON/toJSON as they are; formats and sizes are keyed by sheet name
+    this.workbook = { metadata: {}, activeSheet: null, formats: {}, sizes: {}, scripts: [] };
+  }
+
+  static fromJSON(json, options) {
+    const engine = new SpreadsheetEngine(options);
+    engine.loadJSON(json);
+    return engine;
+  }
+
+  // Swapping the registry (e.g., after reloading user scripts) can change any
+  // formula's result, so it drops all cached values.
+  get registry() {
+    return this._registry;
+  }
+
+  set registry(registry) {
+    this._registry = registry;
+    this.invalidateAll();
   }
 
   addSheet(sheetName = 'Sheet1') {
     if (this.sheets.has(sheetName)) return sheetName;
+    if (!isValidSheetName(sheetName)) throw new Error(`Invalid sheet name '${sheetName}'`);
     this.sheets.set(sheetName, new Map());
+    // A 3D reference may name this sheet as one of its ends
+    this.invalidateAll();
     return sheetName;
   }
 
+  // ===== Sheet lifecycle =====
+  // Sheet order is the insertion order of `sheets`; these keep it stable and
+  // rewrite sheet-qualified references across the workbook.
+  renameSheet(oldName, newName) {
+    if (!this.sheets.has(oldName)) throw new Error(`Sheet '${oldName}' does not exist`);
+    if (newName === oldName) return newName;
+    this._assertNewSheetName(newName);
+    const entries = Array.from(this.sheets, ([name, cells]) => [name === oldName ? newName : name, cells]);
+    this.sheets = new Map(entries);
+    this._rewriteAllFormulas((val) => renameSheetRefs(val, oldName, newName));
+    this.invalidateAll();
+    return newName;
+  }
+
+  // References to the removed sheet become #REF!; 3D references ending at it
+  // shrink to the neighbouring sheet.
+  removeSheet(sheetName) {
+    if (!this.sheets.has(sheetName)) throw new Error(`Sheet '${sheetName}' does not exist`);
+    const order = Array.from(this.sheets.keys());
+    this.sheets.delete(sheetName);
+    this._rewriteAllFormulas((val) => removeSheetRefs(val, sheetName, order));
+    this.invalidateAll();
+  }
+
+  // Copies a sheet's cells into a new sheet placed right after it. Formulas
+  // are copied verbatim, so unqualified references point at the copy.
+  duplicateSheet(sheetName, newName) {
+    const cells = this.sheets.get(sheetName);
+    if (!cells) throw new Error(`Sheet '${sheetName}' does not exist`);
+    let name = newName;
+    if (name == null) {
+      let n = 2;
+      while (this.sheets.has(`${sheetName}_${n}`)) n++;
+      name = `${sheetName}_${n}`;
+    }
+    this._assertNewSheetName(name);
+    const entries = [];
+    for (const entry of this.sheets) {
+      entries.push(entry);
+      if (entry[0] === sheetName) entries.push([name, new Map(cells)]);
+    }
+    this.sheets = new Map(entries);
+    this.invalidateAll();
+    return name;
+  }
+
+  // Moves a sheet to a 0-based position in the sheet order.
+  moveSheet(sheetName, toIndex) {
+    if (!this.sheets.has(sheetName)) throw new Error(`Sheet '${sheetName}' does not exist`);
+    const entries = Array.from(this.sheets).filter(([name]) => name !== sheetName);
+    const index = Math.max(0, Math.min(entries.length, Math.trunc(Number(toIndex) || 0)));
+    entries.splice(index, 0, [sheetName, this.sheets.get(sheetName)]);
+    this.sheets = new Map(entries);
+    this.invalidateAll();
+  }
+
+  _assertNewSheetName(name) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('Sheet name must be a non-empty string');
+    if (!isValidSheetName(name)) throw new Error(`Invalid sheet name '${name}'`);
+    if (this.sheets.has(name)) throw new Error(`Sheet '${name}' already exists`);
+  }
+
+  // Rewrites every cell formula and defined name with `rewrite(formula,
+  // sheetName)`; names get a null sheet, as they do not belong to one.
+  _rewriteAllFormulas(rewrite) {
+    for (const [name, cells] of this.sheets) {
+      for (const [addr, val] of cells) {
+        const next = rewrite(val, name);
+        if (next !== val) cells.set(addr, next);
+      }
+    }
+    for (const entry of this.names.values()) entry.refersTo = rewrite(entry.refersTo, null);
+  }
+
+  // ===== Defined names =====
+  // Workbook-level names usable in any formula: references (TaxRate ->
+  // =Settings!$B$2), ranges, constants or formulas. `refersTo` is formula
+  // text (the leading '=' is optional) or a number/boolean constant.
+  // Unqualified references in it resolve against the sheet of the formula
+  // using the name. Names are case-insensitive.
+  defineName(name, refersTo) {
+    if (!isValidDefinedName(name)) throw new Error(`Invalid name '${name}'`);
+    if (this.names.has(name.toUpperCase())) throw new Error(`Name '${name}' already exists`);
+    this._setName(name, refersTo);
+    return name;
+  }
+
+  updateName(name, refersTo) {
+    const entry = this.names.get(String(name).toUpperCase());
+    if (!entry) throw new Error(`Name '${name}' does not exist`);
+    this._setName(entry.name, refersTo);
+    return entry.name;
+  }
+
+  // Formulas using a deleted name evaluate to #NAME?.
+  deleteName(name) {
+    if (!this.names.delete(String(name).toUpperCase())) throw new Error(`Name '${name}' does not exist`);
+    this.invalidateAll();
+  }
+
+  getName(name) {
+    const entry = this.names.get(String(name).toUpperCase());
+    return entry ? { ...entry } : undefined;
+  }
+
+  listNames() {
+    return Array.from(this.names.values(), (entry) => ({ ...entry }));
+  }
+
+  _setName(name, refersTo) {
+    const formula = toNameFormula(refersTo);
+    try {
+      parseFormula(formula.slice(1));
+    } catch (e) {
+      throw new Error(`Invalid formula for name '${name}': ${e.message}`);
+    }
+    this.names.set(name.toUpperCase(), { name, refersTo: formula });
+    this.invalidateAll();
+  }
+
+  _evaluateName(sheetName, name, visiting, asArgument = false) {
+    const key = name.toUpperCase();
+    const entry = this.names.get(key);
+    if (!entry) return err(ERROR.NAME, `Unknown name: ${name}`);
+    const guard = `${sheetName}|${key}`;
+    if (this._resolvingNames.has(guard)) return err(ERROR.CYCLE, `Circular reference in name ${entry.name}`);
+    let ast = this._nameAsts.get(key);
+    if (!ast) {
+      ast = parseFormula(entry.refersTo.slice(1));
+      this._nameAsts.set(key, ast);
+    }
+    this._resolvingNames.add(guard);
+    try {
+      return asArgument ? this._evaluateArg(sheetName, ast, visiting) : this.evaluateAst(sheetName, ast, visiting);
+    } finally {
+      this._resolvingNames.delete(guard);
+    }
+  }
+
+  // Returns the set of cell keys ("Sheet1!A1") that were recomputed: the cell
+  // itself plus every cell that depends on it.
   setCell(sheetName, address, valueOrFormula) {
-    if (!this.sheets.has(sheetName)) this.addSheet(sheetName);
-    const sheet = this.sheets.get(sheetName);
-    sheet.set(address.toUpperCase(), valueOrFormula);
+    const key = this._writeCell(sheetName, address, valueOrFormula);
+    return this._recalcAfterEdit([key]);
   }
 
   getCell(sheetName, address) {
@@ -38,99 +252,677 @@ export class SpreadsheetEngine {
     return sheet.get(address.toUpperCase());
   }
 
-  registerFunction(name, fn) {
-    this.registry.register(name, fn);
+  registerFunction(name, fn, options) {
+    this.registry.register(name, fn, options);
+    this.invalidateAll();
   }
 
   hasFunction(name) {
     return this.registry.has(name);
   }
 
+  // Drops all cached values and dependency edges. Callers that mutate
+  // `sheets` directly must call this so stale values are not served.
+  // Every cell then recomputes when read, in manual mode too: the edits
+  // doing this (sheets, rows and columns, names, functions, scripts, loading)
+  // move or redefine what cached values were computed from, so keeping them
+  // would show values for the wrong cells. Pending edits are settled with it.
+  invalidateAll() {
+    this._values.clear();
+    this.graph.clear();
+    this._used.clear();
+    this._nameAsts.clear();
+    // Parsed formulas stay valid as long as their cell's text is unchanged
+    for (const [key, entry] of this._formulas) {
+      const { sheet, addr } = splitCellKey(key);
+      if (this.getCell(sheet, addr) !== entry.raw) this._formulas.delete(key);
+    }
+    this._spills.clear();
+    this._spillCells.clear();
+    this._spillBlocked.clear();
+    this._spillTouched.clear();
+    this._spillsStale = true;
+    this._volatile.clear();
+    this._pendingRecalc.clear();
+    this._iterates.clear();
+    this._cycleHits.clear();
+    this._iterationStatus.clear();
+  }
+
+  // ===== Calculation modes =====
+  // As in Excel: 'automatic' recalculates after every edit, 'manual' only on
+  // recalculate(), and 'automatic-except-tables' leaves data tables to manual
+  // recalculation, which here is the same as automatic as there are none.
+  // Manual mode defers cell edits only; structural edits recalculate
+  // everything (see invalidateAll).
+  getCalculationMode() {
+    return this._calculationMode;
+  }
+
+  // Switching back to an automatic mode catches up on pending edits. Returns
+  // the recomputed cell keys.
+  setCalculationMode(mode) {
+    if (!CALCULATION_MODES.includes(mode)) throw new Error(`Unknown calculation mode '${mode}'`);
+    this._calculationMode = mode;
+    if (mode === 'manual' || this._pendingRecalc.size === 0) return new Set();
+    return this.recalculate();
+  }
+
+  // True when manual mode has edits whose dependents still show old values.
+  needsRecalc() {
+    return this._pendingRecalc.size > 0;
+  }
+
+  // Recomputes the cells edited since the last calculation and every
+  // volatile cell, along with their dependents. Returns the recomputed keys.
+  recalculate() {
+    const keys = [...this._pendingRecalc, ...this._volatile];
+    this._pendingRecalc.clear();
+    return this._propagate(keys);
+  }
+
+  // In manual mode an edited cell shows its own new value but its dependents
+  // keep theirs until recalculate().
+  _recalcAfterEdit(keys) {
+    if (!this._options.calculate) {
+      for (const key of [...keys, ...this.graph.collectDependents(keys)]) this._values.delete(key);
+      return new Set(keys);
+    }
+    if (this._calculationMode !== 'manual') return this._propagate([...keys, ...this._volatile]);
+    for (const key of keys) {
+      this._values.delete(key);
+      this._pendingRecalc.add(key);
+    }
+    return new Set(keys);
+  }
+
+  // ===== Iterative calculation =====
+  // With iteration enabled, a circular reference reads the previous value of
+  // the cell it loops back to instead of returning #CYCLE!. The cells on the
+  // loop are then recomputed together, as in Excel, up to maxIterations times
+  // or until no value changes by more than maxChange.
+  getIterativeCalculation() {
+    return { ...this._iteration };
+  }
+
+  setIterativeCalculation(options = {}) {
+    this._iteration = toIterationSettings({ ...this._iteration, ...options });
+    this.invalidateAll();
+    return this.getIterativeCalculation();
+  }
+
+  // How the loop through a cell was last iterated: { converged, iterations,
+  // change }, where change is the largest change in the last iteration. Null
+  // for cells not on a loop.
+  getIterationStatus(sheetName, address) {
+    const { sheet, addr } = normalizeAddress(address, sheetName);
+    const status = this._iterationStatus.get(cellKey(sheet, addr));
+    return status ? { ...status } : null;
+  }
+
+  // Converges each loop found while computing, then drops the cached values
+  // downstream of it, which were computed from unconverged values.
+  _iterateCycles() {
+    const { maxIterations, maxChange } = this._iteration;
+    this._iterating = true;
+    try {
+      while (this._cycleHits.size > 0) {
+        const [start] = this._cycleHits;
+        const cycle = this._cycleOf(start);
+        let iterations = 0;
+        let change = Infinity;
+        while (iterations < maxIterations && change > maxChange) {
+          const prev = cycle.map((key) => this._values.get(key));
+          cycle.forEach((key, i) => {
+            this._iterates.set(key, prev[i]);
+            this._values.delete(key);
+          });
+          for (const key of cycle) {
+            const { sheet, addr } = splitCellKey(key);
+            this._computeCell(sheet, addr, new Set());
+          }
+          iterations++;
+          change = Math.max(...cycle.map((key, i) => iterationChange(prev[i], this._values.get(key))));
+        }
+        const status = { converged: change <= maxChange, iterations, change };
+        for (const key of cycle) {
+          this._cycleHits.delete(key);
+          this._iterates.set(key, this._values.get(key));
+          this._iterationStatus.set(key, status);
+        }
+        const onCycle = new Set(cycle);
+        for (const dep of this.graph.collectDependents(cycle)) {
+          if (!onCycle.has(dep)) this._values.delete(dep);
+        }
+      }
+    } finally {
+      this._iterating = false;
+    }
+  }
+
+  // The cells on a loop through `key`: those downstream of it that it is
+  // also downstream of, in breadth-first order from `key`.
+  _cycleOf(key) {
+    const downstream = this.graph.collectDependents([key]);
+    downstream.add(key);
+    const readBy = new Map(); // cellKey -> cells in `downstream` it reads
+    for (const cell of downstream) {
+      for (const dep of this.graph.directDependents(cell)) {
+        if (!downstream.has(dep)) continue;
+        if (!readBy.has(dep)) readBy.set(dep, []);
+        readBy.get(dep).push(cell);
+      }
+    }
+    const cycle = [key];
+    const seen = new Set(cycle);
+    for (let i = 0; i < cycle.length; i++) {
+      for (const cell of readBy.get(cycle[i]) || []) {
+        if (seen.has(cell)) continue;
+        seen.add(cell);
+        cycle.push(cell);
+      }
+    }
+    return cycle;
+  }
+
   evaluateCell(sheetName, address, visiting = new Set()) {
     // Support absolute refs $A$1 and sheet-qualified refs in address
     const { sheet: resolvedSheet, addr: normalized } = normalizeAddress(address, sheetName);
-    const key = `${resolvedSheet}!${normalized}`;
+    return this._readCell(resolvedSheet, normalized, visiting);
+  }
+
+  // Reads a cell, recording it as a precedent of the formula being computed.
+  _readCell(sheetName, addr, visiting) {
+    const frame = this._frames[this._frames.length - 1];
+    if (frame) frame.cells.add(cellKey(sheetName, addr));
+    return this._computeCell(sheetName, addr, visiting);
+  }
+
+  _computeCell(sheetName, addr, visiting) {
+    const key = cellKey(sheetName, addr);
+    if (this._values.has(key)) return this._values.get(key);
+    // `addr` is already normalized, so skip getCell's upper-casing on this hot path
+    const cells = this.sheets.get(sheetName);
+    const raw = cells ? cells.get(addr) : undefined;
+    if (isBlank(raw)) return this._spilledValue(key, raw);
+    if (!(typeof raw === 'string' && raw.startsWith('='))) {
+      // A constant written over an anchor ends its spill
+      if (this._spills.has(key) || this._spillBlocked.has(key)) this._setSpill(key, null);
+      return raw;
+    }
     if (visiting.has(key)) {
-      return err(ERROR.CYCLE, 'Circular reference at ' + key);
+      if (!this._iteration.enabled) return err(ERROR.CYCLE, 'Circular reference at ' + key);
+      this._cycleHits.add(key);
+      return this._iterates.has(key) ? this._iterates.get(key) : 0;
     }
     visiting.add(key);
+    // Computing outside of any formula; loops found underneath converge afterwards
+    const topLevel = this._frames.length === 0 && !this._iterating;
+    if (!this._iterating) this._iterationStatus.delete(key);
 
-    const raw = this.getCell(resolvedSheet, normalized);
+    const frame = { key, cells: new Set(), ranges: [], volatile: false };
+    this._frames.push(frame);
     let result;
     try {
-      if (typeof raw === 'string' && raw.startsWith('=')) {
-        const ast = parseFormula(raw.slice(1));
-        result = this.evaluateAst(resolvedSheet, ast, visiting);
-      } else {
-        result = raw;
-      }
+      result = this._formula(key, raw)(sheetName, visiting);
     } catch (e) {
       result = err(ERROR.VALUE, String(e && (e.message || e)));
     } finally {
+      this._frames.pop();
       visiting.delete(key);
     }
+    if (Array.isArray(result)) result = this._spill(sheetName, addr, result);
+    else this._setSpill(key, null);
+    this.graph.setPrecedents(key, frame.cells, frame.ranges);
+    if (frame.volatile) this._volatile.add(key);
+    else this._volatile.delete(key);
+    this._values.set(key, result);
+    if (topLevel && this._cycleHits.size > 0) {
+      this._iterateCycles();
+      return this._computeCell(sheetName, addr, visiting);
+    }
     return result;
   }
 
+  // The evaluator of a cell's formula: (sheetName, visiting) => value. It
+  // throws for formulas that do not parse.
+  _formula(key, raw) {
+    const cached = this._formulas.get(key);
+    if (cached && cached.raw === raw) return cached.run;
+    let run;
+    try {
+      const ast = parseFormula(raw.slice(1));
+      run = this._options.compileFormulas
+        ? this._compile(ast)
+        : (sheetName, visiting) => this.evaluateAst(sheetName, ast, visiting);
+    } catch (e) {
+      run = () => {
+        throw e;
+      };
+    }
+    if (this._options.cacheFormulas) this._formulas.set(key, { raw, run });
+    return run;
+  }
+
+  _writeCell(sheetName, address, valueOrFormula) {
+    if (!this.sheets.has(sheetName)) this.addSheet(sheetName);
+    const addr = address.toUpperCase();
+    this.sheets.get(sheetName).set(addr, valueOrFormula);
+    const used = this._used.get(sheetName);
+    if (used) growExtent(used, addr);
+    const key = cellKey(sheetName, addr);
+    this.graph.clearPrecedents(key);
+    this._formulas.delete(key);
+    this._volatile.delete(key);
+    this._iterationStatus.delete(key);
+    return key;
+  }
+
+  // Invalidates the given cells and everything downstream of them, then
+  // recomputes that set. Returns the recomputed cell keys. Spills that grow,
+  // shrink or move while recomputing change the cells they cover, so those
+  // cells and their dependents are recomputed in further passes.
+  _propagate(keys) {
+    const changed = new Set();
+    let pending = new Set(keys);
+    // A write into a spilled cell blocks the spill, so it dirties the anchor
+    let includeOwners = true;
+    for (let pass = 0; pending.size > 0 && pass < MAX_SPILL_PASSES; pass++) {
+      const dirty = new Set(pending);
+      for (const key of pending) {
+        for (const anchor of this._spillAnchorsAt(key, includeOwners)) dirty.add(anchor);
+      }
+      for (const dep of this.graph.collectDependents(dirty)) dirty.add(dep);
+      for (const key of dirty) {
+        this._values.delete(key);
+        changed.add(key);
+      }
+      for (const key of dirty) {
+        const { sheet, addr } = splitCellKey(key);
+        this._computeCell(sheet, addr, new Set());
+      }
+      pending = this._takeSpillChanges();
+      includeOwners = false;
+    }
+    return changed;
+  }
+
   evaluateAst(sheetName, node, visiting) {
     switch (node.type) {
       case 'Literal':
         return node.value;
       case 'Cell': {
         // node.ref may be sheet-qualified or absolute already
-        return this.evaluateCell(sheetName, node.ref, visiting);
+        const { sheet, addr } = normalizeAddress(node.ref, sheetName);
+        if (!this.sheets.has(sheet)) return err(ERROR.REF, `Sheet '${sheet}' does not exist`);
+        return this._readCell(sheet, addr, visiting);
+      }
+      case 'Name':
+        return this._evaluateName(sheetName, node.name, visiting);
+      case 'SpillRef': {
+        // Depends on the anchor, which recomputes whenever its spill changes
+        const { sheet, addr } = normalizeAddress(node.ref, sheetName);
+        if (!this.sheets.has(sheet)) return err(ERROR.REF, `Sheet '${sheet}' does not exist`);
+        const anchorValue = this.evaluateCell(sheet, addr, visiting);
+        const spill = this._spills.get(cellKey(sheet, addr));
+        if (spill) return spill.values;
+        if (isCellError(anchorValue)) return anchorValue;
+        return err(ERROR.REF, `${node.ref} does not spill`);
       }
       case 'Range': {
-        const start = qualifyIfNeeded(node.start, sheetName);
-        const end = qualifyIfNeeded(node.end, sheetName);
-        const { sheet: sheetStart, addr: a1 } = normalizeAddress(start, sheetName);
-        const { sheet: sheetEnd, addr: a2 } = normalizeAddress(end, sheetName);
+        const start = splitSheetRef(node.start);
+        const end = splitSheetRef(node.end);
+        const sheetStart = start.sheet ?? sheetName;
+        const sheetEnd = end.sheet ?? sheetName;
         if (sheetStart !== sheetEnd) {
           return err(ERROR.REF, 'Cross-sheet ranges not supported');
         }
-        const cells = expandRange(a1, a2);
-        return cells.map((addr) => this.evaluateCell(sheetStart, addr, visiting));
+        if (!this.sheets.has(sheetStart)) return err(ERROR.REF, `Sheet '${sheetStart}' does not exist`);
+        return this._readRange(sheetStart, openRangeBounds(start.ref, end.ref), visiting);
+      }
+      case 'Ref3D':
+        // Only functions take 3D references (see _evaluateArg)
+        return err(ERROR.VALUE, `${node.firstSheet}:${node.lastSheet} can only be used as a function argument`);
+      case 'Call':
+        return this._callFunction(node.name, node.args, (arg) => this._evaluateArg(sheetName, arg, visiting), node.args, sheetName, visiting);
+      case 'BinaryOp':
+        return applyBinaryOp(node.op, this.evaluateAst(sheetName, node.left, visiting), this.evaluateAst(sheetName, node.right, visiting));
+      case 'UnaryOp':
+        return applyUnaryOp(node.op, this.evaluateAst(sheetName, node.operand, visiting));
+      default:
+        return err(ERROR.VALUE, 'Unknown AST node: ' + node.type);
+    }
+  }
+
+  // Evaluates a function argument, where 3D references (and names for them)
+  // are allowed.
+  _evaluateArg(sheetName, node, visiting) {
+    if (node.type === 'Ref3D') return this._read3D(node, visiting);
+    if (node.type === 'Name') return this._evaluateName(sheetName, node.name, visiting, true);
+    return this.evaluateAst(sheetName, node, visiting);
+  }
+
+  // Jan:Dec!C10 covers every sheet from Jan to Dec in workbook order. The
+  // sheets' matrices are stacked into one, so aggregates like SUM read it
+  // like any other range.
+  _read3D(node, visiting) {
+    const names = Array.from(this.sheets.keys());
+    const first = names.indexOf(node.firstSheet);
+    const last = names.indexOf(node.lastSheet);
+    if (first === -1 || last === -1) {
+      const missing = first === -1 ? node.firstSheet : node.lastSheet;
+      return err(ERROR.REF, `Sheet '${missing}' does not exist`);
+    }
+    const bounds = openRangeBounds(node.start, node.end);
+    const matrix = [];
+    for (const name of names.slice(Math.min(first, last), Math.max(first, last) + 1)) {
+      matrix.push(...this._readRange(name, bounds, visiting));
+    }
+    return matrix;
+  }
+
+  // Calls a registered function; `evaluate(arg)` evaluates one of `args`,
+  // parsed as `argNodes` in a formula on `sheetName`.
+  _callFunction(fnName, args, evaluate, argNodes, sheetName, visiting) {
+    const fn = this.registry.get(fnName);
+    if (!fn) return err(ERROR.NAME, `Unknown function: ${fnName}`);
+    const arity = this.registry.arity(fnName);
+    if (arity && (args.length < arity.min || args.length > arity.max)) {
+      return err(ERROR.NA, `${fnName.toUpperCase()} expects ${describeArity(arity)}, got ${args.length}`);
+    }
+    if (this.registry.isVolatile(fnName)) {
+      const frame = this._frames[this._frames.length - 1];
+      if (frame) frame.volatile = true;
+    }
+    // Lazy functions get memoized thunks and only evaluate the arguments they read
+    const lazy = this.registry.isLazy(fnName);
+    const evaluatedArgs = lazy ? args.map((arg) => once(() => evaluate(arg))) : args.map(evaluate);
+    if (!lazy && arity) {
+      const typeError = checkArgTypes(fnName, this.registry.params(fnName), evaluatedArgs);
+      if (typeError) return typeError;
+    }
+    // Functions known to be async are served from the cache when they can be;
+    // the key needs every argument, so lazy ones have theirs evaluated
+    const upper = fnName.toUpperCase();
+    const ctx = new CallContext(this, upper, sheetName, argNodes, visiting);
+    const keyOf = () => asyncCallKey(upper, evaluatedArgs) + (this.registry.isContextual(fnName) ? ctx.siteKey() : '');
+    let callKey = null;
+    if (this._asyncFunctions.has(upper)) {
+      callKey = keyOf();
+      if (this._asyncResults.has(callKey)) {
+        if (this._asyncReadsCurrent(callKey, visiting)) return this._asyncResults.get(callKey);
+        this._asyncResults.delete(callKey);
+        this._asyncReads.delete(callKey);
+      }
+      if (this._asyncInFlight.has(callKey)) return this._awaitAsync(callKey, null);
+    }
+    let res;
+    try {
+      res = fn(evaluatedArgs, ctx);
+    } catch (e) {
+      return err(ERROR.VALUE, `Function ${fnName} error: ${String(e && (e.message || e))}`);
+    }
+    if (!isThenable(res)) return res;
+    this._asyncFunctions.add(upper);
+    callKey ??= keyOf();
+    // Reads made until the call settles count too
+    if (!this._asyncInFlight.has(callKey)) this._asyncReads.set(callKey, ctx.reads);
+    return this._awaitAsync(callKey, res);
+  }
+
+  // Values of a cell or range on `sheetName` ('B2', 'A1:C3', 'C:C') as a
+  // matrix, for CallContext#getRange. Ranges holding the caller cannot be
+  // read from it.
+  _readRef(sheetName, ref, callerKey, visiting) {
+    const [start, end = start] = ref.split(':').map((part) => part.trim());
+    const bounds = openRangeBounds(start, end);
+    if (callerKey) {
+      const { sheet, addr } = splitCellKey(callerKey);
+      const { row, col } = a1ToRowCol(addr);
+      if (sheet === sheetName && row >= bounds.rowsMin && row <= bounds.rowsMax && col >= bounds.colsMin && col <= bounds.colsMax) {
+        throw new Error(`${ref} includes the calling cell ${addr}`);
+      }
+    }
+    return this._readRange(sheetName, bounds, visiting);
+  }
+
+  // Whether the ranges a cached async call read still hold what it saw.
+  // Reading them again makes them precedents of the cell being computed, so
+  // it recomputes when they change.
+  _asyncReadsCurrent(callKey, visiting) {
+    const frame = this._frames[this._frames.length - 1];
+    for (const read of this._asyncReads.get(callKey) || []) {
+      let values;
+      try {
+        values = this._readRef(read.sheet, read.ref, frame ? frame.key : null, visiting);
+      } catch {
+        return false;
+      }
+      if (JSON.stringify(values) !== read.seen) return false;
+    }
+    return true;
+  }
+
+  // Compiles a parsed formula to a closure (sheetName, visiting) => value that
+  // evaluates like evaluateAst. Cells, operators and calls, which make up
+  // most formulas, skip the tree walk; other nodes fall back to evaluateAst.
+  _compile(node) {
+    switch (node.type) {
+      case 'Literal': {
+        const { value } = node;
+        return () => value;
+      }
+      case 'Cell': {
+        // Unqualified references resolve against the formula's sheet
+        const { sheet, addr } = normalizeAddress(node.ref, null);
+        if (sheet == null) return (sheetName, visiting) => this._readCell(sheetName, addr, visiting);
+        return (sheetName, visiting) => {
+          if (!this.sheets.has(sheet)) return err(ERROR.REF, `Sheet '${sheet}' does not exist`);
+          return this._readCell(sheet, addr, visiting);
+        };
       }
       case 'Call': {
-        const fnName = node.name;
-        const evaluatedArgs = node.args.map((arg) => {
-          const val = this.evaluateAst(sheetName, arg, visiting);
-          return val;
-        });
-        const fn = this.registry.get(fnName);
-        if (!fn) return err(ERROR.NAME, `Unknown function: ${fnName}`);
-        try {
-          // Pass engine as second argument for built-ins that need context (e.g., AI())
-          const res = fn(evaluatedArgs, this);
-          return res;
-        } catch (e) {
-          return err(ERROR.VALUE, `Function ${fnName} error: ${String(e && (e.message || e))}`);
-        }
+        const { name } = node;
+        const args = node.args.map((arg) => (arg.type === 'Ref3D' || arg.type === 'Name'
+          ? (sheetName, visiting) => this._evaluateArg(sheetName, arg, visiting)
+          : this._compile(arg)));
+        return (sheetName, visiting) => this._callFunction(name, args, (arg) => arg(sheetName, visiting), node.args, sheetName, visiting);
       }
       case 'BinaryOp': {
-        const leftVal = this.evaluateAst(sheetName, node.left, visiting);
-        const rightVal = this.evaluateAst(sheetName, node.right, visiting);
-        const left = coerceNumber(leftVal);
-        const right = coerceNumber(rightVal);
-        if (!Number.isFinite(left) || !Number.isFinite(right)) {
-          return err(ERROR.VALUE, 'Arithmetic with non-numeric values');
-        }
-        switch (node.op) {
-          case '+': return left + right;
-          case '-': return left - right;
-          case '*': return left * right;
-          case '/': return right === 0 ? err(ERROR.DIV0, 'Division by zero') : left / right;
-          default: return err(ERROR.VALUE, 'Unknown operator ' + node.op);
-        }
+        const { op } = node;
+        const left = this._compile(node.left);
+        const right = this._compile(node.right);
+        return (sheetName, visiting) => applyBinaryOp(op, left(sheetName, visiting), right(sheetName, visiting));
+      }
+      case 'UnaryOp': {
+        const { op } = node;
+        const operand = this._compile(node.operand);
+        return (sheetName, visiting) => applyUnaryOp(op, operand(sheetName, visiting));
       }
       default:
-        return err(ERROR.VALUE, 'Unknown AST node: ' + node.type);
+        return (sheetName, visiting) => this.evaluateAst(sheetName, node, visiting);
+    }
+  }
+
+  // Reads a range as a row-major matrix: an array of row arrays. Whole
+  // columns/rows (A:A, 3:3) depend on the unbounded range, so appended cells
+  // dirty the formula, but only read up to the sheet's used extent.
+  _readRange(sheetName, bounds, visiting) {
+    this._trackRange(sheetName, bounds);
+    const { rowsMin, rowsMax, colsMin, colsMax } = clipBounds(bounds, this._usedExtent(sheetName));
+    const matrix = [];
+    for (let r = rowsMin; r <= rowsMax; r++) {
+      const row = [];
+      for (let c = colsMin; c <= colsMax; c++) {
+        row.push(this._computeCell(sheetName, rowColToA1(r, c), visiting));
+      }
+      matrix.push(row);
     }
+    return matrix;
+  }
+
+  // Records a range read by the formula cell currently being computed.
+  _trackRange(sheetName, bounds) {
+    const frame = this._frames[this._frames.length - 1];
+    if (!frame) return;
+    frame.ranges.push({ sheet: sheetName, ...bounds });
+  }
+
+  // ===== Dynamic arrays =====
+  // A formula whose result is an array spills it into the cells below and to
+  // the right of its anchor cell. The anchor shows the top-left value; the
+  // other cells stay blank in `sheets` and read their value from the spill.
+  // When any of them holds a value (or another spill), the anchor shows
+  // #SPILL! instead. A1# refers to the whole array spilled from A1.
+
+  // Anchor address ("A1") of the spill covering a cell, or null. The anchor
+  // itself is not a spilled cell.
+  getSpillAnchor(sheetName, address) {
+    if (this._spillsStale) this._ensureSpills();
+    const { sheet, addr } = normalizeAddress(address, sheetName);
+    const anchor = this._spillCells.get(cellKey(sheet, addr));
+    return anchor ? splitCellKey(anchor).addr : null;
+  }
+
+  // Range ("A1:C3") spilled from an anchor cell, or null if it does not spill.
+  getSpillRange(sheetName, address) {
+    const { sheet, addr } = normalizeAddress(address, sheetName);
+    this._computeCell(sheet, addr, new Set());
+    const spill = this._spills.get(cellKey(sheet, addr));
+    if (!spill) return null;
+    return `${rowColToA1(spill.rowsMin, spill.colsMin)}:${rowColToA1(spill.rowsMax, spill.colsMax)}`;
+  }
+
+  // Spills an array result from its anchor and returns the anchor's value.
+  _spill(sheetName, addr, value) {
+    const key = cellKey(sheetName, addr);
+    const values = toSpillMatrix(value);
+    if (!values) {
+      this._setSpill(key, null);
+      return err(ERROR.VALUE, 'Formula returned an empty array');
+    }
+    if (values.length === 1 && values[0].length === 1) {
+      this._setSpill(key, null);
+      return values[0][0];
+    }
+    const { row, col } = a1ToRowCol(addr);
+    const bounds = { sheet: sheetName, rowsMin: row, rowsMax: row + values.length - 1, colsMin: col, colsMax: col + values[0].length - 1 };
+    const cells = this.sheets.get(sheetName);
+    for (let r = bounds.rowsMin; r <= bounds.rowsMax; r++) {
+      for (let c = bounds.colsMin; c <= bounds.colsMax; c++) {
+        if (r === row && c === col) continue;
+        const a1 = rowColToA1(r, c);
+        const owner = this._spillCells.get(cellKey(sheetName, a1));
+        if (!isBlank(cells && cells.get(a1)) || (owner && owner !== key)) {
+          this._setSpill(key, null);
+          this._spillBlocked.set(key, bounds);
+          const range = `${rowColToA1(bounds.rowsMin, bounds.colsMin)}:${rowColToA1(bounds.rowsMax, bounds.colsMax)}`;
+          return err(ERROR.SPILL, `Spill range ${range} is blocked by ${a1}`);
+        }
+      }
+    }
+    this._setSpill(key, { ...bounds, values });
+    return values[0][0];
+  }
+
+  // Replaces an anchor's spill (null removes it) and records which cells'
+  // spilled values changed.
+  _setSpill(anchorKey, spill) {
+    this._spillBlocked.delete(anchorKey);
+    const prev = this._spills.get(anchorKey);
+    if (!prev && !spill) return;
+    const before = new Map();
+    if (prev) {
+      forEachSpilledCell(prev, anchorKey, (key, value) => {
+        before.set(key, value);
+        this._spillCells.delete(key);
+      });
+      this._spills.delete(anchorKey);
+    }
+    if (spill) {
+      this._spills.set(anchorKey, spill);
+      forEachSpilledCell(spill, anchorKey, (key, value) => {
+        this._spillCells.set(key, anchorKey);
+        if (!before.has(key) || before.get(key) !== value) this._spillTouched.add(key);
+        before.delete(key);
+      });
+      const used = this._used.get(spill.sheet);
+      if (used) growExtent(used, rowColToA1(spill.rowsMax, spill.colsMax));
+    }
+    for (const key of before.keys()) this._spillTouched.add(key);
+  }
+
+  _takeSpillChanges() {
+    const touched = this._spillTouched;
+    this._spillTouched = new Set();
+    return touched;
+  }
+
+  // Anchors whose spill a change at `key` may affect: blocked spills covering
+  // it and, with `includeOwner`, the spill it belongs to.
+  _spillAnchorsAt(key, includeOwner) {
+    const out = [];
+    const owner = this._spillCells.get(key);
+    if (includeOwner && owner) out.push(owner);
+    if (this._spillBlocked.size === 0) return out;
+    const { sheet, addr } = splitCellKey(key);
+    const { row, col } = a1ToRowCol(addr);
+    for (const [anchor, b] of this._spillBlocked) {
+      if (b.sheet === sheet && row >= b.rowsMin && row <= b.rowsMax && col >= b.colsMin && col <= b.colsMax) out.push(anchor);
+    }
+    return out;
+  }
+
+  _spilledValue(key, raw) {
+    if (this._spillsStale) this._ensureSpills();
+    const anchor = this._spillCells.get(key);
+    if (!anchor) return raw;
+    const spill = this._spills.get(anchor);
+    const { row, col } = a1ToRowCol(splitCellKey(key).addr);
+    return spill.values[row - spill.rowsMin][col - spill.colsMin];
+  }
+
+  // After invalidateAll no spill is known until its anchor recomputes, so the
+  // first read of a blank cell computes every formula to find them. Cells that
+  // read a blank cell before its anchor spilled are dropped from the cache.
+  _ensureSpills() {
+    this._spillsStale = false;
+    for (const [sheetName, cells] of this.sheets) {
+      for (const [addr, raw] of cells) {
+        if (typeof raw === 'string' && raw.startsWith('=')) this._computeCell(sheetName, addr, new Set());
+      }
+    }
+    const touched = this._takeSpillChanges();
+    for (const dep of this.graph.collectDependents(touched)) this._values.delete(dep);
+  }
+
+  // Last used row and column of a sheet (0 when empty).
+  _usedExtent(sheetName) {
+    let used = this._used.get(sheetName);
+    if (!used) {
+      used = { rows: 0, cols: 0 };
+      const cells = this.sheets.get(sheetName);
+      if (cells) for (const addr of cells.keys()) growExtent(used, addr);
+      for (const spill of this._spills.values()) {
+        if (spill.sheet === sheetName) growExtent(used, rowColToA1(spill.rowsMax, spill.colsMax));
+      }
+      this._used.set(sheetName, used);
+    }
+    return used;
+  }
+
+  // The range from A1 to the last used row and column, spilled cells
+  // included, e.g. 'A1:D20'; null for an empty sheet.
+  getUsedRange(sheetName) {
+    if (this._spillsStale) this._ensureSpills();
+    const { rows, cols } = this._usedExtent(sheetName);
+    return rows > 0 && cols > 0 ? `A1:${rowColToA1(rows, cols)}` : null;
   }
 
   // Range APIs
   getRange(sheetName, rangeStr, mode = 'computed') {
-    const { sheet, start, end, rowsMin, rowsMax, colsMin, colsMax } = parseRangeRef(rangeStr, sheetName);
+    const { sheet, ...bounds } = parseRangeRef(rangeStr, sheetName);
+    const { rowsMin, rowsMax, colsMin, colsMax } = clipBounds(bounds, this._usedExtent(sheet));
     const matrix = [];
     for (let r = rowsMin; r <= rowsMax; r++) {
       const rowArr = [];
@@ -145,7 +937,7 @@ export class SpreadsheetEngine {
     }
     return {
       sheet,
-      range: `${rowColToA1(rowsMin, colsMin)}:${rowColToA1(rowsMax, colsMax)}`,
+      range: rowsMax >= rowsMin && colsMax >= colsMin ? `${rowColToA1(rowsMin, colsMin)}:${rowColToA1(rowsMax, colsMax)}` : null,
       rows: matrix,
     };
   }
@@ -154,7 +946,8 @@ export class SpreadsheetEngine {
     if (!Array.isArray(values) || values.length === 0 || !values.every((row) => Array.isArray(row))) {
       throw new Error('values must be a non-empty 2D array');
     }
-    const { sheet, start, end, rowsMin, rowsMax, colsMin, colsMax } = parseRangeRef(rangeStr, sheetName);
+    const { sheet, rowsMin, rowsMax, colsMin, colsMax } = parseRangeRef(rangeStr, sheetName);
+    if (rowsMax === Infinity || colsMax === Infinity) throw new Error('setRange needs a bounded range like A1:B2');
     const rowCount = rowsMax - rowsMin + 1;
     const colCount = colsMax - colsMin + 1;
     if (values.length !== rowCount || values.some((row) => row.length !== colCount)) {
@@ -162,14 +955,16 @@ export class SpreadsheetEngine {
       throw new Error(`values shape ${values.length}x${providedCols} does not match range size ${rowCount}x${colCount}`);
     }
 
+    const written = [];
     for (let i = 0; i < rowCount; i++) {
       for (let j = 0; j < colCount; j++) {
         const r = rowsMin + i;
         const c = colsMin + j;
         const address = rowColToA1(r, c);
-        this.setCell(sheet, address, values[i][j]);
+        written.push(this._writeCell(sheet, address, values[i][j]));
       }
     }
+    const changed = this._recalcAfterEdit(written);
 
     const resultRows = [];
     for (let i = 0; i < rowCount; i++) {
@@ -188,163 +983,419 @@ export class SpreadsheetEngine {
       sheet,
       range: `${rowColToA1(rowsMin, colsMin)}:${rowColToA1(rowsMax, colsMax)}`,
       rows: resultRows,
+      changed,
     };
   }
 
-  // ===== AI cache/fetch helpers =====
-  setAiFetcher(fetcherFn) {
-    if (typeof fetcherFn === 'function') this._aiFetcher = fetcherFn;
+  // ===== Structural edits =====
+  // Rows and columns are 1-based. Cells of the sheet move, and formulas on
+  // every sheet are rewritten to keep pointing at the same data; references
+  // to deleted cells become #REF!.
+  insertRows(sheetName, at, count = 1) {
+    checkShift(at, count);
+    this._shiftCells(sheetName, 'row', at, count);
   }
 
-  getAiCached(prompt) {
-    const key = String(prompt || '');
-    return this._aiCache.has(key) ? this._aiCache.get(key) : undefined;
+  deleteRows(sheetName, at, count = 1) {
+    checkShift(at, count);
+    this._shiftCells(sheetName, 'row', at, -count);
   }
 
-  hasAiCached(prompt) {
-    const key = String(prompt || '');
-    return this._aiCache.has(key);
+  insertColumns(sheetName, at, count = 1) {
+    checkShift(at, count);
+    this._shiftCells(sheetName, 'col', at, count);
   }
 
-  async _fetchAndCacheAi(prompt) {
-    const key = String(prompt || '');
-    if (this._aiInFlight.has(key)) return this._aiInFlight.get(key);
-    const p = (async () => {
+  deleteColumns(sheetName, at, count = 1) {
+    checkShift(at, count);
+    this._shiftCells(sheetName, 'col', at, -count);
+  }
+
+  _shiftCells(sheetName, axis, at, count) {
+    const cells = this.sheets.get(sheetName);
+    if (!cells) throw new Error(`Sheet '${sheetName}' does not exist`);
+    const moved = new Map();
+    for (const [addr, val] of cells) {
+      const { row, col } = a1ToRowCol(addr);
+      const pos = shiftIndex(axis === 'row' ? row : col, at, count);
+      if (pos === null) continue;
+      moved.set(axis === 'row' ? rowColToA1(pos, col) : rowColToA1(row, pos), val);
+    }
+    this.sheets.set(sheetName, moved);
+    const edit = { sheet: sheetName, axis, at, count };
+    this._rewriteAllFormulas((val, name) => shiftFormulaRefs(val, name, edit));
+    this.invalidateAll();
+  }
+
+  // ===== Workbook JSON =====
+  // The format is described in ./workbook.js. Cells are stored as entered
+  // and computed lazily, so registering functions after loading is fine.
+  toJSON() {
+    const { metadata, activeSheet, formats, sizes, scripts } = this.workbook;
+    const sheets = [];
+    for (const [name, cells] of this.sheets) {
+      const out = {};
+      for (const [addr, val] of cells) {
+        if (!isBlank(val)) out[addr] = val;
+      }
+      sheets.push({ name, cells: out, formats: { ...formats[name] }, sizes: { ...sizes[name] } });
+    }
+    return {
+      format: WORKBOOK_FORMAT,
+      version: WORKBOOK_VERSION,
+      metadata: { ...metadata },
+      activeSheet: activeSheet ?? null,
+      sheets,
+      names: this.listNames(),
+      calculation: { mode: this._calculationMode, iterative: this.getIterativeCalculation() },
+      scripts: scripts.map((script) => ({ ...script })),
+    };
+  }
+
+  // Replaces the workbook with `json` (an object or JSON text of any
+  // version). Nothing changes if it is invalid.
+  loadJSON(json) {
+    const doc = migrateWorkbook(json);
+    const sheets = new Map();
+    for (const sheet of doc.sheets) {
+      if (!isValidSheetName(sheet.name)) throw new Error(`Invalid sheet name '${sheet.name}'`);
+      if (sheets.has(sheet.name)) throw new Error(`Duplicate sheet '${sheet.name}'`);
+      const cells = new Map();
+      for (const [addr, val] of Object.entries(sheet.cells)) {
+        if (!/^[A-Z]+[1-9]\d*$/i.test(addr)) throw new Error(`Invalid cell address '${addr}' in sheet '${sheet.name}'`);
+        cells.set(addr.toUpperCase(), val);
+      }
+      sheets.set(sheet.name, cells);
+    }
+    const names = new Map();
+    for (const { name, refersTo } of doc.names) {
+      if (!isValidDefinedName(name)) throw new Error(`Invalid name '${name}'`);
+      const formula = toNameFormula(refersTo);
       try {
-        const val = await this._aiFetcher(key);
-        this._aiCache.set(key, val == null ? '' : String(val));
+        parseFormula(formula.slice(1));
       } catch (e) {
-        // Store an error string so subsequent evaluations are stable
-        this._aiCache.set(key, String(e && (e.message || e)));
-      } finally {
-        this._aiInFlight.delete(key);
-        if (typeof this.onAsyncChange === 'function') {
-          try { this.onAsyncChange({ type: 'AI_CACHE_UPDATED', prompt: key }); } catch {}
-        }
+        throw new Error(`Invalid formula for name '${name}': ${e.message}`);
+      }
+      names.set(name.toUpperCase(), { name, refersTo: formula });
+    }
+    const { mode, iterative } = doc.calculation;
+    if (!CALCULATION_MODES.includes(mode)) throw new Error(`Unknown calculation mode '${mode}'`);
+    const iteration = toIterationSettings({ ...DEFAULT_ITERATION, ...iterative });
+    this.sheets = sheets;
+    this.names = names;
+    this._calculationMode = mode;
+    this._iteration = iteration;
+    this.workbook = {
+      metadata: doc.metadata,
+      activeSheet: doc.activeSheet,
+      formats: Object.fromEntries(doc.sheets.map((sheet) => [sheet.name, sheet.formats])),
+      sizes: Object.fromEntries(doc.sheets.map((sheet) => [sheet.name, sheet.sizes])),
+      scripts: doc.scripts.map((script) => ({ ...script })),
+    };
+    this.invalidateAll();
+  }
+
+  // ===== Async functions =====
+  // Makes the cell being computed wait for a pending call, starting to track
+  // `promise` if the call is new. The cell shows #BUSY! until the result
+  // arrives; then only the waiting cells and their dependents recompute.
+  // Rejections are cached as #VALUE! errors, or as the cell error rejected
+  // with (e.g. #TIMEOUT! from ./sandbox.js).
+  _awaitAsync(callKey, promise) {
+    const frame = this._frames[this._frames.length - 1];
+    if (frame) {
+      let waiters = this._asyncWaiters.get(callKey);
+      if (!waiters) {
+        waiters = new Set();
+        this._asyncWaiters.set(callKey, waiters);
       }
-    })();
-    this._aiInFlight.set(key, p);
-    return p;
+      waiters.add(frame.key);
+    }
+    if (promise && !this._asyncInFlight.has(callKey)) {
+      const settled = Promise.resolve(promise)
+        .catch((e) => (isCellError(e) ? e : err(ERROR.VALUE, `${callKey} failed: ${String(e && (e.message || e))}`)))
+        .then((value) => {
+          this._asyncInFlight.delete(callKey);
+          this._asyncResults.set(callKey, value);
+          const waiters = this._asyncWaiters.get(callKey);
+          this._asyncWaiters.delete(callKey);
+          const changed = waiters ? this._propagate(Array.from(waiters)) : new Set();
+          if (typeof this.onAsyncChange === 'function') {
+            try { this.onAsyncChange({ type: 'ASYNC_RESULT', call: callKey, changed }); } catch {}
+          }
+        });
+      this._asyncInFlight.set(callKey, settled);
+    }
+    return err(ERROR.BUSY, `Waiting for ${callKey}`);
+  }
+
+  // Number of async calls still pending.
+  pendingAsyncCount() {
+    return this._asyncInFlight.size;
   }
 
-  requestAi(prompt) {
-    const key = String(prompt || '');
-    if (this._aiCache.has(key) || this._aiInFlight.has(key)) return;
-    void this._fetchAndCacheAi(key);
+  // Resolves once no async call is pending, including calls started by the
+  // recalculations that settled ones trigger.
+  async whenIdle() {
+    while (this._asyncInFlight.size > 0) {
+      await Promise.all(this._asyncInFlight.values());
+    }
   }
+
+  // Drops cached async results of the given function names (all when
+  // omitted), e.g. after a script redefines them, and recomputes lazily.
+  clearAsyncCache(fnNames) {
+    const names = fnNames == null ? null : new Set(fnNames.map((n) => n.toUpperCase()));
+    for (const key of Array.from(this._asyncResults.keys())) {
+      if (names === null || names.has(key.slice(0, key.indexOf('(')))) {
+        this._asyncResults.delete(key);
+        this._asyncReads.delete(key);
+      }
+    }
+    for (const name of Array.from(this._asyncFunctions)) {
+      if (names === null || names.has(name)) this._asyncFunctions.delete(name);
+    }
+    this.invalidateAll();
+  }
+
+  // ===== AI() =====
+  setAiFetcher(fetcherFn) {
+    if (typeof fetcherFn === 'function') this._aiFetcher = fetcherFn;
+  }
+
+  // The text AI() shows for a prompt. Failures resolve to their message, so
+  // the cell shows why instead of an error code.
+  fetchAi(prompt) {
+    let request;
+    try {
+      request = Promise.resolve(this._aiFetcher(String(prompt ?? '')));
+    } catch (e) {
+      request = Promise.reject(e);
+    }
+    return request.then((val) => (val == null ? '' : String(val)), (e) => String(e && (e.message || e)));
+  }
+
+  getAiCached(prompt) {
+    const key = asyncCallKey('AI', [String(prompt || '')]);
+    return this._asyncResults.has(key) ? this._asyncResults.get(key) : undefined;
+  }
+
+  hasAiCached(prompt) {
+    return this._asyncResults.has(asyncCallKey('AI', [String(prompt || '')]));
+  }
+}
+
+// Defined names store formula text: 0.2 -> "=0.2", "Settings!$B$2" -> "=Settings!$B$2".
+function toNameFormula(refersTo) {
+  if (typeof refersTo === 'number' || typeof refersTo === 'boolean') return `=${String(refersTo).toUpperCase()}`;
+  const text = String(refersTo ?? '').trim();
+  if (!text || text === '=') throw new Error('A name must refer to a value, reference or formula');
+  return text.startsWith('=') ? text : `=${text}`;
 }
 
-// Utilities
-export function a1ToRowCol(a1) {
-  const m = parseAbsoluteA1(a1);
-  if (!m) throw new Error('Invalid A1 ref: ' + a1);
-  const colStr = m.col.toUpperCase();
-  const row = parseInt(m.row, 10);
-  let col = 0;
-  for (let i = 0; i < colStr.length; i++) {
-    col = col * 26 + (colStr.charCodeAt(i) - 64);
-  }
-  return { row, col };
+const CALCULATION_MODES = ['automatic', 'automatic-except-tables', 'manual'];
+
+const DEFAULT_ITERATION = { enabled: false, maxIterations: 100, maxChange: 0.001 };
+
+function toIterationSettings(options) {
+  if (!Number.isInteger(options.maxIterations) || options.maxIterations < 1) throw new Error('maxIterations must be a positive integer');
+  if (typeof options.maxChange !== 'number' || !(options.maxChange >= 0)) throw new Error('maxChange must be a non-negative number');
+  return { enabled: !!options.enabled, maxIterations: options.maxIterations, maxChange: options.maxChange };
 }
 
-export function rowColToA1(row, col) {
-  let c = col;
-  let colStr = '';
-  while (c > 0) {
-    const rem = (c - 1) % 26;
-    colStr = String.fromCharCode(65 + rem) + colStr;
-    c = Math.floor((c - 1) / 26);
+// How much a value on a loop changed between iterations; values that are
+// not numbers only converge once they stop changing.
+function iterationChange(prev, next) {
+  if (typeof prev === 'number' && typeof next === 'number') return Math.abs(next - prev);
+  if (isCellError(prev) && isCellError(next)) return prev.code === next.code ? 0 : Infinity;
+  return prev === next ? 0 : Infinity;
+}
+
+const MAX_SPILL_PASSES = 100;
+
+function isBlank(raw) {
+  return raw === undefined || raw === null || raw === '';
+}
+
+// Array results as a rectangular matrix: a flat array is one row, and short
+// rows are padded with #N/A. Null for an empty array.
+function toSpillMatrix(value) {
+  const rows = value.every((item) => Array.isArray(item)) ? value : [value];
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  if (rows.length === 0 || width === 0) return null;
+  return rows.map((row) => (row.length === width ? row : [...row, ...Array.from({ length: width - row.length }, () => err(ERROR.NA, 'Missing array value'))]));
+}
+
+function forEachSpilledCell(spill, anchorKey, fn) {
+  for (let r = spill.rowsMin; r <= spill.rowsMax; r++) {
+    for (let c = spill.colsMin; c <= spill.colsMax; c++) {
+      const key = cellKey(spill.sheet, rowColToA1(r, c));
+      if (key !== anchorKey) fn(key, spill.values[r - spill.rowsMin][c - spill.colsMin]);
+    }
   }
-  return `${colStr}${row}`;
 }
 
-export function expandRange(startA1, endA1) {
-  const { row: r1, col: c1 } = a1ToRowCol(startA1);
-  const { row: r2, col: c2 } = a1ToRowCol(endA1);
-  const rows = [Math.min(r1, r2), Math.max(r1, r2)];
-  const cols = [Math.min(c1, c2), Math.max(c1, c2)];
-  const out = [];
-  for (let r = rows[0]; r <= rows[1]; r++) {
-    for (let c = cols[0]; c <= cols[1]; c++) {
-      out.push(rowColToA1(r, c));
+function growExtent(used, addr) {
+  const { row, col } = a1ToRowCol(addr);
+  if (row > used.rows) used.rows = row;
+  if (col > used.cols) used.cols = col;
+}
+
+const COMPARISON_OPS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+
+function applyBinaryOp(op, leftVal, rightVal) {
+  // As in Excel, the first error operand is the result, keeping its code and message
+  if (isCellError(leftVal)) return leftVal;
+  if (isCellError(rightVal)) return rightVal;
+  if (op === '&' || COMPARISON_OPS.has(op)) {
+    if (op === '&') return toText(leftVal) + toText(rightVal);
+    const cmp = compareValues(leftVal, rightVal);
+    switch (op) {
+      case '=': return cmp === 0;
+      case '<>': return cmp !== 0;
+      case '<': return cmp < 0;
+      case '<=': return cmp <= 0;
+      case '>': return cmp > 0;
+      default: return cmp >= 0;
     }
   }
-  return out;
+  const left = coerceNumber(leftVal);
+  const right = coerceNumber(rightVal);
+  if (!Number.isFinite(left) || !Number.isFinite(right)) {
+    return err(ERROR.VALUE, 'Arithmetic with non-numeric values');
+  }
+  switch (op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? err(ERROR.DIV0, 'Division by zero') : left / right;
+    case '^': return power(left, right);
+    default: return err(ERROR.VALUE, 'Unknown operator ' + op);
+  }
+}
+
+function applyUnaryOp(op, val) {
+  // Unary plus is a no-op in Excel, even for text
+  if (op === '+' || isCellError(val)) return val;
+  const n = coerceNumber(val);
+  if (!Number.isFinite(n)) return err(ERROR.VALUE, 'Arithmetic with non-numeric values');
+  switch (op) {
+    case '-': return -n;
+    case '%': return n / 100;
+    default: return err(ERROR.VALUE, 'Unknown operator ' + op);
+  }
+}
+
+// Row/column inserts and deletes take a 1-based index and a count of at
+// least 1; a negative count would turn one into the other.
+function checkShift(at, count) {
+  if (!Number.isInteger(at) || at < 1) throw new Error('Index must be a positive integer');
+  if (!Number.isInteger(count) || count < 1) throw new Error('Count must be a positive integer');
 }
 
-// Address utilities
-export function parseAbsoluteA1(a1) {
-  // Supports optional $ for column and/or row
-  const match = /^(\$?)([A-Za-z]+)(\$?)(\d+)$/.exec(a1);
-  if (!match) return null;
-  const [, colAbs, col, rowAbs, row] = match;
-  return { colAbs: !!colAbs, col, rowAbs: !!rowAbs, row };
+function describeArity({ min, max }) {
+  const count = (n) => `${n} argument${n === 1 ? '' : 's'}`;
+  if (max === Infinity) return `at least ${count(min)}`;
+  if (min === max) return count(min);
+  return `${min} to ${count(max)}`;
 }
 
-export function normalizeAddress(address, defaultSheet) {
-  // Handle sheet-qualified refs like Sheet1!A1 or 'My Sheet'!A1 (quotes not supported yet)
-  const m = /^([^!]+)!([^!]+)$/.exec(address);
-  if (m) {
-    const sheet = m[1];
-    const a1 = m[2];
-    const abs = parseAbsoluteA1(a1);
-    if (!abs) throw new Error('Invalid A1: ' + a1);
-    return { sheet, addr: `${abs.col.toUpperCase()}${parseInt(abs.row, 10)}` };
-  }
-  const abs = parseAbsoluteA1(address);
-  if (!abs) throw new Error('Invalid A1: ' + address);
-  return { sheet: defaultSheet, addr: `${abs.col.toUpperCase()}${parseInt(abs.row, 10)}` };
+// #VALUE! for text that is not a number passed where a number goes. Ranges
+// and errors pass; functions handle them per element. Repeating params are
+// lists like SUM's, which skip text.
+function checkArgTypes(fnName, params, args) {
+  for (let i = 0; i < args.length; i++) {
+    const param = params[Math.min(i, params.length - 1)];
+    const value = args[i];
+    if (param.type !== 'number' || param.repeating || typeof value !== 'string' || value.trim() === '') continue;
+    if (Number.isNaN(Number(value))) {
+      return err(ERROR.VALUE, `${fnName.toUpperCase()} expects a number for ${param.name}, got "${value}"`);
+    }
+  }
+  return null;
 }
 
-export function qualifyIfNeeded(address, defaultSheet) {
-  if (/^[^!]+![^!]+$/.test(address)) return address;
-  return `${defaultSheet}!${address}`;
+function isThenable(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
 }
 
-// Parses ranges like "A1:C3" or "Sheet1!A1:C3".
-// Returns normalized sheet name and numeric bounds for iteration.
-function parseRangeRef(rangeStr, defaultSheet) {
-  const input = String(rangeStr).trim();
-  if (!input) throw new Error('Missing range');
-
-  let sheet = defaultSheet;
-  let startStr;
-  let endStr;
-  const sheetMatch = /^([^!]+)!([^:]+):([^:]+)$/.exec(input);
-  if (sheetMatch) {
-    sheet = sheetMatch[1];
-    startStr = sheetMatch[2];
-    endStr = sheetMatch[3];
-  } else {
-    const parts = input.split(':');
-    if (parts.length !== 2) throw new Error('Invalid range (expected A1:B2)');
-    startStr = parts[0].trim();
-    endStr = parts[1].trim();
-  }
-
-  const { addr: start } = normalizeAddress(startStr, sheet);
-  const { addr: end } = normalizeAddress(endStr, sheet);
-
-  const { row: r1, col: c1 } = a1ToRowCol(start);
-  const { row: r2, col: c2 } = a1ToRowCol(end);
-  const rowsMin = Math.min(r1, r2);
-  const rowsMax = Math.max(r1, r2);
-  const colsMin = Math.min(c1, c2);
-  const colsMax = Math.max(c1, c2);
-
-  return { sheet, start, end, rowsMin, rowsMax, colsMin, colsMax };
+// Cache key of an async call, e.g. 'AI("hello")'. Lazy arguments are evaluated.
+function asyncCallKey(upperName, args) {
+  const values = args.map((arg) => (typeof arg === 'function' ? arg() : arg));
+  return `${upperName}(${JSON.stringify(values).slice(1, -1)})`;
+}
+
+// Memoizes a lazy function argument so it is evaluated at most once.
+function once(fn) {
+  let done = false;
+  let value;
+  return () => {
+    if (!done) {
+      value = fn();
+      done = true;
+    }
+    return value;
+  };
 }
 
 function coerceNumber(v) {
   if (typeof v === 'number') return v;
-  if (v == null) return NaN;
+  // Blank cells count as 0 and booleans as 1/0, like Excel
+  if (v == null) return 0;
+  if (typeof v === 'boolean') return v ? 1 : 0;
   if (typeof v === 'string') {
     const n = Number(v);
-    return Number.isNaN(n) ? NaN : n;
+    if (!Number.isNaN(n)) return n;
+    // Text that reads as a date or time counts as its serial: "2026-10-19"-1
+    const date = parseDateInput(v);
+    return date ? date.serial : NaN;
   }
   return NaN;
 }
 
+function toText(v) {
+  if (v == null) return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  return String(v);
+}
+
+function power(base, exponent) {
+  if (base === 0 && exponent === 0) return err(ERROR.NUM, '0^0 is undefined');
+  if (base === 0 && exponent < 0) return err(ERROR.DIV0, 'Division by zero');
+  const res = Math.pow(base, exponent);
+  return Number.isFinite(res) ? res : err(ERROR.NUM, 'Invalid exponent result');
+}
+
+// Excel ordering: numbers < text < booleans. Text compares case-insensitively
+// and a blank takes the type of the other operand (0, "" or FALSE).
+function compareValues(a, b) {
+  const left = a == null ? blankLike(b) : a;
+  const right = b == null ? blankLike(a) : b;
+  const rankDiff = typeRank(left) - typeRank(right);
+  if (rankDiff !== 0) return rankDiff < 0 ? -1 : 1;
+  if (typeof left === 'string') {
+    const ls = left.toLowerCase();
+    const rs = right.toLowerCase();
+    return ls < rs ? -1 : ls > rs ? 1 : 0;
+  }
+  const ln = Number(left);
+  const rn = Number(right);
+  return ln < rn ? -1 : ln > rn ? 1 : 0;
+}
+
+function blankLike(other) {
+  if (typeof other === 'string') return '';
+  if (typeof other === 'boolean') return false;
+  return 0;
+}
+
+function typeRank(v) {
+  if (typeof v === 'number') return 0;
+  if (typeof v === 'string') return 1;
+  if (typeof v === 'boolean') return 2;
+  return 3;
+}
+
 
 // Default AI fetcher: calls the app's Groq proxy using the same model as Chat settings
 async function defaultAiFetcher(prompt) {
@@ -1,6 +1,6 @@
 export class CellError {
   constructor(code, message = '') {
-    this.code = code; // e.g. #NAME?, #REF!, #VALUE!, #DIV/0!, #N/A, #NUM!, #CYCLE!
+    this.code = code; // e.g. #NAME?, #REF!, #VALUE!, #DIV/0!, #N/A, #NUM!, #CYCLE!, #SPILL!, #BUSY!, #TIMEOUT!
     this.message = message;
   }
 
@@ -16,7 +16,10 @@ export const ERROR = {
   DIV0: '#DIV/0!',
   NA: '#N/A',
   NUM: '#NUM!',
-  CYCLE: '#CYCLE!'
+  CYCLE: '#CYCLE!',
+  SPILL: '#SPILL!',
+  BUSY: '#BUSY!',
+  TIMEOUT: '#TIMEOUT!'
 };
 
 export function isCellError(v) {
@@ -0,0 +1,91 @@
+import { a1ToRowCol, splitCellKey } from './address.js';
+
+// Precedent/dependent bookkeeping for formula cells.
+// Each formula cell records the cells and ranges it read during its last
+// evaluation. Ranges are kept as bounds (not expanded) so a cell written later
+// inside a referenced range still dirties the formula reading it.
+export class DependencyGraph {
+  constructor() {
+    this.precedents = new Map(); // cellKey -> { cells: Set(cellKey), ranges: [{ sheet, rowsMin, rowsMax, colsMin, colsMax }] }
+    this.dependents = new Map(); // cellKey -> Set(dependent cellKey)
+    this.rangeDependents = new Map(); // sheetName -> Map(dependent cellKey -> bounds[])
+  }
+
+  setPrecedents(key, cells, ranges) {
+    this.clearPrecedents(key);
+    this.precedents.set(key, { cells, ranges });
+    for (const p of cells) {
+      let set = this.dependents.get(p);
+      if (!set) {
+        set = new Set();
+        this.dependents.set(p, set);
+      }
+      set.add(key);
+    }
+    for (const bounds of ranges) {
+      let bySheet = this.rangeDependents.get(bounds.sheet);
+      if (!bySheet) {
+        bySheet = new Map();
+        this.rangeDependents.set(bounds.sheet, bySheet);
+      }
+      const list = bySheet.get(key);
+      if (list) list.push(bounds);
+      else bySheet.set(key, [bounds]);
+    }
+  }
+
+  clearPrecedents(key) {
+    const prev = this.precedents.get(key);
+    if (!prev) return;
+    this.precedents.delete(key);
+    for (const p of prev.cells) {
+      const set = this.dependents.get(p);
+      if (!set) continue;
+      set.delete(key);
+      if (set.size === 0) this.dependents.delete(p);
+    }
+    for (const bounds of prev.ranges) {
+      const bySheet = this.rangeDependents.get(bounds.sheet);
+      if (!bySheet) continue;
+      bySheet.delete(key);
+      if (bySheet.size === 0) this.rangeDependents.delete(bounds.sheet);
+    }
+  }
+
+  clear() {
+    this.precedents.clear();
+    this.dependents.clear();
+    this.rangeDependents.clear();
+  }
+
+  // Cells that read `key` directly, either by reference or through a range.
+  directDependents(key) {
+    const out = [];
+    const set = this.dependents.get(key);
+    if (set) for (const d of set) out.push(d);
+    const { sheet, addr } = splitCellKey(key);
+    const bySheet = this.rangeDependents.get(sheet);
+    if (bySheet && bySheet.size > 0) {
+      const { row, col } = a1ToRowCol(addr);
+      for (const [dep, list] of bySheet) {
+        if (list.some((b) => row >= b.rowsMin && row <= b.rowsMax && col >= b.colsMin && col <= b.colsMax)) out.push(dep);
+      }
+    }
+    return out;
+  }
+
+  // Transitive closure of dependents for the given cell keys.
+  collectDependents(keys) {
+    const out = new Set();
+    const stack = Array.from(keys);
+    while (stack.length > 0) {
+      const key = stack.pop();
+      for (const dep of this.directDependents(key)) {
+        if (out.has(dep)) continue;
+        out.add(dep);
+        stack.push(dep);
+      }
+    }
+    return out;
+  }
+}
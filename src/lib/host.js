@@ -0,0 +1,111 @@
+import { loadScripts } from './scripts.js';
+import { isCellError } from './errors.js';
+import { cellKey, splitCellKey } from './address.js';
+
+// Serves an engine over messages, so it can compute in a Web Worker while
+// the UI thread stays responsive. `post(message)` sends a message back.
+//
+// Requests are { id, type, ...params } and get { id, result } or
+// { id, error } back:
+// - load { workbook }: replaces the workbook (see ./workbook.js)
+// - setCell { sheet, address, value } and setRange { sheet, range, values }
+// - getRange { sheet, range, mode } and evaluate { sheet, address }
+// - reloadScripts { scripts }: see loadScripts in ./scripts.js for the result.
+//   The scripts run in `options.sandbox` when given (see ./sandbox.js)
+// - functions: the metadata of every function (see BuiltinRegistry#list)
+// - call { method, args }: one of MIRRORED_METHODS
+//
+// Before replying to a request that can change values, the host posts
+// { type: 'snapshot', full, values: [[cellKey, value], ...], needsRecalc }:
+// with full set, the values of every cell that is not blank; otherwise of
+// the recomputed cells. Async results arriving later post snapshots too.
+// Errors are sent as plain { code, message } objects.
+
+// Engine methods that edit the workbook or its calculation settings, which a
+// UI holding the cell contents mirrors to the engine computing the values.
+export const MIRRORED_METHODS = [
+  'addSheet', 'renameSheet', 'removeSheet', 'duplicateSheet', 'moveSheet',
+  'insertRows', 'deleteRows', 'insertColumns', 'deleteColumns',
+  'defineName', 'updateName', 'deleteName',
+  'setCalculationMode', 'setIterativeCalculation', 'recalculate',
+];
+
+export function createEngineHost(engine, post, { sandbox } = {}) {
+  engine.onAsyncChange = (evt) => post(snapshot(engine, evt.changed));
+
+  const handlers = {
+    load({ workbook }) {
+      engine.loadJSON(workbook);
+      return { changed: 'all' };
+    },
+    setCell({ sheet, address, value }) {
+      return { changed: engine.setCell(sheet, address, value) };
+    },
+    setRange({ sheet, range, values }) {
+      return { changed: engine.setRange(sheet, range, values).changed };
+    },
+    getRange({ sheet, range, mode }) {
+      const res = engine.getRange(sheet, range, mode);
+      const rows = res.rows.map((row) => row.map((cell) => ('computed' in cell ? { ...cell, computed: toMessageValue(cell.computed) } : cell)));
+      return { result: { ...res, rows } };
+    },
+    evaluate({ sheet, address }) {
+      return { result: toMessageValue(engine.evaluateCell(sheet, address)) };
+    },
+    reloadScripts({ scripts }) {
+      return { result: loadScripts(engine, scripts, { sandbox }), changed: 'all' };
+    },
+    functions() {
+      return { result: engine.registry.list() };
+    },
+    call({ method, args = [] }) {
+      if (!MIRRORED_METHODS.includes(method)) throw new Error(`Unknown method '${method}'`);
+      const result = engine[method](...args);
+      return { result: typeof result === 'string' ? result : undefined, changed: 'all' };
+    },
+  };
+
+  return {
+    handle(message) {
+      const { id, type } = message;
+      let outcome;
+      try {
+        if (!handlers[type]) throw new Error(`Unknown request '${type}'`);
+        outcome = handlers[type](message);
+      } catch (e) {
+        post({ id, error: String(e && (e.message || e)) });
+        return;
+      }
+      if (outcome.changed) post(snapshot(engine, outcome.changed === 'all' ? null : outcome.changed));
+      post({ id, result: outcome.result });
+    },
+  };
+}
+
+// Values of the given cell keys, or of every cell that is not blank when
+// `keys` is null, spilled cells included.
+function snapshot(engine, keys) {
+  const values = [];
+  const add = (key, value) => values.push([key, toMessageValue(value)]);
+  if (keys) {
+    for (const key of keys) {
+      const { sheet, addr } = splitCellKey(key);
+      add(key, engine.evaluateCell(sheet, addr));
+    }
+  } else {
+    for (const sheet of engine.sheets.keys()) {
+      const used = engine.getUsedRange(sheet);
+      if (!used) continue;
+      for (const row of engine.getRange(sheet, used).rows) {
+        for (const cell of row) {
+          if (cell.computed !== undefined && cell.computed !== '') add(cellKey(sheet, cell.address), cell.computed);
+        }
+      }
+    }
+  }
+  return { type: 'snapshot', full: !keys, values, needsRecalc: engine.needsRecalc() };
+}
+
+function toMessageValue(value) {
+  return isCellError(value) ? { code: value.code, message: value.message } : value;
+}
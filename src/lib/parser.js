@@ -1,11 +1,27 @@
+import { ERROR, err } from './errors.js';
+import { openRangeBounds, isCellRef, NAME_PATTERN } from './address.js';
+
 // Minimal formula parser:
 // Supports:
-// - Literals: numbers (int/float), strings in double quotes
+// - Literals: numbers (int/float), strings in double quotes, TRUE/FALSE
 // - Cell refs: A1, a1, $A$1, $A1, A$1
-// - Ranges: A1:B2
+// - Spill refs: A1# (the whole array spilled from anchor A1)
+// - Ranges: A1:B2, whole columns/rows A:C and 2:5, open-ended columns A2:A
+// - 3D references across a span of sheets: Jan:Dec!C10, 'Q1:Q4'!A1:B2
 // - Function calls: NAME(arg1, arg2, ...)
+// - Defined names: TaxRate, Sales (resolved by the engine)
+// - Error literals: #REF!, #N/A, #DIV/0!, ...
 // - Commas as argument separators
-// - Unary +/- before number literals
+// - Operators, from lowest to highest precedence (as in Excel):
+//     = <> < <= > >=   comparison
+//     &                concatenation
+//     + -              addition, subtraction
+//     * /              multiplication, division
+//     ^                exponent (left-associative: 2^3^2 = 64)
+//     %                postfix percent
+//     + -              unary sign (binds tighter than ^: -2^2 = 4)
+// Cell and Range nodes carry `span: [from, to]`, their offsets in the trimmed
+// input, so references can be rewritten in the original formula text.
 
 export function parseFormula(input) {
   const ctx = { s: input.trim(), i: 0 };
@@ -18,9 +34,50 @@ export function parseFormula(input) {
 }
 
 function parseExpr(ctx) {
-  // expression with precedence: (*,/) over (+,-)
   skipWs(ctx);
-  return parseAddSub(ctx);
+  return parseComparison(ctx);
+}
+
+function parseComparison(ctx) {
+  let node = parseConcat(ctx);
+  while (true) {
+    skipWs(ctx);
+    const op = readComparisonOp(ctx);
+    if (!op) break;
+    const right = parseConcat(ctx);
+    node = { type: 'BinaryOp', op, left: node, right };
+  }
+  return node;
+}
+
+function readComparisonOp(ctx) {
+  const ch = peek(ctx);
+  const nextCh = ctx.s[ctx.i + 1];
+  if (ch === '<' && (nextCh === '=' || nextCh === '>')) {
+    ctx.i += 2;
+    return ch + nextCh;
+  }
+  if (ch === '>' && nextCh === '=') {
+    ctx.i += 2;
+    return '>=';
+  }
+  if (ch === '=' || ch === '<' || ch === '>') {
+    next(ctx);
+    return ch;
+  }
+  return null;
+}
+
+function parseConcat(ctx) {
+  let node = parseAddSub(ctx);
+  while (true) {
+    skipWs(ctx);
+    if (peek(ctx) !== '&') break;
+    next(ctx);
+    const right = parseAddSub(ctx);
+    node = { type: 'BinaryOp', op: '&', left: node, right };
+  }
+  return node;
 }
 
 function parseAddSub(ctx) {
@@ -40,13 +97,13 @@ function parseAddSub(ctx) {
 }
 
 function parseMulDiv(ctx) {
-  let node = parseTerm(ctx);
+  let node = parsePower(ctx);
   while (true) {
     skipWs(ctx);
     const ch = peek(ctx);
     if (ch === '*' || ch === '/') {
       next(ctx);
-      const right = parseTerm(ctx);
+      const right = parsePower(ctx);
       node = { type: 'BinaryOp', op: ch, left: node, right };
       continue;
     }
@@ -55,6 +112,44 @@ function parseMulDiv(ctx) {
   return node;
 }
 
+function parsePower(ctx) {
+  let node = parsePercent(ctx);
+  while (true) {
+    skipWs(ctx);
+    if (peek(ctx) !== '^') break;
+    next(ctx);
+    const right = parsePercent(ctx);
+    node = { type: 'BinaryOp', op: '^', left: node, right };
+  }
+  return node;
+}
+
+function parsePercent(ctx) {
+  let node = parseUnary(ctx);
+  while (true) {
+    skipWs(ctx);
+    if (peek(ctx) !== '%') break;
+    next(ctx);
+    node = { type: 'UnaryOp', op: '%', operand: node };
+  }
+  return node;
+}
+
+function parseUnary(ctx) {
+  skipWs(ctx);
+  const ch = peek(ctx);
+  if (ch === '+' || ch === '-') {
+    next(ctx);
+    const operand = parseUnary(ctx);
+    // Fold signed number literals so "-5" stays a plain literal
+    if (operand.type === 'Literal' && typeof operand.value === 'number') {
+      return { type: 'Literal', value: ch === '-' ? -operand.value : operand.value };
+    }
+    return { type: 'UnaryOp', op: ch, operand };
+  }
+  return parseTerm(ctx);
+}
+
 function parseTerm(ctx) {
   skipWs(ctx);
   // Function or Cell/Range or Literal
@@ -69,41 +164,32 @@ function parseTerm(ctx) {
   }
   // String literal
   if (peek(ctx) === '"') return parseString(ctx);
-  // Number (with optional unary +/-)
-  if (peek(ctx) === '+' || peek(ctx) === '-' || isDigit(peek(ctx))) {
+  // Error literal, e.g. #REF! left behind by a deleted row
+  if (peek(ctx) === '#') return parseErrorLiteral(ctx);
+  // Whole-row range, e.g. 3:3 or $2:$5
+  const tryRows = tryParseRowRange(ctx);
+  if (tryRows) return tryRows;
+  // Number (signs are handled by parseUnary)
+  if (isDigit(peek(ctx))) {
     const tryNum = tryParseNumber(ctx);
     if (tryNum) return tryNum;
   }
   // Try sheet-qualified cell/range e.g., Sheet1!$A$1 or Sheet1!A1:B2
   const trySheet = tryParseSheetQualified(ctx);
   if (trySheet) return trySheet;
-  // Identifier or cell
-  if (isAlpha(peek(ctx)) || peek(ctx) === '$') {
-    // Look ahead to see if this is a cell/range or a function name
-    const ident = readWhile(ctx, (ch) => isAlpha(ch) || ch === '$');
-    // If next is a digit -> it's a cell reference (supporting $)
-    if (isDigit(peek(ctx))) {
-      const rowAbs = readWhile(ctx, (ch) => ch === '$');
-      const row = readWhile(ctx, (ch) => isDigit(ch));
-      const cell = (ident + rowAbs + row).toUpperCase();
-      skipWs(ctx);
-      if (peek(ctx) === ':') {
-        next(ctx); // consume ':'
-        skipWs(ctx);
-        const endRef = parseCellRef(ctx);
-        return { type: 'Range', start: cell, end: endRef };
-      }
-      return { type: 'Cell', ref: cell };
-    }
-    // If next non-ws is '(' it's a function call
+  // Identifier: cell, range, function call, boolean or defined name
+  if (isAlpha(peek(ctx)) || peek(ctx) === '$' || peek(ctx) === '_') {
+    const word = readWhile(ctx, (ch) => isAlpha(ch) || isDigit(ch) || ch === '$' || ch === '_' || ch === '.');
+    const wordEnd = ctx.i;
     skipWs(ctx);
-    if (peek(ctx) === '(') {
+    // If next non-ws is '(' it's a function call
+    if (peek(ctx) === '(' && NAME_PATTERN.test(word)) {
       next(ctx); // consume '('
       const args = [];
       skipWs(ctx);
       if (peek(ctx) === ')') {
         next(ctx);
-        return { type: 'Call', name: ident.toUpperCase(), args };
+        return { type: 'Call', name: word.toUpperCase(), args };
       }
       while (true) {
         const arg = parseExpr(ctx);
@@ -119,26 +205,81 @@ function parseTerm(ctx) {
         }
         throw new Error('Expected , or ) in function call at ' + ctx.i);
       }
-      return { type: 'Call', name: ident.toUpperCase(), args };
+      return { type: 'Call', name: word.toUpperCase(), args };
+    }
+    // Cell reference (supporting $), possibly starting a range
+    if (isCellRef(word)) {
+      const cell = word.toUpperCase();
+      if (ctx.s[wordEnd] === '#') {
+        ctx.i = wordEnd + 1;
+        return { type: 'SpillRef', ref: cell, span: [start, ctx.i] };
+      }
+      if (peek(ctx) === ':') {
+        next(ctx); // consume ':'
+        skipWs(ctx);
+        const endRef = parseRangeEnd(ctx, cell);
+        return { type: 'Range', start: cell, end: endRef, span: [start, ctx.i] };
+      }
+      return { type: 'Cell', ref: cell, span: [start, wordEnd] };
+    }
+    // If next non-ws is ':' it's a whole-column range, e.g. A:C
+    if (peek(ctx) === ':' && /^\$?[A-Za-z]+$/.test(word)) {
+      next(ctx); // consume ':'
+      skipWs(ctx);
+      const col = word.toUpperCase();
+      const endRef = parseRangeEnd(ctx, col);
+      return { type: 'Range', start: col, end: endRef, span: [start, ctx.i] };
     }
     // Boolean literals TRUE/FALSE
-    const upperIdent = ident.toUpperCase();
-    if (upperIdent === 'TRUE') return { type: 'Literal', value: true };
-    if (upperIdent === 'FALSE') return { type: 'Literal', value: false };
-    // Otherwise treat as bare identifier string literal
+    const upperWord = word.toUpperCase();
+    if (upperWord === 'TRUE') return { type: 'Literal', value: true };
+    if (upperWord === 'FALSE') return { type: 'Literal', value: false };
+    // Otherwise a defined name, e.g. TaxRate
+    if (NAME_PATTERN.test(word)) return { type: 'Name', name: word, span: [start, wordEnd] };
     ctx.i = start;
   }
   throw new Error('Unable to parse term at ' + ctx.i);
 }
 
-function parseCellRef(ctx) {
+// Reads a cell ($A$1), column ($A) or row ($1) reference.
+function parseRangePartRef(ctx) {
   const col = readWhile(ctx, (ch) => isAlpha(ch) || ch === '$');
   const rowAbs = readWhile(ctx, (ch) => ch === '$');
   const row = readWhile(ctx, (ch) => isDigit(ch));
-  if (!col || !row) throw new Error('Invalid cell reference at ' + ctx.i);
+  if (!/[A-Za-z]/.test(col) && !row) throw new Error('Invalid cell reference at ' + ctx.i);
   return (col + rowAbs + row).toUpperCase();
 }
 
+// Reads the end of a range starting at `startRef` and checks the pair forms a
+// valid range (cell:cell, column:column, row:row or cell:column).
+function parseRangeEnd(ctx, startRef) {
+  const at = ctx.i;
+  const endRef = parseRangePartRef(ctx);
+  try {
+    openRangeBounds(startRef, endRef);
+  } catch {
+    throw new Error(`Invalid range ${startRef}:${endRef} at ${at}`);
+  }
+  return endRef;
+}
+
+function tryParseRowRange(ctx) {
+  const start = ctx.i;
+  const first = peek(ctx) === '$' ? ctx.s[ctx.i + 1] : peek(ctx);
+  if (!isDigit(first)) return null;
+  const rowAbs = readWhile(ctx, (ch) => ch === '$');
+  const row = rowAbs + readWhile(ctx, (ch) => isDigit(ch));
+  skipWs(ctx);
+  if (peek(ctx) !== ':') {
+    ctx.i = start;
+    return null;
+  }
+  next(ctx); // consume ':'
+  skipWs(ctx);
+  const endRef = parseRangeEnd(ctx, row);
+  return { type: 'Range', start: row, end: endRef, span: [start, ctx.i] };
+}
+
 function parseString(ctx) {
   expect(ctx, '"');
   let out = '';
@@ -159,9 +300,18 @@ function parseString(ctx) {
   return { type: 'Literal', value: out };
 }
 
+function parseErrorLiteral(ctx) {
+  const m = ERROR_LITERAL.exec(ctx.s.slice(ctx.i));
+  if (!m) throw new Error('Unknown error literal at ' + ctx.i);
+  ctx.i += m[0].length;
+  const code = m[0].toUpperCase();
+  return { type: 'Literal', value: err(code, code === ERROR.REF ? 'Reference no longer exists' : '') };
+}
+
+const ERROR_LITERAL = /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|CYCLE!|SPILL!|BUSY!|TIMEOUT!)/i;
+
 function tryParseNumber(ctx) {
   const start = ctx.i;
-  if (peek(ctx) === '+' || peek(ctx) === '-') next(ctx);
   let seenDigit = false;
   while (isDigit(peek(ctx))) {
     seenDigit = true;
@@ -189,27 +339,85 @@ function tryParseNumber(ctx) {
 
 function tryParseSheetQualified(ctx) {
   const start = ctx.i;
-  // sheet name: letters, digits, underscore (no spaces for now)
-  const sheet = readWhile(ctx, (ch) => isAlpha(ch) || isDigit(ch) || ch === '_');
+  // sheet name: letters, digits, underscore, or any name in single quotes
+  // ('Q1 Sales'!A1) with '' standing for a literal quote
+  const quoted = peek(ctx) === "'";
+  const readName = () => readWhile(ctx, (ch) => isAlpha(ch) || isDigit(ch) || ch === '_');
+  let sheet = quoted ? readQuotedSheetName(ctx) : readName();
   if (!sheet) {
     ctx.i = start;
     return null;
   }
+  // 3D span of sheets: First:Last! unquoted, or 'First:Last'! when quoted
+  // (sheet names cannot contain ':')
+  let lastSheet = null;
+  if (quoted && sheet.includes(':')) {
+    const names = sheet.split(':');
+    if (names.length !== 2) throw new Error('Invalid 3D reference at ' + start);
+    [sheet, lastSheet] = names;
+  } else if (!quoted && peek(ctx) === ':') {
+    const colon = ctx.i;
+    next(ctx);
+    lastSheet = readName();
+    if (!lastSheet || peek(ctx) !== '!') {
+      ctx.i = colon;
+      lastSheet = null;
+    }
+  }
   if (peek(ctx) !== '!') {
+    if (quoted) throw new Error(`Expected '!' after quoted sheet name at ${ctx.i}`);
     ctx.i = start;
     return null;
   }
   next(ctx); // consume '!'
-  // After '!' must be a cell ref (with optional $), possibly a range
-  const cellStart = parseCellRef(ctx);
+  if (lastSheet !== null) return parse3DRef(ctx, sheet, lastSheet, start);
+  // After '!' must be a cell ref (with optional $), possibly a range, or a
+  // whole-column/row range
+  const cellStart = parseRangePartRef(ctx);
+  const cellStartEnd = ctx.i;
+  if (peek(ctx) === '#' && isCellRef(cellStart)) {
+    next(ctx);
+    return { type: 'SpillRef', ref: `${sheet}!${cellStart}`, span: [start, ctx.i] };
+  }
+  skipWs(ctx);
+  if (peek(ctx) === ':') {
+    next(ctx);
+    skipWs(ctx);
+    const cellEnd = parseRangeEnd(ctx, cellStart);
+    return { type: 'Range', start: `${sheet}!${cellStart}`, end: `${sheet}!${cellEnd}`, span: [start, ctx.i] };
+  }
+  if (!/[A-Z]\$?\d/.test(cellStart)) throw new Error('Invalid cell reference at ' + cellStartEnd);
+  return { type: 'Cell', ref: `${sheet}!${cellStart}`, span: [start, cellStartEnd] };
+}
+
+function parse3DRef(ctx, firstSheet, lastSheet, start) {
+  if (!firstSheet || !lastSheet) throw new Error('Invalid 3D reference at ' + start);
+  const cellStart = parseRangePartRef(ctx);
+  const cellStartEnd = ctx.i;
   skipWs(ctx);
   if (peek(ctx) === ':') {
     next(ctx);
     skipWs(ctx);
-    const cellEnd = parseCellRef(ctx);
-    return { type: 'Range', start: `${sheet}!${cellStart}`, end: `${sheet}!${cellEnd}` };
+    const cellEnd = parseRangeEnd(ctx, cellStart);
+    return { type: 'Ref3D', firstSheet, lastSheet, start: cellStart, end: cellEnd, span: [start, ctx.i] };
+  }
+  if (!/[A-Z]\$?\d/.test(cellStart)) throw new Error('Invalid cell reference at ' + cellStartEnd);
+  return { type: 'Ref3D', firstSheet, lastSheet, start: cellStart, end: cellStart, span: [start, cellStartEnd] };
+}
+
+function readQuotedSheetName(ctx) {
+  const start = ctx.i;
+  next(ctx); // consume opening quote
+  let name = '';
+  while (ctx.i < ctx.s.length) {
+    const ch = next(ctx);
+    if (ch === "'") {
+      if (peek(ctx) !== "'") return name;
+      next(ctx); // '' is an escaped quote
+    }
+    name += ch;
   }
-  return { type: 'Cell', ref: `${sheet}!${cellStart}` };
+  throw new Error(`Unterminated sheet name at ${start}`);
 }
 
 // Helpers
@@ -0,0 +1,198 @@
+import { parseFormula } from './parser.js';
+import { ERROR } from './errors.js';
+import { columnLabel, parseRangePart, quoteSheetName, splitSheetRef } from './address.js';
+
+// Formula reference rewriting used by structural edits (inserting/deleting
+// rows and columns, renaming/removing sheets). Rewrites work on the parsed AST's source spans, so only
+// the references themselves change and the rest of the formula text is kept.
+
+// Rewrites the references of a formula string ("=..."). `mapRef(node)` gets
+// each Cell/Range node and returns its replacement text, or null to keep it.
+// Values that are not formulas, or do not parse, are returned unchanged.
+export function rewriteFormulaRefs(formula, mapRef) {
+  if (typeof formula !== 'string' || !formula.startsWith('=')) return formula;
+  const body = formula.slice(1);
+  let ast;
+  try {
+    ast = parseFormula(body);
+  } catch {
+    return formula;
+  }
+  // parseFormula trims its input, so spans are relative to the first non-space character
+  const offset = 1 + (body.length - body.trimStart().length);
+  const nodes = [];
+  collectRefNodes(ast, nodes);
+  nodes.sort((a, b) => a.span[0] - b.span[0]);
+  let out = '';
+  let last = 0;
+  for (const node of nodes) {
+    const replacement = mapRef(node);
+    if (replacement == null) continue;
+    const from = offset + node.span[0];
+    out += formula.slice(last, from) + replacement;
+    last = offset + node.span[1];
+  }
+  return last === 0 ? formula : out + formula.slice(last);
+}
+
+// Moves references after `count` rows/columns are inserted (count > 0) or
+// deleted (count < 0) at 1-based index `at` of `edit.sheet`. `formulaSheet`
+// is the sheet holding the formula, which unqualified references point to.
+// References to deleted cells become #REF!; ranges shrink or grow instead
+// unless they are deleted entirely. Whole columns are unaffected by row edits
+// (and whole rows by column edits); open ends like A2:A stay open. 3D
+// references are left alone, as an edit to one sheet does not move them.
+export function shiftFormulaRefs(formula, formulaSheet, edit) {
+  const { sheet, axis, at, count } = edit;
+  return rewriteFormulaRefs(formula, (node) => {
+    if (node.type === 'Cell' || node.type === 'SpillRef') {
+      const ref = splitRef(node.ref, formulaSheet);
+      if (ref.sheet !== sheet) return null;
+      const cell = parseA1Parts(ref.a1);
+      const moved = shiftIndex(cell[axis], at, count);
+      if (moved === null) return ERROR.REF;
+      if (moved === cell[axis]) return null;
+      cell[axis] = moved;
+      return ref.prefix + formatA1Parts(cell) + spillSuffix(node);
+    }
+    if (node.type === 'Range') {
+      const startRef = splitRef(node.start, formulaSheet);
+      if (startRef.sheet !== sheet) return null;
+      const endRef = splitRef(node.end, formulaSheet);
+      const start = parseA1Parts(startRef.a1);
+      const end = parseA1Parts(endRef.a1);
+      if (start[axis] === null && end[axis] === null) return null;
+      // A missing end (A2:A) runs to the end of the sheet
+      const startPos = start[axis] ?? 1;
+      const endPos = end[axis] ?? Infinity;
+      const forward = startPos <= endPos;
+      const lo = forward ? start : end;
+      const hi = forward ? end : start;
+      const span = shiftSpan(Math.min(startPos, endPos), Math.max(startPos, endPos), at, count);
+      if (span === null) return ERROR.REF;
+      if (span[0] === lo[axis] && span[1] === (hi[axis] ?? Infinity)) return null;
+      lo[axis] = span[0];
+      if (hi[axis] !== null) hi[axis] = span[1];
+      return `${startRef.prefix}${formatA1Parts(start)}:${formatA1Parts(end)}`;
+    }
+    return null;
+  });
+}
+
+// Points references qualified with `oldName` at `newName`.
+export function renameSheetRefs(formula, oldName, newName) {
+  return rewriteFormulaRefs(formula, (node) => {
+    if (node.type === 'Ref3D') {
+      if (node.firstSheet !== oldName && node.lastSheet !== oldName) return null;
+      const first = node.firstSheet === oldName ? newName : node.firstSheet;
+      const last = node.lastSheet === oldName ? newName : node.lastSheet;
+      return format3DRef(first, last, node);
+    }
+    const ref = splitRef(node.type === 'Range' ? node.start : node.ref, null);
+    if (ref.sheet !== oldName) return null;
+    const prefix = formatSheetPrefix(newName);
+    if (node.type === 'Range') return `${prefix}${ref.a1}:${splitRef(node.end, null).a1}`;
+    return prefix + ref.a1 + spillSuffix(node);
+  });
+}
+
+// Turns references qualified with a removed sheet's name into #REF!. 3D
+// references that end at it move that end inward along `order`, the sheet
+// order before the removal.
+export function removeSheetRefs(formula, sheetName, order = []) {
+  return rewriteFormulaRefs(formula, (node) => {
+    if (node.type === 'Ref3D') {
+      if (node.firstSheet !== sheetName && node.lastSheet !== sheetName) return null;
+      const i = order.indexOf(node.firstSheet);
+      const j = order.indexOf(node.lastSheet);
+      if (i === -1 || j === -1 || i === j) return ERROR.REF;
+      const step = i < j ? 1 : -1;
+      const first = node.firstSheet === sheetName ? order[i + step] : node.firstSheet;
+      const last = node.lastSheet === sheetName ? order[j - step] : node.lastSheet;
+      return format3DRef(first, last, node);
+    }
+    const ref = splitRef(node.type === 'Range' ? node.start : node.ref, null);
+    return ref.sheet === sheetName ? ERROR.REF : null;
+  });
+}
+
+export function formatSheetPrefix(sheetName) {
+  return `${quoteSheetName(sheetName)}!`;
+}
+
+// Jan:Dec!C10, or 'Jan 2024:Dec 2024'!C10 when either name needs quoting.
+function format3DRef(firstSheet, lastSheet, node) {
+  const plain = quoteSheetName(firstSheet) === firstSheet && quoteSheetName(lastSheet) === lastSheet;
+  const sheets = plain ? `${firstSheet}:${lastSheet}` : quoteSheetName(`${firstSheet}:${lastSheet}`);
+  const a1 = node.start === node.end ? node.start : `${node.start}:${node.end}`;
+  return `${sheets}!${a1}`;
+}
+
+// New position of a row/column index, or null if it was deleted.
+export function shiftIndex(pos, at, count) {
+  if (count > 0) return pos >= at ? pos + count : pos;
+  const n = -count;
+  if (pos < at) return pos;
+  if (pos >= at + n) return pos - n;
+  return null;
+}
+
+function shiftSpan(lo, hi, at, count) {
+  if (count > 0) return [lo >= at ? lo + count : lo, hi >= at ? hi + count : hi];
+  const n = -count;
+  const lastDeleted = at + n - 1;
+  if (lo >= at && hi <= lastDeleted) return null;
+  const newLo = lo < at ? lo : (lo > lastDeleted ? lo - n : at);
+  const newHi = hi < at ? hi : (hi > lastDeleted ? hi - n : at - 1);
+  return [newLo, newHi];
+}
+
+function collectRefNodes(node, out) {
+  if (!node) return;
+  switch (node.type) {
+    case 'Cell':
+    case 'SpillRef':
+    case 'Range':
+    case 'Ref3D':
+      out.push(node);
+      return;
+    case 'Call':
+      for (const arg of node.args) collectRefNodes(arg, out);
+      return;
+    case 'BinaryOp':
+      collectRefNodes(node.left, out);
+      collectRefNodes(node.right, out);
+      return;
+    case 'UnaryOp':
+      collectRefNodes(node.operand, out);
+      return;
+    default:
+  }
+}
+
+// Spill references (A1#) keep their '#' when rewritten.
+function spillSuffix(node) {
+  return node.type === 'SpillRef' ? '#' : '';
+}
+
+// Splits "Sheet1!$A$1" into the prefix to write back ("Sheet1!", quoted when
+// the name needs it), the sheet it targets and the A1 part. Unqualified refs
+// target `defaultSheet`.
+function splitRef(ref, defaultSheet) {
+  const { sheet, ref: a1 } = splitSheetRef(ref);
+  if (sheet === null) return { prefix: '', sheet: defaultSheet, a1 };
+  return { prefix: formatSheetPrefix(sheet), sheet, a1 };
+}
+
+// Cell, column ("A") or row ("3") reference parts; missing parts are null.
+function parseA1Parts(a1) {
+  const parts = parseRangePart(a1);
+  if (!parts) throw new Error('Invalid A1: ' + a1);
+  return parts;
+}
+
+function formatA1Parts({ colAbs, col, rowAbs, row }) {
+  const colPart = col === null ? '' : `${colAbs ? '$' : ''}${columnLabel(col)}`;
+  const rowPart = row === null ? '' : `${rowAbs ? '$' : ''}${row}`;
+  return colPart + rowPart;
+}
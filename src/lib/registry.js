@@ -4,12 +4,49 @@ export class BuiltinRegistry {
     // the original registration name for display and tooling.
     this.map = new Map(); // UPPERCASE name -> function(argsArray, ctx)
     this.originalNames = new Map(); // UPPERCASE name -> originalCaseName
+    this.options = new Map(); // UPPERCASE name -> registration options
+    this.arities = new Map(); // UPPERCASE name -> { min, max } from options.params, or null
   }
 
-  register(name, fn) {
+  // Options:
+  // - lazy: the function receives argument thunks (call arg() to evaluate it)
+  //   instead of values, so branches it never reads are never evaluated.
+  // - volatile: the result can change without its inputs changing (NOW(),
+  //   RAND()), so cells calling it recompute on every recalculation.
+  // - description, returns (a type) and examples (formulas without '='),
+  //   for autocomplete and docs.
+  // - params: [{ name, type, optional, repeating, description }], or a
+  //   signature like 'value: number, [default]: any, ...[more]: number'.
+  //   A repeating param takes the remaining arguments, at least one unless
+  //   it is optional.
+  //   Types are number, text, boolean, date, range and any; calls with a
+  //   wrong number of arguments give #N/A, and text that is not a number
+  //   where a number goes gives #VALUE!. Without params, anything goes.
+  // - contextual: the result depends on where it is called from (the
+  //   caller or argRefs of its context, see ./context.js), so async results
+  //   are cached per call site.
+  register(name, fn, options = {}) {
     const key = name.toUpperCase();
     this.map.set(key, fn);
     this.originalNames.set(key, name);
+    const opts = typeof options.params === 'string' ? { ...options, params: parseParams(options.params) } : options;
+    this.options.set(key, opts);
+    this.arities.set(key, opts.params ? arityOf(opts.params) : null);
+  }
+
+  isLazy(name) {
+    const opts = this.options.get(name.toUpperCase());
+    return !!(opts && opts.lazy);
+  }
+
+  isVolatile(name) {
+    const opts = this.options.get(name.toUpperCase());
+    return !!(opts && opts.volatile);
+  }
+
+  isContextual(name) {
+    const opts = this.options.get(name.toUpperCase());
+    return !!(opts && opts.contextual);
   }
 
   has(name) {
@@ -23,6 +60,64 @@ export class BuiltinRegistry {
   names() {
     return Array.from(this.originalNames.values());
   }
+
+  // { name, description, params, returns, examples, volatile }, as plain data.
+  getMetadata(name) {
+    const key = name.toUpperCase();
+    if (!this.map.has(key)) return null;
+    const opts = this.options.get(key);
+    return {
+      name: this.originalNames.get(key),
+      description: opts.description || '',
+      params: opts.params ? opts.params.map((p) => ({ ...p })) : null,
+      returns: opts.returns || 'any',
+      examples: opts.examples ? [...opts.examples] : [],
+      volatile: !!opts.volatile,
+    };
+  }
+
+  // The metadata of every function but BUILTINS.
+  list() {
+    return this.names().filter((n) => n !== 'BUILTINS').map((n) => this.getMetadata(n));
+  }
+
+  // { min, max } argument counts, max being Infinity for repeating
+  // parameters; null when the function declares no params.
+  arity(name) {
+    return this.arities.get(name.toUpperCase()) ?? null;
+  }
+
+  // The declared params as registered; null when there are none.
+  params(name) {
+    const opts = this.options.get(name.toUpperCase());
+    return (opts && opts.params) || null;
+  }
+}
+
+function arityOf(params) {
+  // A required repeating param needs one argument
+  const min = params.filter((p) => !p.optional).length;
+  return { min, max: params.some((p) => p.repeating) ? Infinity : params.length };
+}
+
+// E.g. 'AND(logical, [...logicals])', or 'NAME(...)' when the params are unknown.
+export function formatSignature(meta) {
+  if (!meta.params) return `${meta.name}(...)`;
+  const params = meta.params.map((p) => {
+    const name = p.repeating ? `...${p.name}` : p.name;
+    return p.optional ? `[${name}]` : name;
+  });
+  return `${meta.name}(${params.join(', ')})`;
+}
+
+// 'a: number, [b]: text, ...[rest]' -> params; a missing type is any.
+function parseParams(signature) {
+  if (signature.trim() === '') return [];
+  return signature.split(',').map((part) => {
+    const m = /^\s*(\.\.\.)?(\[)?([\w.]+)\]?\s*(?::\s*(\w+))?\s*$/.exec(part);
+    if (!m) throw new Error(`Invalid parameter '${part.trim()}'`);
+    return { name: m[3], type: m[4] || 'any', optional: !!m[2], repeating: !!m[1], description: '' };
+  });
 }
 
 
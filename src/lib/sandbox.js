@@ -0,0 +1,227 @@
+import { BuiltinRegistry } from './registry.js';
+import { registerBuiltins } from './builtins/index.js';
+import { ERROR, err, isCellError } from './errors.js';
+import { builtinsHelper, compileScripts, formatScriptError } from './scripts.js';
+
+// Runs the functions of user scripts (see ./scripts.js) in a realm of their
+// own, a Web Worker or a Node worker thread, where they see only
+// SANDBOX_GLOBALS. Each call gets `timeout` ms and yields #TIMEOUT! when it
+// takes longer; as a running script cannot be interrupted, the realm is then
+// terminated and the next call starts a new one.
+//
+// The host posts { type: 'load', files } with the parsed scripts (see
+// loadScripts), and { type: 'call', id, name, args, context }, answered
+// with { id, result } or { id, error }. Calls are sent one at a time. Cell
+// errors cross as { '#error': code, message }.
+//
+// `context` holds the caller and argRefs of the call's context (see
+// ./context.js); the realm gives scripts a context whose getRange(ref)
+// returns a promise and whose log(...values) reaches the host's. Meanwhile
+// the realm posts { id, log: values } and { id, read, ref }, which the host
+// answers with { type: 'range', id, read, values } or { ..., error }.
+
+export const DEFAULT_SCRIPT_TIMEOUT = 1000;
+
+// Globals scripts can use: the language's built-ins, timers and console.
+export const SANDBOX_GLOBALS = [
+  'globalThis', 'undefined', 'NaN', 'Infinity',
+  'Object', 'Array', 'Boolean', 'Number', 'String', 'Symbol', 'BigInt', 'Date', 'RegExp', 'Math', 'JSON', 'Intl',
+  'Reflect', 'Proxy', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry',
+  'ArrayBuffer', 'DataView', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError', 'AggregateError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent',
+  'setTimeout', 'clearTimeout', 'queueMicrotask', 'structuredClone', 'TextEncoder', 'TextDecoder', 'atob', 'btoa',
+  'console',
+];
+
+// The host side. `spawn(onMessage, onError)` starts a realm running
+// serveSandbox and returns { post(message), terminate() }. Returns
+// { load(files), call(name, args, context), terminate() }, where call
+// returns a promise of the result.
+export function createSandbox(spawn, { timeout = DEFAULT_SCRIPT_TIMEOUT } = {}) {
+  let realm = null;
+  let loaded = null; // the last load message, for new realms
+  const queue = []; // calls waiting: { name, args, resolve, reject }
+  let active = null; // the call the realm is running, with its id and timer
+  let nextId = 1;
+
+  const start = () => {
+    const current = spawn(
+      (message) => { if (realm === current) settle(message); },
+      (e) => { if (realm === current) crash(e); },
+    );
+    realm = current;
+    if (loaded) realm.post(loaded);
+  };
+
+  const stop = () => {
+    if (realm) realm.terminate();
+    realm = null;
+  };
+
+  const next = () => {
+    if (active || queue.length === 0) return;
+    if (!realm) start();
+    active = { ...queue.shift(), id: nextId++ };
+    active.timer = setTimeout(() => {
+      stop();
+      finish((call) => call.reject(err(ERROR.TIMEOUT, `${call.name} took longer than ${timeout} ms`)));
+    }, timeout);
+    const { context } = active;
+    realm.post({
+      type: 'call',
+      id: active.id,
+      name: active.name,
+      args: toPlain(active.args),
+      context: context ? { caller: context.caller, argRefs: context.argRefs } : { caller: null, argRefs: [] },
+    });
+  };
+
+  const finish = (settleCall) => {
+    const call = active;
+    clearTimeout(call.timer);
+    active = null;
+    settleCall(call);
+    next();
+  };
+
+  const settle = (message) => {
+    if (!active || message.id !== active.id) return;
+    if ('log' in message) {
+      if (active.context) active.context.log(...fromPlain(message.log));
+      return;
+    }
+    if ('read' in message) {
+      realm.post({ type: 'range', id: active.id, read: message.read, ...readRange(active.context, message.ref) });
+      return;
+    }
+    finish((call) => ('error' in message ? call.reject(new Error(message.error)) : call.resolve(fromPlain(message.result))));
+  };
+
+  // E.g. a Node worker thread over its memory limit
+  const crash = (e) => {
+    stop();
+    if (active) finish((call) => call.reject(e));
+  };
+
+  return {
+    load(files) {
+      loaded = { type: 'load', files };
+      if (realm) realm.post(loaded);
+    },
+
+    call(name, args, context) {
+      return new Promise((resolve, reject) => {
+        queue.push({ name, args, context, resolve, reject });
+        next();
+      });
+    },
+
+    terminate() {
+      stop();
+      const calls = active ? [active, ...queue] : [...queue];
+      if (active) clearTimeout(active.timer);
+      active = null;
+      queue.length = 0;
+      for (const call of calls) call.reject(new Error('Script sandbox terminated'));
+    },
+  };
+}
+
+// The realm side. `post(message)` answers the host and `listen(handler)`
+// subscribes to its messages. Both must be set up before this runs, as it
+// then removes every global outside SANDBOX_GLOBALS.
+export function serveSandbox(post, listen) {
+  const compile = Function;
+  const builtins = new BuiltinRegistry();
+  registerBuiltins(builtins);
+  let functions = {};
+  let failures = {}; // function name -> why its file failed to load
+  const reads = new Map(); // read id -> { resolve, reject } of a getRange waiting for the host
+  let nextRead = 1;
+
+  const realmContext = (id, { caller, argRefs }) => ({
+    caller,
+    argRefs,
+    getRange: (ref) => new Promise((resolve, reject) => {
+      const read = nextRead++;
+      reads.set(read, { resolve, reject });
+      post({ id, read, ref: String(ref) });
+    }),
+    log: (...values) => post({ id, log: toPlain(values) }),
+  });
+
+  listen(async (message) => {
+    if (message.type === 'load') {
+      const compiled = compileScripts(compile, message.files, builtinsHelper(builtins));
+      functions = compiled.functions;
+      failures = {};
+      for (const error of compiled.errors) {
+        const file = message.files.find((f) => f.name === error.file);
+        for (const name of file.names) failures[name] = `Script error: ${formatScriptError(error)}`;
+      }
+      return;
+    }
+    if (message.type === 'range') {
+      const read = reads.get(message.read);
+      reads.delete(message.read);
+      if (!read) return;
+      if ('error' in message) read.reject(new Error(message.error));
+      else read.resolve(fromPlain(message.values));
+      return;
+    }
+    const { id, name, args, context } = message;
+    try {
+      if (failures[name]) throw new Error(failures[name]);
+      if (typeof functions[name] !== 'function') throw new Error(`Unknown function: ${name}`);
+      post({ id, result: toPlain(await functions[name](fromPlain(args), realmContext(id, context))) });
+    } catch (e) {
+      post({ id, error: errorMessage(e) });
+    }
+  });
+  lockDown();
+}
+
+// Deletes the globals outside SANDBOX_GLOBALS, including those inherited
+// from the global scope's prototypes (e.g. WorkerGlobalScope), and cuts the
+// way back to eval through function constructors.
+function lockDown() {
+  const allowed = new Set(SANDBOX_GLOBALS);
+  for (let scope = globalThis; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    for (const key of Reflect.ownKeys(scope)) {
+      if (allowed.has(key) || key === 'constructor') continue;
+      try { delete scope[key]; } catch {}
+    }
+  }
+  const fns = [function () {}, async function () {}, function* () {}, async function* () {}];
+  for (const fn of fns) {
+    Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+  }
+}
+
+// The host's answer to a getRange from the realm.
+function readRange(context, ref) {
+  try {
+    if (!context) throw new Error('getRange is not available here');
+    return { values: toPlain(context.getRange(ref)) };
+  } catch (e) {
+    return { error: errorMessage(e) };
+  }
+}
+
+function toPlain(value) {
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (isCellError(value)) return { '#error': value.code, message: value.message };
+  return value;
+}
+
+function fromPlain(value) {
+  if (Array.isArray(value)) return value.map(fromPlain);
+  if (value !== null && typeof value === 'object' && '#error' in value) return err(value['#error'], value.message);
+  return value;
+}
+
+function errorMessage(e) {
+  return String(e && (e.message || e));
+}
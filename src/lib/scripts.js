@@ -0,0 +1,227 @@
+import * as acorn from 'acorn';
+import { registerBuiltins } from './builtins/index.js';
+
+// User scripts: plain JavaScript files whose top-level function declarations
+// become spreadsheet functions (names starting with '_' stay private). Scripts
+// are { name, content } objects, as the script editor and workbooks hold them.
+//
+// Each file compiles on its own, so a broken file only loses its own
+// functions. A file sees BUILTINS, the built-in functions called with their
+// arguments spread (e.g. BUILTINS.SUM(args)), and the other files' functions.
+//
+// A JSDoc comment right before a function gives its metadata (see
+// BuiltinRegistry#register): the description, a @param per spreadsheet
+// argument ({number=} or [name] for optional ones, {...number} for a list),
+// @returns, @example formulas and @volatile.
+//
+// Like every function, script functions get their call's context (see
+// ./context.js) as second parameter: function SELF_ROW(args, ctx). Those
+// declaring it may depend on where they are called from. In a sandbox, its
+// getRange returns a promise, so scripts await it.
+
+// Swaps the engine's registry for one with the built-ins and the scripts'
+// functions, and drops cached async results of those functions. Returns
+// { names, errors }: the names of the functions, and one { file, line,
+// column, message } per file that failed to load, with 1-based line and
+// column (null when unknown).
+//
+// With a `sandbox` (see ./sandbox.js) the scripts run there and every call is
+// async; errors other than syntax errors then fail the file's calls instead.
+// Without one they run here, with access to everything this code has.
+export function loadScripts(engine, scripts, { sandbox } = {}) {
+  const { files, errors } = parseScripts(scripts);
+  const registry = new engine.registry.constructor();
+  registerBuiltins(registry);
+  let functions;
+  if (sandbox) {
+    sandbox.load(files);
+    functions = {};
+    for (const file of files) {
+      for (const name of file.names) functions[name] = (args, ctx) => sandbox.call(name, args, ctx);
+    }
+  } else {
+    const compiled = compileScripts(Function, files, builtinsHelper(registry));
+    functions = compiled.functions;
+    errors.push(...compiled.errors);
+  }
+  const names = Object.keys(functions);
+  const meta = Object.assign({}, ...files.map((file) => file.meta));
+  for (const name of names) registry.register(name, functions[name], meta[name]);
+  engine.registry = registry;
+  engine.clearAsyncCache(names);
+  return { names, errors };
+}
+
+// Parses every file, leaving out those with syntax errors. Each file comes
+// with the names of its functions and of everything it declares, and the
+// functions' registration options from their JSDoc.
+function parseScripts(scripts) {
+  const files = [];
+  const errors = [];
+  for (const script of scripts) {
+    const name = String(script.name || 'script.js');
+    const content = String(script.content || '');
+    let ast;
+    const comments = [];
+    try {
+      ast = acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'script', locations: true, onComment: comments });
+    } catch (e) {
+      const message = String(e.message).replace(/ \(\d+:\d+\)$/, '');
+      errors.push({ file: name, line: e.loc ? e.loc.line : null, column: e.loc ? e.loc.column + 1 : null, message });
+      continue;
+    }
+    const dynamicImport = findNode(ast, 'ImportExpression');
+    if (dynamicImport) {
+      const { line, column } = dynamicImport.loc.start;
+      errors.push({ file: name, line, column: column + 1, message: 'Scripts cannot import modules' });
+      continue;
+    }
+    const names = [];
+    const declared = [];
+    const meta = {};
+    for (const node of ast.body) {
+      if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') {
+        declared.push(node.id.name);
+        if (node.type === 'FunctionDeclaration' && !node.id.name.startsWith('_')) {
+          names.push(node.id.name);
+          const doc = docCommentBefore(content, comments, node);
+          meta[node.id.name] = doc ? parseJsDoc(doc) : {};
+          // Functions taking the context may depend on where they are called
+          if (node.params.length > 1) meta[node.id.name].contextual = true;
+        }
+      } else if (node.type === 'VariableDeclaration') {
+        for (const decl of node.declarations) collectBindings(decl.id, declared);
+      }
+    }
+    files.push({ name, content, names, declared, meta });
+  }
+  return { files, errors };
+}
+
+// Compiles parsed files with `compile` (the Function constructor). Returns
+// { functions, errors }, with the functions by name.
+export function compileScripts(compile, files, builtins) {
+  const functions = {};
+  const errors = [];
+  // Other files' functions are looked up when called, as they may load later
+  const fromOtherFile = (name) => (...args) => {
+    if (typeof functions[name] !== 'function') throw new ReferenceError(`${name} is not defined`);
+    return functions[name](...args);
+  };
+  const allNames = [...new Set(files.flatMap((file) => file.names))];
+  for (const file of files) {
+    const others = allNames.filter((name) => name !== 'BUILTINS' && !file.declared.includes(name));
+    const exportList = file.names.map((n) => `${n}: typeof ${n} !== 'undefined' ? ${n} : undefined`).join(', ');
+    const wrapper = `"use strict";\n${file.content}\n;return { ${exportList} };`;
+    try {
+      const bag = compile('BUILTINS', ...others, wrapper)(builtins, ...others.map(fromOtherFile));
+      for (const name of file.names) {
+        if (typeof bag[name] === 'function') functions[name] = bag[name];
+      }
+    } catch (e) {
+      errors.push(locateError(e, file.name));
+    }
+  }
+  return { functions, errors };
+}
+
+// The BUILTINS object scripts see.
+export function builtinsHelper(registry) {
+  const helper = {};
+  for (const name of registry.names()) {
+    if (name === 'BUILTINS') continue;
+    helper[name] = (...fnArgs) => registry.get(name)(fnArgs);
+  }
+  return helper;
+}
+
+// E.g. "b.js:2:25: Unexpected token".
+export function formatScriptError({ file, line, column, message }) {
+  const at = [file, line, line && column].filter((part) => part != null).join(':');
+  return at ? `${at}: ${message}` : message;
+}
+
+// Where in `file` an error thrown by compileScripts' code happened, from the
+// stack trace: V8 reports lines of the compiled function as
+// "<anonymous>:line:column", Firefox as "Function:line:column". Their first
+// three lines are the function's header and "use strict".
+function locateError(e, file) {
+  const message = String(e && (e.message || e));
+  const match = /(?:<anonymous>|Function):(\d+):(\d+)/.exec(String(e && e.stack));
+  const line = match ? Number(match[1]) - 3 : 0;
+  return line > 0 ? { file, line, column: Number(match[2]), message } : { file, line: null, column: null, message };
+}
+
+// The text of the /** */ comment `node` directly follows, if any.
+function docCommentBefore(content, comments, node) {
+  const comment = comments.findLast((c) => c.end <= node.start);
+  if (!comment || comment.type !== 'Block' || !comment.value.startsWith('*')) return null;
+  return content.slice(comment.end, node.start).trim() === '' ? comment.value : null;
+}
+
+const JSDOC_TYPES = { number: 'number', string: 'text', text: 'text', boolean: 'boolean', date: 'date', range: 'range', array: 'range' };
+
+// Registration options from a JSDoc comment's text. Types other than those
+// of JSDOC_TYPES, unions included, are any.
+function parseJsDoc(doc) {
+  const lines = doc.split('\n').map((line) => line.replace(/^\s*\*+ ?/, '').trimEnd());
+  const description = [];
+  const tags = [];
+  for (const line of lines) {
+    if (/^\s*@/.test(line)) tags.push(line.trim());
+    else if (tags.length) tags[tags.length - 1] += `\n${line}`;
+    else description.push(line);
+  }
+  const options = { description: description.join(' ').replace(/\s+/g, ' ').trim() };
+  const params = [];
+  const examples = [];
+  for (const tag of tags) {
+    const [, kind, rest] = /^@(\w+)\s*([\s\S]*)$/.exec(tag);
+    const typed = /^\{([^}]*)\}\s*([\s\S]*)$/.exec(rest);
+    let type = typed ? typed[1].trim() : '';
+    const text = typed ? typed[2] : rest;
+    if (kind === 'param') {
+      const m = /^(\[)?([\w$.]+)(?:=[^\]]*)?\]?\s*(?:-\s*)?([\s\S]*)$/.exec(text);
+      if (!m) continue;
+      const repeating = type.startsWith('...');
+      const optional = !!m[1] || type.endsWith('=');
+      type = type.replace(/^\.\.\.|=$/g, '');
+      params.push({ name: m[2], type: JSDOC_TYPES[type.toLowerCase()] || 'any', optional, repeating, description: oneLine(m[3]) });
+    } else if (kind === 'returns' || kind === 'return') {
+      options.returns = JSDOC_TYPES[type.toLowerCase()] || 'any';
+    } else if (kind === 'example') {
+      const example = text.trim().replace(/^=/, '');
+      if (example) examples.push(example);
+    } else if (kind === 'volatile') {
+      options.volatile = true;
+    }
+  }
+  if (params.length) options.params = params;
+  if (examples.length) options.examples = examples;
+  return options;
+}
+
+function oneLine(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function collectBindings(pattern, out) {
+  if (!pattern) return;
+  if (pattern.type === 'Identifier') out.push(pattern.name);
+  else if (pattern.type === 'ObjectPattern') pattern.properties.forEach((p) => collectBindings(p.type === 'RestElement' ? p : p.value, out));
+  else if (pattern.type === 'ArrayPattern') pattern.elements.forEach((p) => collectBindings(p, out));
+  else if (pattern.type === 'AssignmentPattern') collectBindings(pattern.left, out);
+  else if (pattern.type === 'RestElement') collectBindings(pattern.argument, out);
+}
+
+function findNode(node, type) {
+  if (node.type === type) return node;
+  for (const value of Object.values(node)) {
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (!child || typeof child.type !== 'string') continue;
+      const found = findNode(child, type);
+      if (found) return found;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,94 @@
+// The workbook JSON format written by SpreadsheetEngine#toJSON and read by
+// SpreadsheetEngine.fromJSON, shared by the web app and Node tools.
+//
+// Version 2 (current):
+// {
+//   format: 'autosheet-workbook',
+//   version: 2,
+//   metadata: { name: 'Budget', createdAt: 1760000000000 }, // free-form
+//   activeSheet: 'Sheet1',                                  // or null
+//   sheets: [                                               // in sheet order
+//     {
+//       name: 'Sheet1',
+//       cells: { A1: 1, A2: 'text', A3: '=A1*2' },         // raw values and formulas
+//       formats: { A1: { numberFormat: 'date' } },
+//       sizes: { cols: [120, 80], rows: [24] },             // column widths, row heights
+//     },
+//   ],
+//   names: [{ name: 'TaxRate', refersTo: '=Sheet1!$B$1' }],
+//   calculation: { mode: 'automatic', iterative: { enabled: false, maxIterations: 100, maxChange: 0.001 } },
+//   scripts: [{ id: '...', name: 'script1.js', content: 'function Abc(args) { ... }' }],
+// }
+//
+// Version 1 is the web app's earlier layout, recognized by its missing
+// `format`: { sheets: { Sheet1: { A1: ... } }, activeSheet, formats (or
+// cellFormats) keyed 'Sheet1:A1', sizes keyed by sheet, names,
+// calculationMode, scripts }.
+
+export const WORKBOOK_FORMAT = 'autosheet-workbook';
+export const WORKBOOK_VERSION = 2;
+
+// Upgrades a workbook of version n to version n + 1.
+const MIGRATIONS = {
+  1: (v1) => {
+    const sheets = isObject(v1.sheets) ? v1.sheets : {};
+    const flatFormats = isObject(v1.formats) ? v1.formats : isObject(v1.cellFormats) ? v1.cellFormats : {};
+    const formats = {};
+    for (const [key, format] of Object.entries(flatFormats)) {
+      // Sheet names cannot contain ':', so the first one ends the name
+      const i = key.indexOf(':');
+      if (i === -1) continue;
+      const sheet = key.slice(0, i);
+      (formats[sheet] ||= {})[key.slice(i + 1)] = format;
+    }
+    const sizes = isObject(v1.sizes) ? v1.sizes : {};
+    return {
+      format: WORKBOOK_FORMAT,
+      version: 2,
+      metadata: {},
+      activeSheet: v1.activeSheet ?? null,
+      sheets: Object.entries(sheets).map(([name, cells]) => ({
+        name,
+        cells: isObject(cells) ? cells : {},
+        formats: formats[name] || {},
+        sizes: isObject(sizes[name]) ? sizes[name] : {},
+      })),
+      names: Array.isArray(v1.names) ? v1.names : [],
+      calculation: { mode: v1.calculationMode || 'automatic' },
+      scripts: Array.isArray(v1.scripts) ? v1.scripts : [],
+    };
+  },
+};
+
+// Brings a workbook (an object or JSON text) of any known version to the
+// current one and fills in missing parts. Throws on workbooks of unknown or
+// newer versions.
+export function migrateWorkbook(json) {
+  let doc = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!isObject(doc)) throw new Error('A workbook must be a JSON object');
+  let version = doc.format === WORKBOOK_FORMAT ? doc.version : 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown workbook version ${version}`);
+  if (version > WORKBOOK_VERSION) {
+    throw new Error(`Workbook version ${version} is newer than the supported version ${WORKBOOK_VERSION}`);
+  }
+  for (; version < WORKBOOK_VERSION; version++) doc = MIGRATIONS[version](doc);
+  return {
+    format: WORKBOOK_FORMAT,
+    version: WORKBOOK_VERSION,
+    metadata: isObject(doc.metadata) ? doc.metadata : {},
+    activeSheet: doc.activeSheet ?? null,
+    sheets: (Array.isArray(doc.sheets) ? doc.sheets : []).map((sheet) => ({
+      name: String(sheet.name),
+      cells: isObject(sheet.cells) ? sheet.cells : {},
+      formats: isObject(sheet.formats) ? sheet.formats : {},
+      sizes: isObject(sheet.sizes) ? sheet.sizes : {},
+    })),
+    names: Array.isArray(doc.names) ? doc.names : [],
+    calculation: { mode: 'automatic', ...doc.calculation },
+    scripts: Array.isArray(doc.scripts) ? doc.scripts : [],
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,20 @@
+import { Worker } from 'node:worker_threads';
+import { createSandbox } from './lib/sandbox.js';
+
+// A script sandbox (see ./lib/sandbox.js) in a Node worker thread, which also
+// limits the memory scripts can use to `memoryMb`; a script going over it
+// fails its call and the thread is replaced. Call terminate() when done, as
+// the thread keeps the process running.
+export function createNodeSandbox({ timeout, memoryMb = 64 } = {}) {
+  return createSandbox((onMessage, onError) => {
+    const worker = new Worker(new URL('./nodeSandboxWorker.js', import.meta.url), {
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb },
+    });
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    return {
+      post: (message) => worker.postMessage(message),
+      terminate: () => { worker.terminate(); },
+    };
+  }, { timeout });
+}
@@ -0,0 +1,5 @@
+// Entry point of the worker threads createNodeSandbox starts.
+import { parentPort } from 'node:worker_threads';
+import { serveSandbox } from './lib/sandbox.js';
+
+serveSandbox((message) => parentPort.postMessage(message), (handler) => parentPort.on('message', handler));
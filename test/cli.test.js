@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { main } from '../src/cli.js';
+
+function capture() {
+  const out = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (s) => { out.stdout += s; } },
+    stderr: { write: (s) => { out.stderr += s; } },
+  };
+  return { out, io };
+}
+
+describe('autosheet CLI', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'autosheet-'));
+    file = join(dir, 'model.autosheet.json');
+    await writeFile(file, JSON.stringify({
+      format: 'autosheet-workbook',
+      version: 2,
+      activeSheet: 'Summary',
+      sheets: [
+        { name: 'Inputs', cells: { A1: 4 } },
+        { name: 'Summary', cells: { A1: '=Inputs!A1*2', B1: '=Double(A1)', C1: '=AI("hi, there")' } },
+      ],
+      scripts: [{ name: 'a.js', content: 'function Double(args) { return BUILTINS.SUM(args) * 2 }' }],
+    }));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('evaluates a range with workbook scripts and a pluggable AI() fetcher', async () => {
+    const ai = join(dir, 'ai.mjs');
+    await writeFile(ai, 'export default async (prompt) => `re: ${prompt}`');
+    const { out, io } = capture();
+    expect(await main(['eval', file, '--ai', ai], io)).toBe(0);
+    expect(out.stdout).toBe('8,16,"re: hi, there"\n');
+    const json = capture();
+    expect(await main(['eval', file, '--sheet', 'Inputs', '--range', 'A1:B1', '--format', 'json'], json.io)).toBe(0);
+    expect(JSON.parse(json.out.stdout)).toEqual({ sheet: 'Inputs', range: 'A1:B1', values: [[4, null]] });
+  });
+
+  it('sets cells, saves the workbook and reports formula errors on recalc', async () => {
+    const { out, io } = capture();
+    expect(await main(['set', file, 'Inputs!A1', '0', 'Summary!D1', '=1/Inputs!A1'], io)).toBe(0);
+    expect(out.stdout).toContain('Summary!B1\t0\n');
+    const saved = JSON.parse(await readFile(file, 'utf8'));
+    expect(saved.sheets[0].cells).toEqual({ A1: 0 });
+    expect(saved.sheets[1].cells.D1).toBe('=1/Inputs!A1');
+    const recalc = capture();
+    expect(await main(['recalc', file], recalc.io)).toBe(1);
+    expect(recalc.out.stdout).toBe('Summary!D1\t#DIV/0!\tDivision by zero\n');
+    expect(recalc.out.stderr).toBe('4 formulas, 1 error\n');
+    expect(await main(['frobnicate', file], capture().io)).toBe(2);
+  });
+
+  it('edits nothing when a cell of set is invalid or on an unknown sheet', async () => {
+    const before = await readFile(file, 'utf8');
+    const badCell = capture();
+    expect(await main(['set', file, 'A1', '1', 'FOO', '2'], badCell.io)).toBe(1);
+    expect(badCell.out.stderr).toBe("autosheet: Invalid cell 'FOO'\n");
+    const badSheet = capture();
+    expect(await main(['set', file, 'Typo!A1', '1'], badSheet.io)).toBe(1);
+    expect(badSheet.out.stderr).toBe("autosheet: Sheet 'Typo' does not exist\n");
+    expect(await readFile(file, 'utf8')).toBe(before);
+
+    const empty = join(dir, 'empty.autosheet.json');
+    await writeFile(empty, JSON.stringify({ format: 'autosheet-workbook', version: 2, sheets: [] }));
+    const noSheets = capture();
+    expect(await main(['eval', empty], noSheets.io)).toBe(1);
+    expect(noSheets.out.stderr).toBe('autosheet: The workbook has no sheets\n');
+  });
+});
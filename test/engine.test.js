@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { SpreadsheetEngine, registerBuiltins } from '../src/index.js';
+import { SpreadsheetEngine, registerBuiltins, dateToSerial, serialToDate, parseDateInput, formatSerial, migrateWorkbook, WORKBOOK_VERSION, createEngineHost, loadScripts, formatScriptError, formatSignature } from '../src/index.js';
 
 describe('SpreadsheetEngine', () => {
   it('evaluates literals and cell refs', () => {
@@ -186,6 +186,1240 @@ describe('SpreadsheetEngine', () => {
     expect(String(engine.getCell('S', 'B2'))).toBe('=SUM(A1:B1)');
     expect(res.rows[1][1].computed).toBe(3);
   });
+
+  it('recomputes only dirty cells and their dependents on setCell', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    let calls = 0;
+    engine.registerFunction('COUNTED', (args) => { calls++; return args[0]; });
+    engine.setCell('S', 'A1', 1);
+    engine.setCell('S', 'A2', '=COUNTED(A1)*2');
+    engine.setCell('S', 'B1', 10);
+    engine.setCell('S', 'B2', '=COUNTED(B1)+1');
+    expect(engine.evaluateCell('S', 'A2')).toBe(2);
+    expect(engine.evaluateCell('S', 'B2')).toBe(11);
+    calls = 0;
+    // Repeated reads are served from the cache
+    engine.evaluateCell('S', 'A2');
+    engine.evaluateCell('S', 'B2');
+    expect(calls).toBe(0);
+    const changed = engine.setCell('S', 'A1', 5);
+    expect(Array.from(changed).sort()).toEqual(['S!A1', 'S!A2']);
+    expect(calls).toBe(1);
+    expect(engine.evaluateCell('S', 'A2')).toBe(10);
+    expect(engine.evaluateCell('S', 'B2')).toBe(11);
+  });
+
+  it('propagates through ranges, chains and other sheets', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Data');
+    engine.addSheet('Summary');
+    engine.setCell('Data', 'A1', 1);
+    engine.setCell('Data', 'A2', 2);
+    engine.setCell('Summary', 'A1', '=SUM(Data!A1:A3)');
+    engine.setCell('Summary', 'A2', '=A1*10');
+    expect(engine.evaluateCell('Summary', 'A2')).toBe(30);
+    // A3 was empty when SUM last ran but lies inside the referenced range
+    const changed = engine.setCell('Data', 'A3', 3);
+    expect(changed.has('Summary!A1')).toBe(true);
+    expect(changed.has('Summary!A2')).toBe(true);
+    expect(engine.evaluateCell('Summary', 'A2')).toBe(60);
+    const res = engine.setRange('Data', 'A1:A2', [[0], [0]]);
+    expect(res.changed.has('Summary!A2')).toBe(true);
+    expect(engine.evaluateCell('Summary', 'A2')).toBe(30);
+  });
+
+  it('recomputes after a formula changes its precedents', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', 1);
+    engine.setCell('S', 'B1', 2);
+    engine.setCell('S', 'C1', '=A1');
+    expect(engine.evaluateCell('S', 'C1')).toBe(1);
+    engine.setCell('S', 'C1', '=B1');
+    expect(engine.setCell('S', 'A1', 100).has('S!C1')).toBe(false);
+    engine.setCell('S', 'B1', 7);
+    expect(engine.evaluateCell('S', 'C1')).toBe(7);
+  });
+
+  it('recomputes cells waiting on AI() when the response arrives', async () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    let resolve;
+    engine.setAiFetcher(() => new Promise((r) => { resolve = r; }));
+    const events = [];
+    engine.onAsyncChange = (evt) => events.push(evt);
+    engine.setCell('S', 'A1', '=AI("hi")');
+    engine.setCell('S', 'A2', '=LEN(A1)');
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#BUSY!' });
+    resolve('hello');
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toBe('hello');
+    expect(engine.evaluateCell('S', 'A2')).toBe(5);
+    expect(events[0].changed.has('S!A2')).toBe(true);
+  });
+
+  it('parses comparison, concatenation, exponent, percent and unary operators', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', 3);
+    engine.setCell('S', 'B1', 'abc');
+    const cases = [
+      ['=A1>2', true],
+      ['=A1<>3', false],
+      ['=A1<=3', true],
+      ['=B1="ABC"', true],
+      ['=1<"a"', true],
+      ['="b"<TRUE', true],
+      ['=C1=0', true],
+      ['=B1&"-"&A1', 'abc-3'],
+      ['="x"&TRUE', 'xTRUE'],
+      ['=2^3^2', 64],
+      ['=-2^2', 4],
+      ['=-A1', -3],
+      ['=-(A1+1)*2', -8],
+      ['=+B1', 'abc'],
+      ['=50%', 0.5],
+      ['=A1*50%', 1.5],
+      ['=1+2&3', '33'],
+      ['=1+2*3^2', 19],
+      ['=1+1=2', true],
+      ['=TRUE+1', 2],
+    ];
+    cases.forEach(([formula, expected], i) => {
+      engine.setCell('S', `D${i + 1}`, formula);
+      expect(engine.evaluateCell('S', `D${i + 1}`), formula).toBe(expected);
+    });
+  });
+
+  it('returns errors for invalid exponent and negated text', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', '=0^0');
+    engine.setCell('S', 'A2', '=(-8)^0.5');
+    engine.setCell('S', 'A3', '=-"x"');
+    expect(String(engine.evaluateCell('S', 'A1'))).toBe('#NUM!');
+    expect(String(engine.evaluateCell('S', 'A2'))).toBe('#NUM!');
+    expect(String(engine.evaluateCell('S', 'A3'))).toBe('#VALUE!');
+  });
+
+  it('evaluates ranges to row-major matrices', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setRange('S', 'A1:C3', [
+      [1, 'a', 10],
+      [3, 'b', 30],
+      [5, 'c', 50],
+    ]);
+    let seen;
+    engine.registerFunction('SHAPE', (args) => { seen = args[0]; return `${args[0].length}x${args[0][0].length}`; });
+    engine.setCell('S', 'E1', '=SHAPE(A1:C2)');
+    expect(engine.evaluateCell('S', 'E1')).toBe('2x3');
+    expect(seen).toEqual([[1, 'a', 10], [3, 'b', 30]]);
+    engine.setCell('S', 'E2', '=VLOOKUP(3, A1:C3, 2, FALSE)');
+    engine.setCell('S', 'E3', '=VLOOKUP(4, A1:C3, 3, TRUE)');
+    engine.setCell('S', 'E4', '=VLOOKUP(3, A1:C3, 4, FALSE)');
+    engine.setCell('S', 'E5', '=INDEX(A1:C3, 3, 2)');
+    engine.setCell('S', 'E6', '=INDEX(A1:C1, 3)');
+    engine.setCell('S', 'E7', '=SUM(INDEX(A1:C3, 0, 3))');
+    engine.setCell('S', 'E8', '=INDEX(A1:C3, 4, 1)');
+    engine.setCell('S', 'E9', '=MATCH("c", B1:B3, 0)');
+    engine.setCell('S', 'E10', '=MATCH(30, A2:C2, 0)');
+    engine.setCell('S', 'E11', '=MATCH(1, A1:C3, 0)');
+    expect(engine.evaluateCell('S', 'E2')).toBe('b');
+    expect(engine.evaluateCell('S', 'E3')).toBe(30);
+    expect(String(engine.evaluateCell('S', 'E4'))).toBe('#REF!');
+    expect(engine.evaluateCell('S', 'E5')).toBe('c');
+    expect(engine.evaluateCell('S', 'E6')).toBe(10);
+    expect(engine.evaluateCell('S', 'E7')).toBe(90);
+    expect(String(engine.evaluateCell('S', 'E8'))).toBe('#REF!');
+    expect(engine.evaluateCell('S', 'E9')).toBe(3);
+    expect(engine.evaluateCell('S', 'E10')).toBe(3);
+    expect(String(engine.evaluateCell('S', 'E11'))).toBe('#N/A');
+  });
+
+  it('SUMIF and COUNTIF over 2D ranges with a separate sum range', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setRange('S', 'A1:B3', [
+      ['x', 1],
+      ['y', 2],
+      ['x', 4],
+    ]);
+    engine.setCell('S', 'C1', '=SUMIF(A1:A3, "x", B1:B3)');
+    engine.setCell('S', 'C2', '=COUNTIF(A1:B3, "x")');
+    engine.setCell('S', 'C3', '=SUMIF(A1:B3, ">1")');
+    expect(engine.evaluateCell('S', 'C1')).toBe(5);
+    expect(engine.evaluateCell('S', 'C2')).toBe(2);
+    expect(engine.evaluateCell('S', 'C3')).toBe(6);
+  });
+
+  it('evaluates only the branches lazy functions need', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    const prompts = [];
+    engine.setAiFetcher(async (p) => { prompts.push(p); return 'summary'; });
+    engine.setCell('S', 'A1', '');
+    engine.setCell('S', 'B1', '=IF(A1="", "", AI("summarize "&A1))');
+    expect(engine.evaluateCell('S', 'B1')).toBe('');
+    expect(engine.pendingAsyncCount()).toBe(0);
+    // A cycle in the untaken branch is not reported
+    engine.setCell('S', 'C1', '=IF(TRUE, 1, C1)');
+    expect(engine.evaluateCell('S', 'C1')).toBe(1);
+    engine.setCell('S', 'C2', '=IF(FALSE, 1, C2)');
+    expect(String(engine.evaluateCell('S', 'C2'))).toBe('#CYCLE!');
+    expect(prompts).toEqual([]);
+  });
+
+  it('supports IFS, SWITCH, CHOOSE, IFERROR and short-circuit AND/OR', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    let calls = 0;
+    engine.registerFunction('BOOM', () => { calls++; throw new Error('boom'); });
+    engine.setCell('S', 'A1', 2);
+    engine.setCell('S', 'B1', '=IFS(A1=1, "one", A1=2, "two", TRUE, BOOM())');
+    engine.setCell('S', 'B2', '=IFS(A1>5, "big")');
+    engine.setCell('S', 'B3', '=SWITCH(A1, 1, "one", 2, "two", BOOM())');
+    engine.setCell('S', 'B4', '=SWITCH(A1, 1, "one", "other")');
+    engine.setCell('S', 'B5', '=CHOOSE(A1, BOOM(), "second")');
+    engine.setCell('S', 'B6', '=IFERROR(1/0, "div")');
+    engine.setCell('S', 'B7', '=IFERROR(A1, BOOM())');
+    engine.setCell('S', 'B8', '=AND(A1>5, BOOM())');
+    engine.setCell('S', 'B9', '=OR(A1=2, BOOM())');
+    engine.setCell('S', 'B10', '=CHOOSE(3, "a", "b")');
+    expect(engine.evaluateCell('S', 'B1')).toBe('two');
+    expect(String(engine.evaluateCell('S', 'B2'))).toBe('#N/A');
+    expect(engine.evaluateCell('S', 'B3')).toBe('two');
+    expect(engine.evaluateCell('S', 'B4')).toBe('other');
+    expect(engine.evaluateCell('S', 'B5')).toBe('second');
+    expect(engine.evaluateCell('S', 'B6')).toBe('div');
+    expect(engine.evaluateCell('S', 'B7')).toBe(2);
+    expect(engine.evaluateCell('S', 'B8')).toBe(false);
+    expect(engine.evaluateCell('S', 'B9')).toBe(true);
+    expect(String(engine.evaluateCell('S', 'B10'))).toBe('#VALUE!');
+    // An error where the branch is decided is the result
+    engine.setCell('S', 'C1', '=IF(1/0, 1, 2)');
+    engine.setCell('S', 'C2', '=IFS(A1=1, "one", MATCH(9, A1:A1, 0), "two", TRUE, BOOM())');
+    engine.setCell('S', 'C3', '=SWITCH(1/0, 1, "one", "other")');
+    engine.setCell('S', 'C4', '=CHOOSE(MATCH(9, A1:A1, 0), BOOM(), "second")');
+    expect(engine.evaluateCell('S', 'C1')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'C2')).toMatchObject({ code: '#N/A' });
+    expect(engine.evaluateCell('S', 'C3')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'C4')).toMatchObject({ code: '#N/A' });
+    expect(calls).toBe(0);
+  });
+
+  it('passes thunks to custom functions registered as lazy', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.registerFunction('FIRSTOK', (args) => {
+      for (const arg of args) {
+        const v = arg();
+        if (typeof v === 'number') return v;
+      }
+      return null;
+    }, { lazy: true });
+    engine.setCell('S', 'A1', '=FIRSTOK("x", 7, A1)');
+    expect(engine.evaluateCell('S', 'A1')).toBe(7);
+    // Lazy built-ins still accept plain values when called from JS
+    expect(engine.registry.get('IF')([false, 'a', 'b'])).toBe('b');
+  });
+
+  it('deletes rows and rewrites references on all sheets', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.addSheet('T');
+    engine.setRange('S', 'A1:A5', [[1], [2], [3], [4], [5]]);
+    engine.setCell('S', 'B1', '=A5');
+    engine.setCell('S', 'B5', '=SUM(A1:A5)');
+    engine.setCell('S', 'C1', '= A3 + $A$4');
+    engine.setCell('S', 'C2', '=SUM(A2:A3)');
+    engine.setCell('T', 'A1', '=S!A4*10');
+    engine.setCell('T', 'A2', '=A4');
+    expect(engine.evaluateCell('S', 'B5')).toBe(15);
+    engine.deleteRows('S', 2, 2);
+    expect(engine.getCell('S', 'A2')).toBe(4);
+    expect(engine.getCell('S', 'A4')).toBeUndefined();
+    expect(engine.getCell('S', 'C2')).toBeUndefined();
+    expect(engine.getCell('S', 'B1')).toBe('=A3');
+    expect(engine.getCell('S', 'B3')).toBe('=SUM(A1:A3)');
+    expect(engine.getCell('S', 'C1')).toBe('= #REF! + $A$2');
+    expect(engine.getCell('T', 'A1')).toBe('=S!A2*10');
+    expect(engine.getCell('T', 'A2')).toBe('=A4');
+    expect(engine.evaluateCell('S', 'B1')).toBe(5);
+    expect(engine.evaluateCell('S', 'B3')).toBe(10);
+    expect(engine.evaluateCell('T', 'A1')).toBe(40);
+  });
+
+  it('inserts rows and columns, growing ranges and moving absolute refs', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setRange('S', 'A1:A3', [[1], [2], [3]]);
+    engine.setCell('S', 'B1', '=SUM(A1:A3)');
+    engine.setCell('S', 'B2', '=$A$3&"x"');
+    engine.insertRows('S', 2);
+    expect(engine.getCell('S', 'A3')).toBe(2);
+    expect(engine.getCell('S', 'B1')).toBe('=SUM(A1:A4)');
+    expect(engine.getCell('S', 'B3')).toBe('=$A$4&"x"');
+    engine.setCell('S', 'A2', 10);
+    expect(engine.evaluateCell('S', 'B1')).toBe(16);
+    engine.insertColumns('S', 1, 2);
+    expect(engine.getCell('S', 'C1')).toBe(1);
+    expect(engine.getCell('S', 'D1')).toBe('=SUM(C1:C4)');
+    expect(engine.getCell('S', 'D3')).toBe('=$C$4&"x"');
+    expect(engine.evaluateCell('S', 'D3')).toBe('3x');
+    engine.deleteColumns('S', 3);
+    expect(engine.getCell('S', 'C1')).toBe('=SUM(#REF!)');
+    expect(engine.getCell('S', 'C3')).toBe('=#REF!&"x"');
+    expect(String(engine.evaluateCell('S', 'C3'))).toBe('#REF!');
+    expect(() => engine.deleteRows('Missing', 1)).toThrow(/does not exist/);
+    // Counts below 1 would insert where a delete was asked for, and back
+    const before = engine.getCell('S', 'C1');
+    expect(() => engine.deleteRows('S', 1, -1)).toThrow('Count must be a positive integer');
+    expect(() => engine.insertRows('S', 1, 0)).toThrow('Count must be a positive integer');
+    expect(() => engine.insertColumns('S', 1, 1.5)).toThrow('Count must be a positive integer');
+    expect(() => engine.deleteColumns('S', 0)).toThrow('Index must be a positive integer');
+    expect(() => engine.insertRows('S', 2.5)).toThrow('Index must be a positive integer');
+    expect(engine.getCell('S', 'C1')).toBe(before);
+  });
+
+  it('renames, removes, duplicates and reorders sheets', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Old');
+    engine.addSheet('Other');
+    engine.setCell('Old', 'A1', 5);
+    engine.setCell('Old', 'A2', '=A1*2');
+    engine.setCell('Other', 'A1', '=Old!A1+SUM(Old!A1:A2)');
+    engine.setCell('Other', 'A2', '="Old!A1"');
+    expect(engine.evaluateCell('Other', 'A1')).toBe(20);
+    engine.renameSheet('Old', 'New');
+    expect(Array.from(engine.sheets.keys())).toEqual(['New', 'Other']);
+    expect(engine.getCell('Other', 'A1')).toBe('=New!A1+SUM(New!A1:A2)');
+    expect(engine.getCell('Other', 'A2')).toBe('="Old!A1"');
+    expect(engine.evaluateCell('Other', 'A1')).toBe(20);
+    expect(() => engine.renameSheet('New', 'Other')).toThrow(/already exists/);
+    // Renaming to the same name changes nothing; a case-only change renames
+    expect(engine.renameSheet('New', 'New')).toBe('New');
+    engine.renameSheet('New', 'NEW');
+    expect(engine.getCell('Other', 'A1')).toBe('=NEW!A1+SUM(NEW!A1:A2)');
+    engine.renameSheet('NEW', '2024');
+    expect(engine.getCell('Other', 'A1')).toBe("='2024'!A1+SUM('2024'!A1:A2)");
+    expect(engine.evaluateCell('Other', 'A1')).toBe(20);
+    engine.renameSheet('2024', 'New');
+
+    // References to a sheet that does not exist are #REF!, not blank
+    engine.setCell('Other', 'B1', '=new!A1');
+    engine.setCell('Other', 'B2', '=SUM(new!A1:A2)');
+    for (const addr of ['B1', 'B2']) {
+      expect(engine.evaluateCell('Other', addr)).toMatchObject({ code: '#REF!', message: "Sheet 'new' does not exist" });
+    }
+    engine.setCell('Other', 'B1', '');
+    engine.setCell('Other', 'B2', '');
+
+    const copy = engine.duplicateSheet('New');
+    expect(copy).toBe('New_2');
+    expect(Array.from(engine.sheets.keys())).toEqual(['New', 'New_2', 'Other']);
+    engine.setCell('New_2', 'A1', 1);
+    expect(engine.evaluateCell('New_2', 'A2')).toBe(2);
+    expect(engine.evaluateCell('New', 'A2')).toBe(10);
+
+    engine.moveSheet('Other', 0);
+    expect(Array.from(engine.sheets.keys())).toEqual(['Other', 'New', 'New_2']);
+
+    engine.removeSheet('New');
+    expect(engine.getCell('Other', 'A1')).toBe('=#REF!+SUM(#REF!)');
+    expect(String(engine.evaluateCell('Other', 'A1'))).toMatch(/^#/);
+  });
+
+  it('resolves quoted sheet names in references and keeps them quoted on rewrite', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Sheet1');
+    engine.addSheet('Q1 Sales');
+    engine.addSheet("Bob's Data");
+    engine.setCell('Q1 Sales', 'A1', 10);
+    engine.setCell('Q1 Sales', 'A2', 20);
+    engine.setCell("Bob's Data", 'B2', 5);
+    engine.setCell('Sheet1', 'A1', "=SUM('Q1 Sales'!A1:A2) + 'Bob''s Data'!B2");
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(35);
+    expect(engine.evaluateCell('Sheet1', "'Q1 Sales'!A2")).toBe(20);
+    const range = engine.getRange('Sheet1', "'Q1 Sales'!A1:A2");
+    expect(range.sheet).toBe('Q1 Sales');
+    expect(range.rows.map((row) => row[0].computed)).toEqual([10, 20]);
+
+    engine.setCell('Q1 Sales', 'A2', 30);
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(45);
+
+    engine.renameSheet('Q1 Sales', 'Sales');
+    expect(engine.getCell('Sheet1', 'A1')).toBe("=SUM(Sales!A1:A2) + 'Bob''s Data'!B2");
+    engine.renameSheet('Sales', 'Q2 Sales');
+    expect(engine.getCell('Sheet1', 'A1')).toBe("=SUM('Q2 Sales'!A1:A2) + 'Bob''s Data'!B2");
+    engine.insertRows("Bob's Data", 1);
+    expect(engine.getCell('Sheet1', 'A1')).toBe("=SUM('Q2 Sales'!A1:A2) + 'Bob''s Data'!B3");
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(45);
+
+    // Names that would read as a number, cell reference or boolean are quoted
+    engine.setCell('Sheet1', 'A3', "='Q2 Sales'!A1*2");
+    let current = 'Q2 Sales';
+    for (const name of ['2024', 'A1', 'Q1', 'TRUE']) {
+      engine.renameSheet(current, name);
+      current = name;
+      expect(engine.getCell('Sheet1', 'A3')).toBe(`='${name}'!A1*2`);
+      expect(engine.evaluateCell('Sheet1', 'A3')).toBe(20);
+    }
+
+    expect(() => engine.addSheet('Bad[Name]')).toThrow(/Invalid sheet name/);
+    expect(() => engine.renameSheet('Sheet1', "'Quoted'")).toThrow(/Invalid sheet name/);
+    engine.setCell('Sheet1', 'B1', "='Unclosed!A1");
+    expect(engine.evaluateCell('Sheet1', 'B1')).toMatchObject({ code: '#VALUE!' });
+  });
+
+  it('evaluates whole-column, whole-row and open-ended ranges over the used extent', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Sheet1');
+    engine.addSheet('Data');
+    engine.setCell('Data', 'A1', 'Amount');
+    engine.setCell('Data', 'A2', 10);
+    engine.setCell('Data', 'A3', 20);
+    engine.setCell('Data', 'B2', 1);
+    engine.setCell('Sheet1', 'A1', '=SUM(Data!A:A)');
+    engine.setCell('Sheet1', 'A2', '=COUNT(Data!A2:A)');
+    engine.setCell('Sheet1', 'A3', '=SUM(Data!2:2)');
+    engine.setCell('Sheet1', 'A4', '=SUM(Data!$A:B)');
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(30);
+    expect(engine.evaluateCell('Sheet1', 'A2')).toBe(2);
+    expect(engine.evaluateCell('Sheet1', 'A3')).toBe(11);
+    expect(engine.evaluateCell('Sheet1', 'A4')).toBe(31);
+
+    // Appending rows grows the ranges
+    const changed = engine.setCell('Data', 'A100', 5);
+    expect(changed.has('Sheet1!A1')).toBe(true);
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(35);
+    expect(engine.evaluateCell('Sheet1', 'A2')).toBe(3);
+    expect(engine.evaluateCell('Sheet1', 'A3')).toBe(11);
+
+    const range = engine.getRange('Data', 'B:B', 'raw');
+    expect(range.range).toBe('B1:B100');
+    expect(range.rows).toHaveLength(100);
+    expect(engine.getRange('Sheet1', 'Data!1:1').range).toBe('A1:B1');
+    expect(() => engine.setRange('Data', 'A:A', [[1]])).toThrow(/bounded/);
+
+    // Structural edits keep whole-column and open-ended refs intact
+    engine.insertRows('Data', 1);
+    expect(engine.getCell('Sheet1', 'A1')).toBe('=SUM(Data!A:A)');
+    expect(engine.getCell('Sheet1', 'A2')).toBe('=COUNT(Data!A3:A)');
+    expect(engine.getCell('Sheet1', 'A3')).toBe('=SUM(Data!3:3)');
+    engine.insertColumns('Data', 1);
+    expect(engine.getCell('Sheet1', 'A4')).toBe('=SUM(Data!$B:C)');
+    expect(engine.evaluateCell('Sheet1', 'A4')).toBe(36);
+    engine.deleteColumns('Data', 2);
+    expect(engine.getCell('Sheet1', 'A1')).toBe('=SUM(#REF!)');
+  });
+
+  it('aggregates 3D references across the ordered sheet span', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Summary');
+    for (const [i, name] of ['Jan', 'Feb', 'Mar', 'Apr'].entries()) {
+      engine.addSheet(name);
+      engine.setCell(name, 'C10', (i + 1) * 10);
+      engine.setCell(name, 'D10', 1);
+    }
+    engine.setCell('Summary', 'A1', '=SUM(Jan:Mar!C10)');
+    engine.setCell('Summary', 'A2', '=AVERAGE(Feb:Apr!C10)');
+    engine.setCell('Summary', 'A3', '=SUM(Jan:Apr!C10:D10)');
+    engine.setCell('Summary', 'A4', '=MAX(Mar:Jan!C10)');
+    engine.setCell('Summary', 'A5', '=SUM(Jan:Nope!C10)');
+
+    // Outside of function arguments a 3D reference is #VALUE!, even in a name
+    engine.defineName('Firsts', '=Jan:Feb!C10');
+    engine.setCell('Summary', 'B1', '=Jan:Feb!C10');
+    engine.setCell('Summary', 'B2', '=Jan:Feb!C10 + 1');
+    engine.setCell('Summary', 'B3', '=Firsts');
+    engine.setCell('Summary', 'B4', '=SUM(Firsts)');
+    for (const addr of ['B1', 'B2', 'B3']) {
+      expect(engine.evaluateCell('Summary', addr)).toMatchObject({ code: '#VALUE!', message: 'Jan:Feb can only be used as a function argument' });
+    }
+    expect(engine.getSpillRange('Summary', 'B1')).toBe(null);
+    expect(engine.evaluateCell('Summary', 'B4')).toBe(30);
+    engine.deleteName('Firsts');
+    for (const addr of ['B1', 'B2', 'B3', 'B4']) engine.setCell('Summary', addr, '');
+
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(60);
+    expect(engine.evaluateCell('Summary', 'A2')).toBe(30);
+    expect(engine.evaluateCell('Summary', 'A3')).toBe(104);
+    expect(engine.evaluateCell('Summary', 'A4')).toBe(30);
+    expect(engine.evaluateCell('Summary', 'A5')).toMatchObject({ code: '#REF!' });
+
+    // Edits inside the span recompute; moving a sheet out of it shrinks the span
+    const changed = engine.setCell('Feb', 'C10', 25);
+    expect(changed.has('Summary!A1')).toBe(true);
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(65);
+    engine.moveSheet('Feb', 4);
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(40);
+    engine.moveSheet('Feb', 2);
+
+    engine.renameSheet('Jan', 'January 2024');
+    expect(engine.getCell('Summary', 'A1')).toBe("=SUM('January 2024:Mar'!C10)");
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(65);
+    engine.removeSheet('January 2024');
+    expect(engine.getCell('Summary', 'A1')).toBe('=SUM(Feb:Mar!C10)');
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(55);
+    engine.removeSheet('Apr');
+    expect(engine.getCell('Summary', 'A2')).toBe('=AVERAGE(Feb:Mar!C10)');
+    engine.renameSheet('Feb', '2024');
+    expect(engine.getCell('Summary', 'A1')).toBe("=SUM('2024:Mar'!C10)");
+    expect(engine.evaluateCell('Summary', 'A1')).toBe(55);
+    engine.setCell('Summary', 'A6', '=Mar:Mar!C10 + 0');
+    engine.removeSheet('Mar');
+    expect(engine.getCell('Summary', 'A6')).toBe('=#REF! + 0');
+  });
+
+  it('defines, updates and deletes workbook names', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Sheet1');
+    engine.addSheet('Settings');
+    engine.addSheet('Data');
+    engine.setCell('Settings', 'B2', 0.25);
+    engine.setRange('Data', 'A2:A4', [[10], [20], [30]]);
+    engine.defineName('TaxRate', 'Settings!$B$2');
+    engine.defineName('Sales', '=Data!A2:A4');
+    engine.defineName('Bonus', 5);
+    engine.defineName('GrossSales', '=SUM(Sales) * (1 + taxrate)');
+    engine.setCell('Sheet1', 'A1', '=SUM(Sales) * TaxRate');
+    engine.setCell('Sheet1', 'A2', '=GrossSales + Bonus');
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(15);
+    expect(engine.evaluateCell('Sheet1', 'A2')).toBe(80);
+
+    // Names follow edits to the cells they refer to
+    const changed = engine.setCell('Settings', 'B2', 0.5);
+    expect(changed.has('Sheet1!A1')).toBe(true);
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(30);
+
+    engine.updateName('bonus', 10);
+    expect(engine.evaluateCell('Sheet1', 'A2')).toBe(100);
+    expect(engine.listNames().map((n) => n.name)).toEqual(['TaxRate', 'Sales', 'Bonus', 'GrossSales']);
+    expect(engine.getName('BONUS')).toEqual({ name: 'Bonus', refersTo: '=10' });
+
+    // Structural edits and sheet renames rewrite the names' references
+    engine.insertRows('Settings', 1);
+    engine.renameSheet('Data', 'Raw Data');
+    expect(engine.getName('TaxRate').refersTo).toBe('=Settings!$B$3');
+    expect(engine.getName('Sales').refersTo).toBe("='Raw Data'!A2:A4");
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(30);
+
+    engine.setCell('Sheet1', 'A3', '=Bonus');
+    engine.deleteName('Bonus');
+    expect(engine.evaluateCell('Sheet1', 'A3')).toMatchObject({ code: '#NAME?' });
+    engine.defineName('Ping', '=Pong');
+    engine.defineName('Pong', '=Ping');
+    engine.setCell('Sheet1', 'A4', '=Ping');
+    expect(engine.evaluateCell('Sheet1', 'A4')).toMatchObject({ code: '#CYCLE!' });
+
+    expect(() => engine.defineName('A1', 1)).toThrow(/Invalid name/);
+    expect(() => engine.defineName('taxrate', 1)).toThrow(/already exists/);
+    expect(() => engine.defineName('Broken', '=SUM(')).toThrow(/Invalid formula/);
+    expect(() => engine.updateName('Missing', 1)).toThrow(/does not exist/);
+  });
+
+  it('spills array results from the anchor cell and reports #SPILL! when blocked', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('Sheet1');
+    engine.registerFunction('SEQ', (args) => {
+      const [rows, cols = 1] = args.map(Number);
+      return Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => r * cols + c + 1));
+    });
+    engine.setCell('Sheet1', 'E1', '=C2 * 10');
+    engine.setCell('Sheet1', 'E2', '=SUM(A1#)');
+    engine.setCell('Sheet1', 'A1', '=SEQ(3, 3)');
+    expect(engine.evaluateCell('Sheet1', 'A1')).toBe(1);
+    expect(engine.evaluateCell('Sheet1', 'C2')).toBe(6);
+    expect(engine.getCell('Sheet1', 'C2')).toBe(undefined);
+    expect(engine.getSpillAnchor('Sheet1', 'C2')).toBe('A1');
+    expect(engine.getSpillAnchor('Sheet1', 'A1')).toBe(null);
+    expect(engine.getSpillRange('Sheet1', 'A1')).toBe('A1:C3');
+    expect(engine.evaluateCell('Sheet1', 'E1')).toBe(60);
+    expect(engine.evaluateCell('Sheet1', 'E2')).toBe(45);
+
+    // Blocking the spill range turns the anchor into #SPILL! and clears the spilled cells
+    let changed = engine.setCell('Sheet1', 'B3', 'x');
+    expect(changed.has('Sheet1!A1')).toBe(true);
+    expect(changed.has('Sheet1!C2')).toBe(true);
+    expect(engine.evaluateCell('Sheet1', 'A1')).toMatchObject({ code: '#SPILL!' });
+    expect(engine.evaluateCell('Sheet1', 'C2')).toBe(undefined);
+    expect(engine.evaluateCell('Sheet1', 'E1')).toBe(0);
+    expect(engine.evaluateCell('Sheet1', 'E2')).toMatchObject({ code: '#SPILL!' });
+
+    // Clearing the blocker spills again
+    changed = engine.setCell('Sheet1', 'B3', '');
+    expect(changed.has('Sheet1!E1')).toBe(true);
+    expect(engine.evaluateCell('Sheet1', 'E1')).toBe(60);
+
+    // Shrinking the array frees cells; the spill survives a full invalidation
+    engine.setCell('Sheet1', 'A1', '=SEQ(2)');
+    expect(engine.evaluateCell('Sheet1', 'C2')).toBe(undefined);
+    expect(engine.evaluateCell('Sheet1', 'E2')).toBe(3);
+    engine.invalidateAll();
+    expect(engine.evaluateCell('Sheet1', 'A2')).toBe(2);
+    expect(engine.getRange('Sheet1', 'A1:A3').rows.map((row) => row[0].computed)).toEqual([1, 2, undefined]);
+
+    engine.setCell('Sheet1', 'E3', '=Nope!A1#');
+    expect(engine.evaluateCell('Sheet1', 'E3')).toMatchObject({ code: '#REF!', message: "Sheet 'Nope' does not exist" });
+
+    // Ranges spill too, and overlapping spills block each other
+    engine.setCell('Sheet1', 'G1', '=A1:A2');
+    expect(engine.evaluateCell('Sheet1', 'G2')).toBe(2);
+    engine.setCell('Sheet1', 'F2', '=SEQ(1, 2)');
+    expect(engine.evaluateCell('Sheet1', 'F2')).toMatchObject({ code: '#SPILL!' });
+    engine.insertRows('Sheet1', 1);
+    expect(engine.getCell('Sheet1', 'E3')).toBe('=SUM(A2#)');
+  });
+
+  it('propagates the first error through arithmetic and aggregates', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', '=1/0');
+    engine.setCell('S', 'A2', 5);
+    engine.setCell('S', 'A3', '=NOPE()');
+    engine.setCell('S', 'B1', '=A1+1');
+    engine.setCell('S', 'B2', '=A3*A1');
+    engine.setCell('S', 'B3', '=SUM(A1:A3)');
+    engine.setCell('S', 'B4', '=MAX(A2:A3)');
+    engine.setCell('S', 'B5', '=COUNT(A1:A3)');
+    engine.setCell('S', 'B6', '=A1&"x"');
+    const b1 = engine.evaluateCell('S', 'B1');
+    expect(b1).toMatchObject({ code: '#DIV/0!', message: 'Division by zero' });
+    expect(engine.evaluateCell('S', 'B2')).toMatchObject({ code: '#NAME?', message: 'Unknown function: NOPE' });
+    expect(engine.evaluateCell('S', 'B3')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'B4')).toMatchObject({ code: '#NAME?' });
+    expect(engine.evaluateCell('S', 'B5')).toBe(1);
+    expect(engine.evaluateCell('S', 'B6')).toMatchObject({ code: '#DIV/0!' });
+
+    // Lookups return an error in their arguments instead of searching with it
+    engine.setCell('S', 'C1', '=VLOOKUP(A1, A2:A3, 1, FALSE)');
+    engine.setCell('S', 'C2', '=VLOOKUP(5, A2:A3, A3)');
+    engine.setCell('S', 'C3', '=INDEX(A2:A3, A1)');
+    engine.setCell('S', 'C4', '=INDEX(A1:A3, 2, #REF!)');
+    expect(engine.evaluateCell('S', 'C1')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'C2')).toMatchObject({ code: '#NAME?' });
+    expect(engine.evaluateCell('S', 'C3')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'C4')).toMatchObject({ code: '#REF!' });
+  });
+
+  it('supports NA, IFNA, ISERROR, ISERR, ISNA and ERROR.TYPE', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', '=1/0');
+    engine.setCell('S', 'A2', '=MATCH(9, C1:C2, 0)');
+    engine.setCell('S', 'A3', 7);
+    engine.setCell('S', 'B1', '=IFNA(A2, "missing")');
+    engine.setCell('S', 'B2', '=IFNA(A1, "missing")');
+    engine.setCell('S', 'B3', '=ISERROR(A1)');
+    engine.setCell('S', 'B4', '=ISERR(A2)');
+    engine.setCell('S', 'B5', '=ISNA(A2)');
+    engine.setCell('S', 'B6', '=ERROR.TYPE(A1)');
+    engine.setCell('S', 'B7', '=ERROR.TYPE(A2)');
+    engine.setCell('S', 'B8', '=ERROR.TYPE(A3)');
+    engine.setCell('S', 'B9', '=IFERROR(SUM(A1:A3), -1)');
+    engine.setCell('S', 'B10', '=ISNA(NA())');
+    engine.setCell('S', 'D1', '=ISERROR(A1:A3)');
+    expect(engine.evaluateCell('S', 'B1')).toBe('missing');
+    expect(engine.evaluateCell('S', 'B2')).toMatchObject({ code: '#DIV/0!' });
+    expect(engine.evaluateCell('S', 'B3')).toBe(true);
+    expect(engine.evaluateCell('S', 'B4')).toBe(false);
+    expect(engine.evaluateCell('S', 'B5')).toBe(true);
+    expect(engine.evaluateCell('S', 'B6')).toBe(2);
+    expect(engine.evaluateCell('S', 'B7')).toBe(7);
+    expect(engine.evaluateCell('S', 'B8')).toMatchObject({ code: '#N/A' });
+    expect(engine.evaluateCell('S', 'B9')).toBe(-1);
+    expect(engine.evaluateCell('S', 'B10')).toBe(true);
+    expect(engine.getRange('S', 'D1:D3').rows.map((row) => row[0].computed)).toEqual([true, true, false]);
+  });
+
+  it('computes with 1900-system date serials', () => {
+    expect(dateToSerial(1900, 1, 1)).toBe(1);
+    expect(dateToSerial(1900, 3, 1)).toBe(61);
+    expect(dateToSerial(2026, 10, 19)).toBe(46314);
+    expect(serialToDate(46314.75)).toMatchObject({ year: 2026, month: 10, day: 19, hours: 18, minutes: 0 });
+    expect(parseDateInput('2026-10-19')).toEqual({ serial: 46314, format: 'date' });
+    expect(parseDateInput('10/19/2026 6:00 PM')).toEqual({ serial: 46314.75, format: 'datetime' });
+    expect(parseDateInput('2026-02-30')).toBe(null);
+    expect(formatSerial(46314.5, 'datetime')).toBe('2026-10-19 12:00');
+
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', 46314);
+    engine.setCell('S', 'B1', '=DATE(2026, 10, 19)');
+    engine.setCell('S', 'B2', '=DATE(2026, 14, 1)');
+    engine.setCell('S', 'B3', '=YEAR(A1)*10000+MONTH(A1)*100+DAY(A1)');
+    engine.setCell('S', 'B4', '=EDATE(DATE(2026, 1, 31), 1)');
+    engine.setCell('S', 'B5', '=EOMONTH(A1, -1)');
+    engine.setCell('S', 'B6', '=DATEDIF("2024-02-15", A1, "Y")');
+    engine.setCell('S', 'B7', '=DATEDIF("2024-02-15", A1, "YM")');
+    engine.setCell('S', 'B8', '=DATEDIF("2024-02-15", A1, "MD")');
+    engine.setCell('S', 'B9', '=NETWORKDAYS(A1, A1+13, DATE(2026, 10, 20))');
+    engine.setCell('S', 'B10', '=WEEKDAY(A1)&WEEKDAY(A1, 2)&WEEKDAY(A1, 3)');
+    engine.setCell('S', 'B11', '=DATEDIF(A1, "2024-01-01", "D")');
+    engine.setCell('S', 'B12', '=TODAY()');
+    engine.setCell('S', 'B13', '="2026-10-19"-"2026-10-01"');
+    engine.setCell('S', 'B14', '="6:00 PM"*24+"10/19/2026"');
+    engine.setCell('S', 'B15', '="2026-02-30"+1');
+    expect(engine.evaluateCell('S', 'B1')).toBe(46314);
+    expect(engine.evaluateCell('S', 'B2')).toBe(dateToSerial(2027, 2, 1));
+    expect(engine.evaluateCell('S', 'B3')).toBe(20261019);
+    expect(engine.evaluateCell('S', 'B4')).toBe(dateToSerial(2026, 2, 28));
+    expect(engine.evaluateCell('S', 'B5')).toBe(dateToSerial(2026, 9, 30));
+    expect(engine.evaluateCell('S', 'B6')).toBe(2);
+    expect(engine.evaluateCell('S', 'B7')).toBe(8);
+    expect(engine.evaluateCell('S', 'B8')).toBe(4);
+    expect(engine.evaluateCell('S', 'B9')).toBe(9);
+    expect(engine.evaluateCell('S', 'B10')).toBe('210');
+    expect(engine.evaluateCell('S', 'B11')).toMatchObject({ code: '#NUM!' });
+    expect(engine.evaluateCell('S', 'B12')).toBeGreaterThan(46000);
+    // Date text in arithmetic counts as its serial
+    expect(engine.evaluateCell('S', 'B13')).toBe(18);
+    expect(engine.evaluateCell('S', 'B14')).toBe(46332);
+    expect(engine.evaluateCell('S', 'B15')).toMatchObject({ code: '#VALUE!' });
+  });
+
+  it('recalculates volatile cells on every calculation and defers edits in manual mode', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    let ticks = 0;
+    engine.registerFunction('TICK', () => ++ticks, { volatile: true });
+    engine.setCell('S', 'A1', 1);
+    engine.setCell('S', 'B1', '=TICK()');
+    engine.setCell('S', 'B2', '=B1*10');
+    engine.setCell('S', 'C1', '=A1+1');
+    // Each edit so far re-ran TICK(); reads are served from the cache
+    expect(engine.evaluateCell('S', 'B2')).toBe(30);
+    expect(engine.evaluateCell('S', 'B1')).toBe(3);
+    let changed = engine.setCell('S', 'A1', 2);
+    expect(changed).toEqual(new Set(['S!A1', 'S!C1', 'S!B1', 'S!B2']));
+    expect(engine.evaluateCell('S', 'B2')).toBe(40);
+    engine.recalculate();
+    expect(engine.evaluateCell('S', 'B2')).toBe(50);
+
+    engine.setCalculationMode('manual');
+    expect(engine.getCalculationMode()).toBe('manual');
+    changed = engine.setCell('S', 'A1', 5);
+    expect(changed).toEqual(new Set(['S!A1']));
+    expect(engine.evaluateCell('S', 'A1')).toBe(5);
+    expect(engine.evaluateCell('S', 'C1')).toBe(3);
+    expect(engine.evaluateCell('S', 'B1')).toBe(5);
+    expect(engine.needsRecalc()).toBe(true);
+    changed = engine.recalculate();
+    expect(changed.has('S!C1')).toBe(true);
+    expect(engine.needsRecalc()).toBe(false);
+    expect(engine.evaluateCell('S', 'C1')).toBe(6);
+    expect(engine.evaluateCell('S', 'B1')).toBe(6);
+
+    // Structural edits recalculate everything, settling pending edits
+    engine.setCell('S', 'A1', 6);
+    expect(engine.evaluateCell('S', 'C1')).toBe(6);
+    engine.addSheet('T');
+    expect(engine.needsRecalc()).toBe(false);
+    expect(engine.evaluateCell('S', 'C1')).toBe(7);
+    engine.setCell('S', 'A1', 0);
+    engine.registerFunction('ZERO', () => 0);
+    expect(engine.needsRecalc()).toBe(false);
+    expect(engine.evaluateCell('S', 'C1')).toBe(1);
+
+    engine.setCell('S', 'A1', 7);
+    changed = engine.setCalculationMode('automatic-except-tables');
+    expect(changed.has('S!C1')).toBe(true);
+    expect(engine.evaluateCell('S', 'C1')).toBe(8);
+    expect(() => engine.setCalculationMode('sometimes')).toThrow("Unknown calculation mode 'sometimes'");
+    expect(engine.registry.isVolatile('now')).toBe(true);
+    expect(engine.registry.isVolatile('SUM')).toBe(false);
+  });
+
+  it('converges intentional circular references with iterative calculation', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', 1000);
+    // Balance includes interest on itself: B1 = 1000 + 0.1 * B1
+    engine.setCell('S', 'B1', '=A1+C1');
+    engine.setCell('S', 'C1', '=B1*0.1');
+    engine.setCell('S', 'D1', '=B1*2');
+    engine.setCell('S', 'E1', '=E1+1');
+    expect(engine.evaluateCell('S', 'B1')).toMatchObject({ code: '#CYCLE!' });
+
+    expect(engine.setIterativeCalculation({ enabled: true, maxIterations: 50 })).toEqual({ enabled: true, maxIterations: 50, maxChange: 0.001 });
+    expect(engine.evaluateCell('S', 'B1')).toBeCloseTo(1111.111, 2);
+    expect(engine.evaluateCell('S', 'C1')).toBeCloseTo(111.111, 2);
+    expect(engine.evaluateCell('S', 'D1')).toBeCloseTo(2222.222, 2);
+    const status = engine.getIterationStatus('S', 'C1');
+    expect(status.converged).toBe(true);
+    expect(status.change).toBeLessThanOrEqual(0.001);
+    expect(engine.getIterationStatus('S', 'D1')).toBe(null);
+
+    const changed = engine.setCell('S', 'A1', 2000);
+    expect(changed.has('S!D1')).toBe(true);
+    expect(engine.evaluateCell('S', 'B1')).toBeCloseTo(2222.222, 2);
+    expect(engine.evaluateCell('S', 'D1')).toBeCloseTo(4444.444, 2);
+
+    // A loop that never settles keeps its last value and reports it per cell
+    expect(engine.evaluateCell('S', 'E1')).toBe(51);
+    expect(engine.getIterationStatus('S', 'E1')).toEqual({ converged: false, iterations: 50, change: 1 });
+
+    // Breaking the loop clears its status
+    engine.setCell('S', 'C1', 5);
+    expect(engine.evaluateCell('S', 'B1')).toBe(2005);
+    expect(engine.getIterationStatus('S', 'B1')).toBe(null);
+    expect(() => engine.setIterativeCalculation({ maxIterations: 0 })).toThrow('maxIterations must be a positive integer');
+  });
+
+  it('caches parsed formulas per cell and evaluates compiled formulas like the tree walk', () => {
+    const formulas = [
+      '=A1*2+B1^2-10%',
+      '=-A1&" items"',
+      '=IF(A1>1, SUM(A1:B2), BOOM())',
+      '=IFERROR(1/(A1-A1), "none")',
+      '=Rate*B1',
+      '=A1#+1',
+      '=S!B2<>"x"',
+      '=Nope!A1+1',
+      '=NOPE(A1)',
+      '=1+',
+      '=SUM(S:S!A1:B1)',
+      '=S:S!A1',
+    ];
+    const results = [false, true].map((compileFormulas) => {
+      const engine = new SpreadsheetEngine({ compileFormulas });
+      registerBuiltins(engine.registry);
+      engine.addSheet('S');
+      engine.registerFunction('BOOM', () => { throw new Error('boom'); });
+      engine.defineName('Rate', 0.5);
+      engine.setRange('S', 'A1:B2', [[3, 4], [5, 'x']]);
+      formulas.forEach((f, i) => engine.setCell('S', `C${i + 1}`, f));
+      return formulas.map((_, i) => engine.evaluateCell('S', `C${i + 1}`));
+    });
+    expect(results[1]).toEqual(results[0]);
+    expect(results[1][0]).toBeCloseTo(21.9);
+    expect(results[1][7]).toMatchObject({ code: '#REF!' });
+    expect(results[1][9]).toMatchObject({ code: '#VALUE!' });
+    expect(results[1][10]).toBe(7);
+    expect(results[1][11]).toMatchObject({ code: '#VALUE!' });
+
+    // Edits replace the cached formula; registry changes reuse it
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.setCell('S', 'A1', '=DOUBLE(2)');
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#NAME?' });
+    const cached = engine._formulas.get('S!A1');
+    engine.registerFunction('DOUBLE', ([x]) => x * 2);
+    expect(engine.evaluateCell('S', 'A1')).toBe(4);
+    expect(engine._formulas.get('S!A1')).toBe(cached);
+    engine.setCell('S', 'A1', '=DOUBLE(5)');
+    expect(engine.evaluateCell('S', 'A1')).toBe(10);
+    expect(engine._formulas.get('S!A1')).not.toBe(cached);
+    expect(engine._formulas.get('S!A1').raw).toBe('=DOUBLE(5)');
+    engine.sheets.get('S').set('A1', '=DOUBLE(7)');
+    engine.invalidateAll();
+    expect(engine.evaluateCell('S', 'A1')).toBe(14);
+  });
+
+  it('computes a generated sheet the same with cached, uncached and compiled formulas', () => {
+    const build = (options) => {
+      const engine = new SpreadsheetEngine(options);
+      registerBuiltins(engine.registry);
+      engine.addSheet('S');
+      for (let r = 1; r <= 500; r++) {
+        engine.setCell('S', `A${r}`, r);
+        engine.setCell('S', `B${r}`, `=A${r}*2+IF(A${r}>10, A${r}/4, 1)-SUM(A${r}, 3)`);
+        engine.setCell('S', `C${r}`, r === 1 ? '=B1' : `=C${r - 1}+B${r}`);
+      }
+      return engine;
+    };
+    const read = (engine) => Array.from({ length: 500 }, (_, i) => [engine.evaluateCell('S', `B${i + 1}`), engine.evaluateCell('S', `C${i + 1}`)]);
+    const expected = read(build({ cacheFormulas: false, compileFormulas: false }));
+    expect(read(build())).toEqual(expected);
+    const compiled = build({ compileFormulas: true });
+    expect(read(compiled)).toEqual(expected);
+    compiled.setCell('S', 'A1', 100);
+    expect(compiled.evaluateCell('S', 'C500')).toBe(expected[499][1] + (100 * 2 + 25 - 103) - (2 + 1 - 4));
+  });
+
+  it('caches async function results per arguments and recomputes only waiting cells', async () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    const calls = [];
+    engine.registry.register('RATE', async ([currency]) => {
+      calls.push(currency);
+      if (currency === 'XXX') throw new Error('unknown currency');
+      return currency === 'EUR' ? 2 : 3;
+    });
+    const events = [];
+    engine.onAsyncChange = (evt) => events.push(evt);
+    engine.setCell('S', 'A1', '=RATE("EUR")');
+    engine.setCell('S', 'A2', '=RATE("EUR")*10');
+    engine.setCell('S', 'A3', '=A1+1');
+    engine.setCell('S', 'B1', '=RATE("XXX")');
+    engine.setCell('S', 'C1', 5);
+    engine.setCell('S', 'C2', '=C1*2');
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#BUSY!' });
+    expect(engine.evaluateCell('S', 'A3')).toMatchObject({ code: '#BUSY!' });
+    expect(engine.evaluateCell('S', 'C2')).toBe(10);
+    expect(engine.pendingAsyncCount()).toBe(2);
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toBe(2);
+    expect(engine.evaluateCell('S', 'A2')).toBe(20);
+    expect(engine.evaluateCell('S', 'A3')).toBe(3);
+    expect(engine.evaluateCell('S', 'B1')).toMatchObject({ code: '#VALUE!', message: 'RATE("XXX") failed: unknown currency' });
+    const eur = events.find((e) => e.call === 'RATE("EUR")');
+    expect([...eur.changed].sort()).toEqual(['S!A1', 'S!A2', 'S!A3']);
+    // Later calls with the same arguments are served from the cache
+    engine.setCell('S', 'D1', '=RATE("EUR")');
+    expect(engine.evaluateCell('S', 'D1')).toBe(2);
+    expect(calls).toEqual(['EUR', 'XXX']);
+    engine.clearAsyncCache(['rate']);
+    expect(engine.evaluateCell('S', 'D1')).toMatchObject({ code: '#BUSY!' });
+    await engine.whenIdle();
+    expect(calls.filter((c) => c === 'EUR')).toHaveLength(2);
+  });
+
+
+  it('saves and loads workbooks as versioned JSON, migrating the earlier layout', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('2024');
+    engine.addSheet('Summary');
+    engine.setCell('2024', 'A1', 5);
+    engine.setCell('Summary', 'a1', "='2024'!A1*TaxRate");
+    engine.defineName('TaxRate', 0.5);
+    engine.setCalculationMode('manual');
+    engine.workbook.formats = { Summary: { A1: { bold: true } } };
+    engine.workbook.metadata = { name: 'Budget' };
+    const json = JSON.parse(JSON.stringify(engine));
+    expect(json).toMatchObject({
+      format: 'autosheet-workbook',
+      version: 2,
+      metadata: { name: 'Budget' },
+      names: [{ name: 'TaxRate', refersTo: '=0.5' }],
+      calculation: { mode: 'manual', iterative: { enabled: false } },
+    });
+    // Sheets keep their order, even with names that look like numbers
+    expect(json.sheets.map((s) => s.name)).toEqual(['2024', 'Summary']);
+    expect(json.sheets[1]).toEqual({ name: 'Summary', cells: { A1: "='2024'!A1*TaxRate" }, formats: { A1: { bold: true } }, sizes: {} });
+
+    const loaded = SpreadsheetEngine.fromJSON(JSON.stringify(json));
+    registerBuiltins(loaded.registry);
+    expect(loaded.evaluateCell('Summary', 'A1')).toBe(2.5);
+    expect(loaded.getCalculationMode()).toBe('manual');
+    expect(loaded.toJSON()).toEqual(json);
+
+    const legacy = {
+      sheets: { Sheet1: { A1: 2, B1: '=A1+1' } },
+      activeSheet: 'Sheet1',
+      formats: { 'Sheet1:B1': { numberFormat: 'date' } },
+      sizes: { Sheet1: { cols: [100] } },
+      names: [],
+      calculationMode: 'automatic',
+      scripts: [{ id: 's1', name: 'a.js', content: 'function F() {}' }],
+    };
+    const migrated = migrateWorkbook(legacy);
+    expect(migrated.version).toBe(WORKBOOK_VERSION);
+    expect(migrated.sheets).toEqual([{ name: 'Sheet1', cells: { A1: 2, B1: '=A1+1' }, formats: { B1: { numberFormat: 'date' } }, sizes: { cols: [100] } }]);
+    engine.loadJSON(legacy);
+    expect(engine.evaluateCell('Sheet1', 'B1')).toBe(3);
+    expect([...engine.sheets.keys()]).toEqual(['Sheet1']);
+    expect(engine.workbook.scripts[0].name).toBe('a.js');
+    expect(() => engine.loadJSON({ format: 'autosheet-workbook', version: 99 })).toThrow('newer');
+    expect(() => engine.loadJSON({ format: 'autosheet-workbook', version: 2, sheets: [{ name: 'Bad/Name' }] })).toThrow('Invalid sheet name');
+    expect(engine.evaluateCell('Sheet1', 'B1')).toBe(3);
+  });
+
+
+  it('serves an engine over messages, posting value snapshots after edits', async () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.registry.register('PAIR', () => [[1], [2]]);
+    const messages = [];
+    const host = createEngineHost(engine, (msg) => messages.push(msg));
+    host.handle({ id: 1, type: 'load', workbook: { sheets: { S: { A1: 2, B1: '=A1*10', C1: '=PAIR()' } } } });
+    expect(messages).toEqual([
+      { type: 'snapshot', full: true, values: [['S!A1', 2], ['S!B1', 20], ['S!C1', 1], ['S!C2', 2]], needsRecalc: false },
+      { id: 1, result: undefined },
+    ]);
+    messages.length = 0;
+    host.handle({ id: 2, type: 'setCell', sheet: 'S', address: 'A1', value: 0 });
+    expect(messages[0]).toEqual({ type: 'snapshot', full: false, values: [['S!A1', 0], ['S!B1', 0]], needsRecalc: false });
+    messages.length = 0;
+    host.handle({ id: 3, type: 'setRange', sheet: 'S', range: 'A1:A2', values: [[0], [4]] });
+    expect(messages[0]).toEqual({ type: 'snapshot', full: false, values: [['S!A1', 0], ['S!A2', 4], ['S!B1', 0]], needsRecalc: false });
+    messages.length = 0;
+    host.handle({ id: 3, type: 'reloadScripts', scripts: [{ name: 'a.js', content: 'async function Later(args) { return args[0] + 1 }' }] });
+    expect(messages[1]).toEqual({ id: 3, result: { names: ['Later'], errors: [] } });
+    host.handle({ id: 4, type: 'setCell', sheet: 'S', address: 'D1', value: '=Later(1)' });
+    expect(messages[2].values).toEqual([['S!D1', { code: '#BUSY!', message: 'Waiting for LATER(1)' }]]);
+    await engine.whenIdle();
+    expect(messages[4]).toMatchObject({ type: 'snapshot', values: [['S!D1', 2]] });
+    messages.length = 0;
+    host.handle({ id: 5, type: 'evaluate', sheet: 'S', address: 'B1' });
+    host.handle({ id: 6, type: 'call', method: 'insertRows', args: ['S', 1] });
+    host.handle({ id: 7, type: 'call', method: 'loadJSON', args: [{}] });
+    expect(messages[0]).toEqual({ id: 5, result: 0 });
+    expect(messages[2]).toEqual({ id: 6, result: undefined });
+    expect(messages[3]).toEqual({ id: 7, error: "Unknown method 'loadJSON'" });
+    expect(engine.getCell('S', 'B2')).toBe('=A2*10');
+  });
+
+  it('stores edits without computing when calculate is off', () => {
+    const engine = new SpreadsheetEngine({ calculate: false });
+    let calls = 0;
+    engine.registry.register('COUNTED', () => ++calls);
+    engine.addSheet('S');
+    expect([...engine.setCell('S', 'A1', '=COUNTED()')]).toEqual(['S!A1']);
+    engine.setCell('S', 'B1', '=A1+1');
+    expect(calls).toBe(0);
+    expect(engine.evaluateCell('S', 'B1')).toBe(2);
+    engine.setCell('S', 'A1', 5);
+    expect(engine.evaluateCell('S', 'B1')).toBe(6);
+  });
+
+  it('loads each script file on its own and reports errors per file with line numbers', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    const scripts = [
+      { name: 'a.js', content: 'function Twice(args) {\n  return _double(args[0])\n}\nfunction _double(x) { return x * 2 }' },
+      { name: 'b.js', content: 'function Ok() { return 1 }\nfunction Bad() { return ) }' },
+      { name: 'c.js', content: 'const rate = 3\nfunction Quad(args) { return Twice([Twice(args)]) }\nmissing()' },
+      { name: 'd.js', content: 'function Sextuple(args) { return Twice(args) * rate }' },
+    ];
+    const { names, errors } = loadScripts(engine, scripts);
+    expect(names).toEqual(['Twice', 'Sextuple']);
+    expect(errors).toEqual([
+      { file: 'b.js', line: 2, column: 25, message: 'Unexpected token' },
+      { file: 'c.js', line: 3, column: 1, message: 'missing is not defined' },
+    ]);
+    expect(errors.map(formatScriptError)).toEqual(['b.js:2:25: Unexpected token', 'c.js:3:1: missing is not defined']);
+    engine.setCell('S', 'A1', '=Twice(4)');
+    engine.setCell('S', 'A2', '=Ok()');
+    engine.setCell('S', 'A3', '=Sextuple(1)');
+    expect(engine.evaluateCell('S', 'A1')).toBe(8);
+    expect(engine.evaluateCell('S', 'A2')).toMatchObject({ code: '#NAME?' });
+    // Files share their public functions, but nothing else
+    expect(engine.evaluateCell('S', 'A3')).toMatchObject({ code: '#VALUE!', message: expect.stringContaining('rate is not defined') });
+    scripts[2].content = 'function Quad(args) { return Twice([Twice(args)]) }';
+    expect(loadScripts(engine, scripts).names).toEqual(['Twice', 'Quad', 'Sextuple']);
+    engine.setCell('S', 'A4', '=Quad(1)');
+    expect(engine.evaluateCell('S', 'A4')).toBe(4);
+  });
+
+  it('describes functions and checks the arguments of calls against their params', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    expect(engine.registry.getMetadata('vlookup')).toMatchObject({
+      name: 'VLOOKUP',
+      params: [
+        { name: 'searchKey', type: 'any', optional: false },
+        { name: 'range', type: 'range', optional: false },
+        { name: 'index', type: 'number', optional: false },
+        { name: 'isSorted', type: 'boolean', optional: true },
+      ],
+      returns: 'any',
+      volatile: false,
+    });
+    expect(engine.registry.list().map((meta) => meta.name)).not.toContain('BUILTINS');
+    expect(engine.registry.list().every((meta) => meta.description && meta.params)).toBe(true);
+    expect(formatSignature(engine.registry.getMetadata('SUMIF'))).toBe('SUMIF(range, criterion, [sumRange])');
+    expect(formatSignature(engine.registry.getMetadata('SUM'))).toBe('SUM(...values)');
+    expect(formatSignature(engine.registry.getMetadata('AND'))).toBe('AND(logical, [...logicals])');
+    expect(engine.registry.arity('SUM')).toEqual({ min: 1, max: Infinity });
+    expect(engine.registry.arity('IF')).toEqual({ min: 2, max: 3 });
+    expect(engine.registry.arity('AND')).toEqual({ min: 1, max: Infinity });
+
+    engine.setCell('S', 'A1', 'abc');
+    engine.setCell('S', 'B1', '=IF(TRUE)');
+    engine.setCell('S', 'B2', '=RAND(1)');
+    engine.setCell('S', 'B3', '=RANDBETWEEN("one", 6)');
+    engine.setCell('S', 'B4', '=RANDBETWEEN("6", 6)');
+    engine.setCell('S', 'B5', '=SUM(A1, 2)');
+    engine.setCell('S', 'B6', '=SUM()');
+    engine.setCell('S', 'B8', '=IFS(TRUE, 1)');
+    expect(engine.evaluateCell('S', 'B1')).toMatchObject({ code: '#N/A', message: 'IF expects 2 to 3 arguments, got 1' });
+    expect(engine.evaluateCell('S', 'B2')).toMatchObject({ code: '#N/A', message: 'RAND expects 0 arguments, got 1' });
+    expect(engine.evaluateCell('S', 'B3')).toMatchObject({ code: '#VALUE!', message: 'RANDBETWEEN expects a number for bottom, got "one"' });
+    expect(engine.evaluateCell('S', 'B4')).toBe(6);
+    // Lists like SUM's skip text
+    expect(engine.evaluateCell('S', 'B5')).toBe(2);
+    expect(engine.evaluateCell('S', 'B6')).toMatchObject({ code: '#N/A', message: 'SUM expects at least 1 argument, got 0' });
+    expect(engine.evaluateCell('S', 'B8')).toBe(1);
+
+    // Functions registered without params take any arguments
+    engine.registry.register('ANYTHING', (args) => args.length);
+    engine.setCell('S', 'B7', '=ANYTHING(1, 2, 3)');
+    expect(engine.evaluateCell('S', 'B7')).toBe(3);
+    expect(engine.registry.getMetadata('ANYTHING')).toMatchObject({ params: null, returns: 'any', examples: [] });
+  });
+
+  it('takes the metadata of script functions from their JSDoc comments', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    const content = [
+      '/**',
+      ' * Grows an amount by a rate',
+      ' * over some years.',
+      ' * @param {number} amount - The starting amount',
+      ' * @param {number} rate',
+      ' * @param {number=} years Defaults to 1',
+      ' * @returns {number}',
+      ' * @example =GROW(100, 0.05, 2)',
+      ' */',
+      'function GROW(args) { return args[0] * (1 + args[1]) ** (args[2] ?? 1) }',
+      '/** Joins the texts.',
+      ' * @volatile',
+      ' * @param {string} separator',
+      ' * @param {...string} [texts]',
+      ' */',
+      'function JOIN(args) { return args.slice(1).join(args[0]) }',
+      '/** Not next to a function */',
+      'const unused = 1',
+      'function BARE(args) { return args.length }',
+    ].join('\n');
+    expect(loadScripts(engine, [{ name: 'doc.js', content }]).errors).toEqual([]);
+    expect(engine.registry.getMetadata('GROW')).toEqual({
+      name: 'GROW',
+      description: 'Grows an amount by a rate over some years.',
+      params: [
+        { name: 'amount', type: 'number', optional: false, repeating: false, description: 'The starting amount' },
+        { name: 'rate', type: 'number', optional: false, repeating: false, description: '' },
+        { name: 'years', type: 'number', optional: true, repeating: false, description: 'Defaults to 1' },
+      ],
+      returns: 'number',
+      examples: ['GROW(100, 0.05, 2)'],
+      volatile: false,
+    });
+    expect(engine.registry.getMetadata('JOIN')).toMatchObject({
+      description: 'Joins the texts.',
+      params: [{ name: 'separator', type: 'text' }, { name: 'texts', type: 'text', optional: true, repeating: true }],
+      volatile: true,
+    });
+    expect(engine.registry.getMetadata('BARE')).toMatchObject({ description: '', params: null });
+
+    engine.setCell('S', 'A1', '=GROW(100, 1)');
+    engine.setCell('S', 'A2', '=GROW(100)');
+    engine.setCell('S', 'A3', '=GROW(100, "lots")');
+    engine.setCell('S', 'A4', '=JOIN("-", "a", "b", "c")');
+    expect(engine.evaluateCell('S', 'A1')).toBe(200);
+    expect(engine.evaluateCell('S', 'A2')).toMatchObject({ code: '#N/A', message: 'GROW expects 2 to 3 arguments, got 1' });
+    expect(engine.evaluateCell('S', 'A3')).toMatchObject({ code: '#VALUE!' });
+    expect(engine.evaluateCell('S', 'A4')).toBe('a-b-c');
+  });
+
+  it('passes functions the context of their call', () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    engine.addSheet('T');
+    const logs = [];
+    engine.onLog = (entry) => logs.push(entry);
+    engine.registry.register('WHERE', (args, ctx) => {
+      ctx.log('args', args.length);
+      return JSON.stringify({ caller: ctx.caller, argRefs: ctx.argRefs });
+    });
+    engine.setCell('S', 'A1', '=WHERE(B1, T!$C$2:D3, 1+1)');
+    expect(JSON.parse(engine.evaluateCell('S', 'A1'))).toEqual({
+      caller: { sheet: 'S', address: 'A1' },
+      argRefs: [{ sheet: 'S', address: 'B1' }, { sheet: 'T', address: 'C2:D3' }, null],
+    });
+    expect(logs.at(-1)).toEqual({ sheet: 'S', address: 'A1', function: 'WHERE', values: ['args', 3] });
+
+    // OFFSET and SELF_ROW in user space
+    const content = [
+      'function _shift(a1, rows, cols) {',
+      '  const [, letters, row] = /^([A-Z]+)(\\d+)$/.exec(a1)',
+      '  let col = cols',
+      '  for (const ch of letters) col += (ch.charCodeAt(0) - 64) * 26 ** (letters.length - 1 - letters.indexOf(ch))',
+      "  let name = ''",
+      '  for (; col > 0; col = Math.floor((col - 1) / 26)) name = String.fromCharCode(65 + ((col - 1) % 26)) + name',
+      '  return name + (Number(row) + rows)',
+      '}',
+      'function OFFSET(args, ctx) {',
+      '  const ref = ctx.argRefs[0]',
+      "  if (!ref) throw new Error('OFFSET needs a reference')",
+      "  const [start, end = start] = ref.address.split(':')",
+      "  const values = ctx.getRange(`'${ref.sheet}'!${_shift(start, args[1], args[2])}:${_shift(end, args[1], args[2])}`)",
+      '  return values.length === 1 && values[0].length === 1 ? values[0][0] : values',
+      '}',
+      'function SELF_ROW(args, ctx) { return Number(/\\d+/.exec(ctx.caller.address)[0]) }',
+    ].join('\n');
+    expect(loadScripts(engine, [{ name: 'ref.js', content }]).errors).toEqual([]);
+    engine.setRange('T', 'A1:B2', [[1, 2], [3, 4]]);
+    engine.setCell('S', 'A2', '=OFFSET(T!A1, 1, 1)');
+    engine.setCell('S', 'A3', '=SUM(OFFSET(T!A1:A2, 0, 1))');
+    engine.setCell('S', 'A4', '=SELF_ROW() * 10');
+    engine.setCell('S', 'A5', '=OFFSET(A4, 1, 0)');
+    engine.setCell('S', 'A6', '=OFFSET(5, 1, 0)');
+    expect(engine.evaluateCell('S', 'A2')).toBe(4);
+    expect(engine.evaluateCell('S', 'A3')).toBe(6);
+    expect(engine.evaluateCell('S', 'A4')).toBe(40);
+    expect(engine.evaluateCell('S', 'A5')).toMatchObject({ code: '#VALUE!', message: expect.stringContaining('A5:A5 includes the calling cell A5') });
+    expect(engine.evaluateCell('S', 'A6')).toMatchObject({ code: '#VALUE!', message: expect.stringContaining('OFFSET needs a reference') });
+    // Cells read through the context are precedents
+    expect([...engine.setCell('T', 'B2', 40)].sort()).toEqual(['S!A2', 'S!A3', 'T!B2']);
+    expect(engine.evaluateCell('S', 'A2')).toBe(40);
+  });
+
+  it('caches async results of contextual functions per call site and revalidates what they read', async () => {
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    let calls = 0;
+    engine.registry.register('ROW_LATER', async (args, ctx) => {
+      calls++;
+      return Number(/\d+/.exec(ctx.caller.address)[0]);
+    }, { contextual: true });
+    engine.registry.register('TOTAL_LATER', async (args, ctx) => {
+      calls++;
+      await null;
+      return ctx.getRange(args[0]).flat().reduce((a, b) => a + b, 0);
+    });
+    engine.setRange('S', 'C1:C2', [[1], [2]]);
+    engine.setCell('S', 'A1', '=ROW_LATER()');
+    engine.setCell('S', 'A2', '=ROW_LATER()');
+    engine.setCell('S', 'B1', '=TOTAL_LATER("C1:C2")');
+    engine.setCell('S', 'B2', '=TOTAL_LATER("C1:C2")');
+    for (const addr of ['A1', 'A2', 'B1', 'B2']) engine.evaluateCell('S', addr);
+    await engine.whenIdle();
+    expect(['A1', 'A2', 'B1', 'B2'].map((addr) => engine.evaluateCell('S', addr))).toEqual([1, 2, 3, 3]);
+    expect(calls).toBe(3);
+    // The range read after the call went async changed, so the call runs again
+    engine.setCell('S', 'C2', 20);
+    expect(engine.evaluateCell('S', 'B1')).toMatchObject({ code: '#BUSY!' });
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'B1')).toBe(21);
+    expect(engine.evaluateCell('S', 'B2')).toBe(21);
+    expect(calls).toBe(4);
+  });
 });
 
 
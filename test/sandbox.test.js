@@ -0,0 +1,103 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { SpreadsheetEngine, registerBuiltins, loadScripts } from '../src/index.js';
+import { createNodeSandbox } from '../src/nodeSandbox.js';
+
+const SCRIPT = `
+function Spin(args) { while (true) {} }
+function Twice(args) { return args[0] * 2 }
+function Globals(args) {
+  return [typeof process, typeof fetch, typeof Function, typeof (() => {}).constructor, typeof setTimeout].join(',')
+}
+function ErrorCode(args) { return args[0].code }
+function Fail(args) { return BUILTINS.IFERROR(args[0], 'fallback') }
+function Hog(args) { const a = []; while (true) a.push(new Array(1e5).fill(1.5)) }
+function SelfRow(args, ctx) { return Number(/\\d+/.exec(ctx.caller.address)[0]) }
+async function Below(args, ctx) {
+  ctx.log('reading below', ctx.argRefs[0].address)
+  const rows = await ctx.getRange(ctx.argRefs[0].address.replace(/\\d+/, (row) => Number(row) + 1))
+  return rows[0][0]
+}
+`;
+
+describe('script sandbox', () => {
+  let sandbox;
+
+  afterEach(() => sandbox.terminate());
+
+  function setup(options) {
+    sandbox = createNodeSandbox(options);
+    const engine = new SpreadsheetEngine();
+    registerBuiltins(engine.registry);
+    engine.addSheet('S');
+    loadScripts(engine, [{ name: 'a.js', content: SCRIPT }], { sandbox });
+    return engine;
+  }
+
+  it('times out runaway calls with #TIMEOUT! and keeps serving the others', async () => {
+    const engine = setup({ timeout: 200 });
+    engine.setCell('S', 'A1', '=Spin()');
+    engine.setCell('S', 'A2', '=Twice(21)');
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#BUSY!' });
+    expect(engine.evaluateCell('S', 'A2')).toMatchObject({ code: '#BUSY!' });
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#TIMEOUT!', message: 'Spin took longer than 200 ms' });
+    expect(engine.evaluateCell('S', 'A2')).toBe(42);
+  });
+
+  it('gives scripts only the allowlisted globals and passes cell errors both ways', async () => {
+    const engine = setup();
+    engine.setCell('S', 'A1', '=Globals()');
+    engine.setCell('S', 'A2', '=ErrorCode(1/0)');
+    engine.setCell('S', 'A3', '=Fail(NA())');
+    engine.setCell('S', 'A4', '=Fail(1)');
+    for (const addr of ['A1', 'A2', 'A3', 'A4']) engine.evaluateCell('S', addr);
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toBe('undefined,undefined,undefined,undefined,function');
+    expect(engine.evaluateCell('S', 'A2')).toBe('#DIV/0!');
+    expect(engine.evaluateCell('S', 'A3')).toBe('fallback');
+    expect(engine.evaluateCell('S', 'A4')).toBe(1);
+    const importing = { name: 'b.js', content: 'function Get() {\n  return import("node:fs")\n}' };
+    expect(loadScripts(engine, [importing], { sandbox }).errors).toEqual([{ file: 'b.js', line: 2, column: 10, message: 'Scripts cannot import modules' }]);
+    // Other errors fail the calls of the file's functions, located as without a sandbox
+    loadScripts(engine, [{ name: 'a.js', content: SCRIPT }, { name: 'c.js', content: 'function Two() { return 2 }\nmissing()' }], { sandbox });
+    engine.setCell('S', 'A5', '=Two()');
+    engine.evaluateCell('S', 'A4');
+    engine.evaluateCell('S', 'A5');
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A4')).toBe(1);
+    expect(engine.evaluateCell('S', 'A5').message).toContain('Script error: c.js:2:1: missing is not defined');
+  });
+
+  it('gives script functions their call context, reading cells through the host', async () => {
+    const engine = setup();
+    const logs = [];
+    engine.onLog = (entry) => logs.push(entry);
+    engine.setCell('S', 'B2', 'two');
+    engine.setCell('S', 'A1', '=SelfRow()');
+    engine.setCell('S', 'A2', '=SelfRow()');
+    engine.setCell('S', 'A3', '=Below(B1)');
+    engine.setCell('S', 'A4', '=Below(A3)');
+    for (const addr of ['A1', 'A2', 'A3', 'A4']) engine.evaluateCell('S', addr);
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toBe(1);
+    expect(engine.evaluateCell('S', 'A2')).toBe(2);
+    expect(engine.evaluateCell('S', 'A3')).toBe('two');
+    expect(engine.evaluateCell('S', 'A4')).toMatchObject({ code: '#VALUE!', message: expect.stringContaining('A4 includes the calling cell') });
+    expect(logs).toContainEqual({ sheet: 'S', address: 'A3', function: 'BELOW', values: ['reading below', 'B1'] });
+    engine.setCell('S', 'B2', 'three');
+    engine.evaluateCell('S', 'A3');
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A3')).toBe('three');
+  });
+
+  it('fails calls that go over the memory limit', async () => {
+    const engine = setup({ timeout: 10000, memoryMb: 16 });
+    engine.setCell('S', 'A1', '=Hog()');
+    engine.setCell('S', 'A2', '=Twice(2)');
+    engine.evaluateCell('S', 'A1');
+    engine.evaluateCell('S', 'A2');
+    await engine.whenIdle();
+    expect(engine.evaluateCell('S', 'A1')).toMatchObject({ code: '#VALUE!', message: expect.stringContaining('memory limit') });
+    expect(engine.evaluateCell('S', 'A2')).toBe(4);
+  });
+});
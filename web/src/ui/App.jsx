@@ -1,11 +1,11 @@
 "use client"
 import React, { useMemo, useState, useCallback, useEffect, useRef } from 'react'
-import { SpreadsheetEngine, registerBuiltins } from 'autosheet'
+import { SpreadsheetEngine, registerBuiltins, isValidSheetName, parseDateInput, formatSerial } from 'autosheet'
 import { Grid } from './Grid.jsx'
 import ScriptEditor, { loadScriptsFromStorage, saveScriptsToStorage } from './ScriptEditor.jsx'
 import Chat from './Chat.jsx'
-import FileManager, { getCurrentFileId, setCurrentFileId, collectCurrentState } from './FileManager.jsx'
-import * as acorn from 'acorn'
+import FileManager, { getCurrentFileId, setCurrentFileId, collectCurrentState, loadStoredWorkbook, storeWorkbook } from './FileManager.jsx'
+import { createEngineClient } from './engineClient.js'
 
 export default function App() {
   // File management state
@@ -26,45 +26,25 @@ export default function App() {
   const [saveStatus, setSaveStatus] = useState('saved') // 'dirty' | 'saving' | 'saved' | 'idle'
   const autoSaveTimerRef = useRef(null)
 
+  // This engine holds the cell contents; the one in the engine worker computes
+  // the values, which the grid renders from its snapshots (see valuesRef)
   const engine = useMemo(() => {
-    const e = new SpreadsheetEngine()
+    const e = new SpreadsheetEngine({ calculate: false })
     registerBuiltins(e.registry)
     // Only create a default sheet if no saved sheets exist
     try {
-      const raw = localStorage.getItem('autosheet.sheets.v1')
-      if (raw) {
-        const parsed = JSON.parse(raw)
-        const sheetsObj = parsed && parsed.sheets && typeof parsed.sheets === 'object' ? parsed.sheets : {}
-        const names = Object.keys(sheetsObj)
-        if (names.length === 0) {
-          e.addSheet('Sheet1')
-        }
-      } else {
-        e.addSheet('Sheet1')
-      }
-    } catch {
-      e.addSheet('Sheet1')
-    }
-    // Re-render when async AI cache updates
-    e.onAsyncChange = () => {
-      setGridVersion((v) => v + 1)
+      const workbook = loadStoredWorkbook()
+      if (workbook && workbook.sheets.length > 0) e.loadJSON(workbook)
+    } catch (err) {
+      console.error('Failed to load workbook:', err)
     }
+    if (e.sheets.size === 0) e.addSheet('Sheet1')
     return e
   }, [])
 
   const [activeSheet, setActiveSheet] = useState(() => {
-    try {
-      const saved = localStorage.getItem('autosheet.activeSheet')
-      if (saved) return String(saved)
-      const raw = localStorage.getItem('autosheet.sheets.v1')
-      if (raw) {
-        const parsed = JSON.parse(raw)
-        const sheetsObj = parsed && parsed.sheets && typeof parsed.sheets === 'object' ? parsed.sheets : {}
-        const names = Object.keys(sheetsObj)
-        if (names.length > 0) return names[0]
-      }
-    } catch {}
-    return 'Sheet1'
+    const saved = engine.workbook.activeSheet
+    return saved && engine.sheets.has(saved) ? saved : engine.sheets.keys().next().value
   })
   const [selection, setSelection] = useState({ row: 1, col: 1 })
   const [gridVersion, setGridVersion] = useState(0)
@@ -72,16 +52,25 @@ export default function App() {
   const invalidateDisplayCache = useCallback(() => {
     try { displayCacheRef.current.clear() } catch {}
   }, [])
+  // Drop cached displays only for the cells the engine recomputed ("Sheet!A1" keys)
+  const invalidateDisplayKeys = useCallback((changed) => {
+    if (!changed) return
+    for (const key of changed) {
+      const idx = key.lastIndexOf('!')
+      displayCacheRef.current.delete(`${key.slice(0, idx)}:${key.slice(idx + 1)}`)
+    }
+  }, [])
   // Dynamic grid dimensions
   const [gridRows, setGridRows] = useState(100)
   const [gridCols, setGridCols] = useState(26)
   // ===== Cell formatting state =====
+  // Keyed 'Sheet1:A1'; the workbook groups them by sheet
   const [cellFormats, setCellFormats] = useState(() => {
-    try {
-      const raw = localStorage.getItem('autosheet.cellFormats.v1')
-      if (raw) return JSON.parse(raw)
-    } catch {}
-    return {}
+    const out = {}
+    for (const [sheet, formats] of Object.entries(engine.workbook.formats)) {
+      for (const [addr, fmt] of Object.entries(formats)) out[`${sheet}:${addr}`] = fmt
+    }
+    return out
   })
   // Keep refs to latest values to avoid stale closures during debounced persists
   const cellFormatsRef = useRef(cellFormats)
@@ -89,60 +78,76 @@ export default function App() {
   const activeSheetRef = useRef(null)
   useEffect(() => { activeSheetRef.current = activeSheet }, [activeSheet])
   // Persisted per-sheet column/row sizes
-  const [sheetSizes, setSheetSizes] = useState(() => {
-    try {
-      const raw = localStorage.getItem('autosheet.sizes.v1')
-      if (raw) return JSON.parse(raw)
-    } catch {}
-    return {}
-  })
+  const [sheetSizes, setSheetSizes] = useState(() => ({ ...engine.workbook.sizes }))
   const sheetSizesRef = useRef(sheetSizes)
   useEffect(() => { sheetSizesRef.current = sheetSizes }, [sheetSizes])
+  // Calculation mode mirrors the engine's; in manual mode edits wait for F9
+  const [calcMode, setCalcMode] = useState(() => engine.getCalculationMode())
+  const [needsRecalc, setNeedsRecalc] = useState(false)
   // ===== Sheet content persistence =====
-  const SHEETS_STORAGE_KEY = 'autosheet.sheets.v1'
-  const ACTIVE_SHEET_STORAGE_KEY = 'autosheet.activeSheet'
-  const CELL_FORMATS_STORAGE_KEY = 'autosheet.cellFormats.v1'
-  const SIZES_STORAGE_KEY = 'autosheet.sizes.v1'
   const saveTimerRef = useRef(null)
 
-  // Ensure async changes invalidate display cache before re-render
-  useEffect(() => {
-    if (!engine) return
-    engine.onAsyncChange = () => {
-      try { displayCacheRef.current.clear() } catch {}
-      setGridVersion((v) => v + 1)
+  // ===== Engine worker =====
+  // Computed values by "Sheet!A1" key, as of the worker's latest snapshot;
+  // blank cells are left out
+  const valuesRef = useRef(new Map())
+  const engineClientRef = useRef(null)
+  const applySnapshot = useCallback((snap) => {
+    const values = valuesRef.current
+    if (snap.full) {
+      values.clear()
+      invalidateDisplayCache()
     }
+    for (const [key, value] of snap.values) {
+      if (value == null || value === '') values.delete(key)
+      else values.set(key, value)
+    }
+    if (!snap.full) invalidateDisplayKeys(snap.values.map(([key]) => key))
+    setNeedsRecalc(snap.needsRecalc)
+    setGridVersion((v) => v + 1)
+  }, [invalidateDisplayCache, invalidateDisplayKeys])
+  const computedValue = useCallback((sheet, addr) => valuesRef.current.get(`${sheet}!${addr}`), [])
+  // Spilled cells are blank but show a value from an array formula
+  const isSpilled = useCallback((sheet, addr) => {
+    const raw = engine.getCell(sheet, addr)
+    return (raw == null || raw === '') && valuesRef.current.has(`${sheet}!${addr}`)
   }, [engine])
 
-  const serializeSheets = useCallback(() => {
-    const out = { sheets: {}, activeSheet: activeSheetRef.current || activeSheet, formats: cellFormatsRef.current || {} }
-    try {
-      for (const [name, dataMap] of engine.sheets.entries()) {
-        const obj = {}
-        for (const [addr, val] of dataMap.entries()) {
-          if (val == null) continue
-          const s = String(val)
-          if (s === '') continue
-          obj[addr] = val
-        }
-        out.sheets[name] = obj
-      }
-    } catch {}
-    return out
+  // Declared before the script effects below, which load the scripts into the worker
+  useEffect(() => {
+    const client = createEngineClient()
+    engineClientRef.current = client
+    const unmirror = client.mirror(engine)
+    const unsubscribe = client.onSnapshot(applySnapshot)
+    client.request('load', { workbook: engine.toJSON() }).catch((err) => console.error('Worker load failed:', err))
+    return () => {
+      unsubscribe()
+      unmirror()
+      client.terminate()
+      engineClientRef.current = null
+    }
+  }, [engine, applySnapshot])
+
+  // The workbook JSON, with the formats, sizes and active sheet kept in React state
+  const serializeWorkbook = useCallback(() => {
+    const formats = {}
+    for (const [key, fmt] of Object.entries(cellFormatsRef.current || {})) {
+      const i = key.indexOf(':')
+      const sheet = key.slice(0, i)
+      if (engine.sheets.has(sheet)) (formats[sheet] ||= {})[key.slice(i + 1)] = fmt
+    }
+    engine.workbook = {
+      ...engine.workbook,
+      activeSheet: activeSheetRef.current || activeSheet,
+      formats,
+      sizes: sheetSizesRef.current || {},
+    }
+    return engine.toJSON()
   }, [engine])
 
   const persistSheetsNow = useCallback(() => {
-    try {
-      const payload = serializeSheets()
-      localStorage.setItem(SHEETS_STORAGE_KEY, JSON.stringify(payload))
-      const latestActive = activeSheetRef.current || activeSheet || ''
-      localStorage.setItem(ACTIVE_SHEET_STORAGE_KEY, String(latestActive))
-      const latestFormats = cellFormatsRef.current || {}
-      localStorage.setItem(CELL_FORMATS_STORAGE_KEY, JSON.stringify(latestFormats))
-      const latestSizes = sheetSizesRef.current || {}
-      localStorage.setItem(SIZES_STORAGE_KEY, JSON.stringify(latestSizes))
-    } catch {}
-  }, [serializeSheets, activeSheet])
+    try { storeWorkbook(serializeWorkbook()) } catch {}
+  }, [serializeWorkbook])
 
   const schedulePersistSheets = useCallback(() => {
     try { if (saveTimerRef.current) clearTimeout(saveTimerRef.current) } catch {}
@@ -185,54 +190,6 @@ export default function App() {
     }, 2000)
   }, [saveProjectToCurrentFile])
 
-  // Load persisted sheets on first mount
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(SHEETS_STORAGE_KEY)
-      if (raw) {
-        const parsed = JSON.parse(raw)
-        const sheetsObj = parsed && parsed.sheets && typeof parsed.sheets === 'object' ? parsed.sheets : {}
-        const names = Object.keys(sheetsObj)
-        if (names.length > 0) {
-          // Ensure all saved sheets exist and restore contents
-          for (const name of names) {
-            if (!engine.sheets.has(name)) engine.addSheet(name)
-            const addrMap = sheetsObj[name] || {}
-            for (const addr of Object.keys(addrMap)) {
-              engine.setCell(name, addr, addrMap[addr])
-            }
-          }
-          // Restore cell formats if available
-          if (parsed.formats && typeof parsed.formats === 'object') {
-            setCellFormats(parsed.formats)
-          }
-          // Restore persisted sizes from separate key
-          try {
-            const sizesRaw = localStorage.getItem(SIZES_STORAGE_KEY)
-            if (sizesRaw) {
-              const sizesParsed = JSON.parse(sizesRaw)
-              if (sizesParsed && typeof sizesParsed === 'object') setSheetSizes(sizesParsed)
-            }
-          } catch {}
-          // If we pre-created Sheet1 but it's not part of saved sheets, remove it when empty
-          if (engine.sheets.has('Sheet1') && !names.includes('Sheet1')) {
-            const defaultMap = engine.sheets.get('Sheet1')
-            if (!defaultMap || defaultMap.size === 0) {
-              engine.sheets.delete('Sheet1')
-            }
-          }
-          const savedActive = String(localStorage.getItem(ACTIVE_SHEET_STORAGE_KEY) || '')
-          if (savedActive && engine.sheets.has(savedActive)) {
-            setActiveSheet(savedActive)
-          } else if (names[0]) {
-            setActiveSheet(names[0])
-          }
-          setSelection({ row: 1, col: 1 })
-          setGridVersion((v) => v + 1)
-        }
-      }
-    } catch {}
-  }, [engine])
   // Independent view toggles (initialize from storage immediately on client to avoid flicker/races)
   const [showSheet, setShowSheet] = useState(() => {
     try { const ss = localStorage.getItem('autosheet.showSheet'); return ss == null ? true : ss !== 'false' } catch { return true }
@@ -444,6 +401,8 @@ export default function App() {
   })
   const [liveReload, setLiveReload] = useState(true)
   const [scriptError, setScriptError] = useState(null)
+  // Metadata of the built-in and script functions, for autocomplete and chat
+  const [functions, setFunctions] = useState(() => engine.registry.list())
 
   // Reflect external script changes (e.g., via MCP tools) in the editor UI
   useEffect(() => {
@@ -458,16 +417,55 @@ export default function App() {
 
   const setCell = useCallback((row, col, value) => {
     const addr = toA1(row, col)
-    engine.setCell(activeSheet, addr, value)
-    invalidateDisplayCache()
+    // Spilled cells are read-only; their values come from the anchor formula
+    if (isSpilled(activeSheet, addr)) return
+    const changed = engine.setCell(activeSheet, addr, value)
+    invalidateDisplayKeys(changed)
     setGridVersion((v) => v + 1)
     schedulePersistSheets()
-  }, [engine, activeSheet, invalidateDisplayCache])
+  }, [engine, activeSheet, isSpilled, invalidateDisplayKeys])
+
+  // Typed dates and times are stored as serials and shown with a matching
+  // date format, unless the cell already has a number format
+  const enterInput = useCallback((row, col, text) => {
+    const date = typeof text === 'string' && !text.trim().startsWith('=') ? parseDateInput(text) : null
+    if (date) {
+      const key = `${activeSheet}:${toA1(row, col)}`
+      setCellFormats((prev) => {
+        const existing = prev[key] || {}
+        if (existing.numberFormat && existing.numberFormat !== 'normal') return prev
+        return { ...prev, [key]: { ...existing, numberFormat: date.format } }
+      })
+    }
+    setCell(row, col, normalizeInput(text))
+  }, [activeSheet, setCell])
+
+  // The worker's snapshot brings the recomputed values
+  const recalculateNow = useCallback(() => {
+    engine.recalculate()
+  }, [engine])
+
+  const changeCalcMode = useCallback((mode) => {
+    engine.setCalculationMode(mode)
+    setCalcMode(mode)
+    schedulePersistSheets()
+  }, [engine, schedulePersistSheets])
+
+  // F9 recalculates, as in Excel
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key !== 'F9') return
+      e.preventDefault()
+      recalculateNow()
+    }
+    document.addEventListener('keydown', onKey)
+    return () => document.removeEventListener('keydown', onKey)
+  }, [recalculateNow])
 
   // Clear cached displays whenever data context changes
   useEffect(() => {
     try { displayCacheRef.current.clear() } catch {}
-  }, [engine, activeSheet, gridVersion])
+  }, [engine, activeSheet])
 
   const getCellDisplay = useCallback((row, col) => {
     const addr = toA1(row, col)
@@ -479,15 +477,16 @@ export default function App() {
     const cellFormatKey = `${activeSheet}:${addr}`
     const format = cellFormats[cellFormatKey] || {}
     let out
-    if (typeof raw === 'string' && raw.startsWith('=')) {
-      const v = engine.evaluateCell(activeSheet, addr)
+    if ((typeof raw === 'string' && raw.startsWith('=')) || raw == null || raw === '') {
+      // Blank cells may hold a value spilled from an array formula
+      const v = computedValue(activeSheet, addr)
       out = formatValue(v, format)
     } else {
       out = formatValue(raw, format)
     }
     displayCacheRef.current.set(key, out)
     return out
-  }, [engine, activeSheet, cellFormats])
+  }, [engine, activeSheet, cellFormats, computedValue])
 
   const getCellRaw = useCallback((row, col) => {
     const addr = toA1(row, col)
@@ -495,48 +494,38 @@ export default function App() {
     return raw ?? ''
   }, [engine, activeSheet])
 
+  // Error cells explain themselves on hover, e.g. "Division by zero" for #DIV/0!
+  const getCellTooltip = useCallback((row, col) => {
+    const addr = toA1(row, col)
+    const raw = engine.getCell(activeSheet, addr)
+    if (typeof raw !== 'string' || !raw.startsWith('=')) return undefined
+    const v = computedValue(activeSheet, addr)
+    if (v && typeof v === 'object' && v.code) return v.message ? `${v.code}: ${v.message}` : v.code
+    return undefined
+  }, [engine, activeSheet, computedValue])
+
+  const isCellSpilled = useCallback((row, col) => {
+    return isSpilled(activeSheet, toA1(row, col))
+  }, [activeSheet, isSpilled])
+
   const getCellFormat = useCallback((row, col) => {
     const addr = toA1(row, col)
     const key = `${activeSheet}:${addr}`
     return cellFormats[key] || {}
   }, [activeSheet, cellFormats])
 
+  // The scripts run in the engine worker's sandbox, never on this page; the
+  // worker's snapshot brings the values they change
   const compileAndRegisterScripts = useCallback((allScripts) => {
-    try {
-      const combined = allScripts.map((s) => String(s.content || '')).join('\n\n')
-      // Syntax validation + collect top-level function declarations
-      const ast = acorn.parse(combined, { ecmaVersion: 'latest', sourceType: 'script' })
-      const fnNames = []
-      for (const node of ast.body) {
-        if (node.type === 'FunctionDeclaration' && node.id && node.id.name && !node.id.name.startsWith('_')) {
-          fnNames.push(node.id.name)
-        }
-      }
-      // Evaluate and stage functions into a fresh registry (atomic swap on success)
-      const exportList = fnNames.map((n) => `${n}: typeof ${n} !== 'undefined' ? ${n} : undefined`).join(', ')
-      const wrapper = `"use strict";\n${combined}\n;return { ${exportList} };`
-      const NewRegistryClass = engine.registry.constructor
-      const newRegistry = new NewRegistryClass()
-      registerBuiltins(newRegistry)
-      // Build BUILTINS helper for user scripts to call built-in spreadsheet functions directly
-      const builtinsHelper = {}
-      for (const name of newRegistry.names()) {
-        if (name === 'BUILTINS') continue
-        builtinsHelper[name] = (...fnArgs) => newRegistry.get(name)(fnArgs)
-      }
-      const bag = Function('BUILTINS', wrapper)(builtinsHelper)
-      for (const name of fnNames) {
-        const fn = bag[name]
-        if (typeof fn === 'function') newRegistry.register(name, fn)
-      }
-      engine.registry = newRegistry
-      setScriptError(null)
-      invalidateDisplayCache()
-      setGridVersion((v) => v + 1)
-    } catch (err) {
-      setScriptError({ message: 'Script error', details: String(err && (err.message || err)) })
-    }
-  }, [engine, invalidateDisplayCache])
+    const client = engineClientRef.current
+    if (!client) return
+    client.request('reloadScripts', { scripts: allScripts })
+      .then(({ errors }) => {
+        setScriptError(errors.length > 0 ? { message: 'Script error', errors } : null)
+        client.request('functions').then(setFunctions).catch((err) => console.error('Listing functions failed:', err))
+      })
+      .catch((err) => setScriptError({ message: 'Script error', details: String(err && (err.message || err)), errors: [] }))
+  }, [])
 
   // Initial load
   useEffect(() => {
@@ -578,22 +567,19 @@ export default function App() {
     // Ensure dependent selectors recompute
     invalidateDisplayCache()
     setGridVersion((v) => v + 1)
-    try { localStorage.setItem(ACTIVE_SHEET_STORAGE_KEY, String(name)) } catch {}
-  }, [engine, activeSheet, invalidateDisplayCache])
-
-  const isValidSheetName = useCallback((name) => /^[A-Za-z0-9_]+$/.test(name), [])
+    activeSheetRef.current = name
+    persistSheetsNow()
+  }, [engine, activeSheet, invalidateDisplayCache, persistSheetsNow])
 
   const renameSheet = useCallback((oldName, newName) => {
     const src = String(oldName || '').trim()
     const dst = String(newName || '').trim()
     if (!src || !dst || src === dst) return false
-    if (!isValidSheetName(dst)) { alert('Sheet names must be letters, numbers, or underscore only.'); return false }
+    if (!isValidSheetName(dst)) { alert("Sheet names must be 1-31 characters, without \\ / ? * [ ] : or a leading or trailing apostrophe."); return false }
     if (!engine.sheets.has(src)) return false
     if (engine.sheets.has(dst)) { alert('A sheet with that name already exists.'); return false }
-    // Move data map
-    const data = engine.sheets.get(src)
-    engine.sheets.set(dst, data)
-    engine.sheets.delete(src)
+    // The engine rewrites sheet-qualified references across the workbook
+    engine.renameSheet(src, dst)
     // Move formatting map
     const newFormats = {}
     for (const [key, fmt] of Object.entries(cellFormats)) {
@@ -614,28 +600,26 @@ export default function App() {
       }
       return next
     })
-    // Best-effort: update sheet-qualified references in formulas across all sheets
-    const pattern = new RegExp(`(^|[^A-Za-z0-9_])${src}!`, 'g')
-    for (const [sheetName, sheetMap] of engine.sheets.entries()) {
-      for (const [addr, val] of sheetMap.entries()) {
-        if (typeof val === 'string' && val.startsWith('=')) {
-          const replaced = val.replace(pattern, (m, p1) => `${p1}${dst}!`)
-          if (replaced !== val) sheetMap.set(addr, replaced)
-        }
-      }
-    }
     if (activeSheet === src) setActiveSheet(dst)
     invalidateDisplayCache()
     setGridVersion((v) => v + 1)
     schedulePersistSheets()
     return true
-  }, [engine, activeSheet, isValidSheetName, invalidateDisplayCache, cellFormats, schedulePersistSheets])
+  }, [engine, activeSheet, invalidateDisplayCache, cellFormats, schedulePersistSheets])
 
   const deleteSheet = useCallback((name) => {
     const target = String(name || '').trim()
     if (!engine.sheets.has(target)) return false
     if (engine.sheets.size <= 1) { alert('Cannot delete the only sheet.'); return false }
-    engine.sheets.delete(target)
+    // References to the deleted sheet become #REF!
+    engine.removeSheet(target)
+    setCellFormats((prev) => {
+      const next = {}
+      for (const [key, fmt] of Object.entries(prev || {})) {
+        if (!key.startsWith(`${target}:`)) next[key] = fmt
+      }
+      return next
+    })
     // Drop sizes for deleted sheet
     setSheetSizes((prev) => {
       const next = { ...(prev || {}) }
@@ -653,6 +637,45 @@ export default function App() {
     return true
   }, [engine, activeSheet, invalidateDisplayCache])
 
+  const duplicateSheet = useCallback((name) => {
+    const src = String(name || activeSheet)
+    if (!engine.sheets.has(src)) return false
+    const dst = engine.duplicateSheet(src)
+    // Copy formatting and sizes along with the cells
+    setCellFormats((prev) => {
+      const next = { ...(prev || {}) }
+      for (const [key, fmt] of Object.entries(prev || {})) {
+        if (key.startsWith(`${src}:`)) next[`${dst}:${key.slice(src.length + 1)}`] = fmt
+      }
+      return next
+    })
+    setSheetSizes((prev) => {
+      const next = { ...(prev || {}) }
+      if (next[src]) next[dst] = next[src]
+      return next
+    })
+    setActiveSheet(dst)
+    setSelection({ row: 1, col: 1 })
+    invalidateDisplayCache()
+    setGridVersion((v) => v + 1)
+    schedulePersistSheets()
+    return true
+  }, [engine, activeSheet, invalidateDisplayCache, schedulePersistSheets])
+
+  const moveSheet = useCallback((name, delta) => {
+    const target = String(name || activeSheet)
+    const names = Array.from(engine.sheets.keys())
+    const from = names.indexOf(target)
+    if (from === -1) return false
+    const to = from + delta
+    if (to < 0 || to >= names.length) return false
+    engine.moveSheet(target, to)
+    invalidateDisplayCache()
+    setGridVersion((v) => v + 1)
+    schedulePersistSheets()
+    return true
+  }, [engine, activeSheet, invalidateDisplayCache, schedulePersistSheets])
+
   const promptRename = useCallback((name) => {
     const current = String(name || activeSheet)
     const next = window.prompt('Rename sheet', current)
@@ -711,40 +734,36 @@ export default function App() {
     }
   }, [selection, setCell])
 
-  const deleteRowAt = useCallback((rowIndex) => {
-    const sheet = engine.sheets.get(activeSheet) || new Map()
-    const next = new Map()
-    for (const [addr, val] of sheet.entries()) {
-      const { row: r, col: c } = parseA1(addr)
-      if (r === rowIndex) continue
-      const destRow = r > rowIndex ? r - 1 : r
-      const nextAddr = toA1(destRow, c)
-      next.set(nextAddr.toUpperCase(), val)
+  // Structural edits go through the engine so formulas referencing moved cells are rewritten
+  const shiftStructure = useCallback((axis, at, count) => {
+    try {
+      if (axis === 'row') {
+        if (count > 0) engine.insertRows(activeSheet, at, count)
+        else engine.deleteRows(activeSheet, at, -count)
+      } else {
+        if (count > 0) engine.insertColumns(activeSheet, at, count)
+        else engine.deleteColumns(activeSheet, at, -count)
+      }
+    } catch (e) {
+      alert(e && (e.message || String(e)))
+      return
     }
-    engine.sheets.set(activeSheet, next)
-    setSelection((sel) => ({ row: Math.max(1, sel.row > rowIndex ? sel.row - 1 : sel.row), col: sel.col }))
-    invalidateDisplayCache()
-    setGridVersion((v) => v + 1)
-    schedulePersistSheets()
-  }, [engine, activeSheet, schedulePersistSheets, setSelection, invalidateDisplayCache])
-
-  const deleteColumnAt = useCallback((colIndex) => {
-    const sheet = engine.sheets.get(activeSheet) || new Map()
-    const next = new Map()
-    for (const [addr, val] of sheet.entries()) {
-      const { row: r, col: c } = parseA1(addr)
-      if (c === colIndex) continue
-      const destCol = c > colIndex ? c - 1 : c
-      const nextAddr = toA1(r, destCol)
-      next.set(nextAddr.toUpperCase(), val)
+    setCellFormats((prev) => shiftFormatKeys(prev, activeSheet, axis, at, count))
+    if (axis === 'row') {
+      setSelection((sel) => ({ row: Math.max(1, count < 0 && sel.row > at ? sel.row + count : sel.row), col: sel.col }))
+    } else {
+      setSelection((sel) => ({ row: sel.row, col: Math.max(1, count < 0 && sel.col > at ? sel.col + count : sel.col) }))
     }
-    engine.sheets.set(activeSheet, next)
-    setSelection((sel) => ({ row: sel.row, col: Math.max(1, sel.col > colIndex ? sel.col - 1 : sel.col) }))
     invalidateDisplayCache()
     setGridVersion((v) => v + 1)
     schedulePersistSheets()
   }, [engine, activeSheet, schedulePersistSheets, setSelection, invalidateDisplayCache])
 
+  const deleteRowAt = useCallback((rowIndex) => shiftStructure('row', rowIndex, -1), [shiftStructure])
+  const deleteColumnAt = useCallback((colIndex) => shiftStructure('col', colIndex, -1), [shiftStructure])
+  const insertRowAt = useCallback((rowIndex) => shiftStructure('row', rowIndex, 1), [shiftStructure])
+  const insertColumnAt = useCallback((colIndex) => shiftStructure('col', colIndex, 1), [shiftStructure])
+
   // When scripts array changes (add/rename/delete), mark dirty
   useEffect(() => { markProjectDirty() }, [scripts, activeScriptId, markProjectDirty])
 
@@ -837,7 +856,7 @@ export default function App() {
           onFileSaveAs={() => setShowFileManager(true)}
           onDownloadCsv={() => {
             try {
-              const csv = generateCsv(engine, activeSheet)
+              const csv = generateCsv(engine, activeSheet, computedValue)
               triggerCsvDownload(csv, `${activeSheet}.csv`)
             } catch (e) {
               console.error('CSV download failed:', e)
@@ -865,6 +884,10 @@ export default function App() {
                 }
               }
               engine.sheets.set(activeSheet, map)
+              engine.invalidateAll()
+              if (engineClientRef.current) {
+                engineClientRef.current.request('load', { workbook: engine.toJSON() }).catch((err) => console.error('Worker load failed:', err))
+              }
               setSelection({ row: 1, col: 1 })
               invalidateDisplayCache()
               setGridVersion((v) => v + 1)
@@ -878,9 +901,30 @@ export default function App() {
           onDeleteValues={clearSelectionValues}
           onDeleteRow={() => deleteRowAt(selection.row)}
           onDeleteColumn={() => deleteColumnAt(selection.col)}
+          onInsertRowAbove={() => insertRowAt(selection.row)}
+          onInsertRowBelow={() => insertRowAt(selection.row + 1)}
+          onInsertColumnLeft={() => insertColumnAt(selection.col)}
+          onInsertColumnRight={() => insertColumnAt(selection.col + 1)}
           onApplyFormat={applyFormatToSelection}
           getCellFormat={getCellFormat}
         />
+        <div className="calc-status">
+          <select
+            className="calc-mode"
+            value={calcMode}
+            onChange={(e) => changeCalcMode(e.target.value)}
+            title="Calculation mode"
+          >
+            <option value="automatic">Automatic</option>
+            <option value="automatic-except-tables">Automatic except tables</option>
+            <option value="manual">Manual</option>
+          </select>
+          {needsRecalc && (
+            <button className="calc-stale" onClick={recalculateNow} title="Some values are out of date. Press F9 to recalculate.">
+              Calculate (F9)
+            </button>
+          )}
+        </div>
         <div style={{ flex: 1 }} />
         <div className="tabs">
           <a
@@ -918,7 +962,7 @@ export default function App() {
                   <FormulaBar
                     selection={selection}
                     rawValue={getCellRaw(selection.row, selection.col)}
-                    onSubmit={(text) => setCell(selection.row, selection.col, normalizeInput(text))}
+                    onSubmit={(text) => enterInput(selection.row, selection.col, text)}
                   />
                   <Grid
                     key={activeSheet}
@@ -929,7 +973,10 @@ export default function App() {
                     getCellDisplay={getCellDisplay}
                     getCellRaw={getCellRaw}
                     getCellFormat={getCellFormat}
-                    onEdit={(r, c, text) => setCell(r, c, normalizeInput(text))}
+                    getCellTooltip={getCellTooltip}
+                    isCellSpilled={isCellSpilled}
+                    functions={functions}
+                    onEdit={(r, c, text) => enterInput(r, c, text)}
                     onApplyFormat={applyFormatToSelection}
                     initialColWidths={(sheetSizes && sheetSizes[activeSheet] && sheetSizes[activeSheet].cols) ? sheetSizes[activeSheet].cols : undefined}
                     initialRowHeights={(sheetSizes && sheetSizes[activeSheet] && sheetSizes[activeSheet].rows) ? sheetSizes[activeSheet].rows : undefined}
@@ -943,6 +990,8 @@ export default function App() {
                     onAdd={addNewSheet}
                     onRename={promptRename}
                     onDelete={confirmDelete}
+                    onDuplicate={duplicateSheet}
+                    onMove={moveSheet}
                   />
                 </>
               )}
@@ -963,6 +1012,8 @@ export default function App() {
               {pane === 'chat' && (
                 <Chat
                   engine={engine}
+                  engineClient={engineClientRef.current}
+                  functions={functions}
                   activeSheet={activeSheet}
                   onEngineMutated={() => { invalidateDisplayCache(); setGridVersion((v) => v + 1); schedulePersistSheets() }}
                 />
@@ -990,9 +1041,10 @@ export default function App() {
   )
 }
 
-function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCsv, onImportCsv, selection, onDeleteValues, onDeleteRow, onDeleteColumn, onApplyFormat, getCellFormat }) {
+function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCsv, onImportCsv, selection, onDeleteValues, onDeleteRow, onDeleteColumn, onInsertRowAbove, onInsertRowBelow, onInsertColumnLeft, onInsertColumnRight, onApplyFormat, getCellFormat }) {
   const [fileOpen, setFileOpen] = useState(false)
   const [editOpen, setEditOpen] = useState(false)
+  const [insertOpen, setInsertOpen] = useState(false)
   const [deleteOpen, setDeleteOpen] = useState(false)
   const [formatOpen, setFormatOpen] = useState(false)
   const [textStyleOpen, setTextStyleOpen] = useState(false)
@@ -1006,6 +1058,7 @@ function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCs
       if (!ref.current.contains(e.target)) {
         setFileOpen(false)
         setEditOpen(false)
+        setInsertOpen(false)
         setDeleteOpen(false)
         setFormatOpen(false)
         setTextStyleOpen(false)
@@ -1016,6 +1069,7 @@ function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCs
       if (e.key === 'Escape') {
         setFileOpen(false)
         setEditOpen(false)
+        setInsertOpen(false)
         setDeleteOpen(false)
         setFormatOpen(false)
         setTextStyleOpen(false)
@@ -1073,6 +1127,28 @@ function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCs
         <button className="menu-button" onClick={() => { setEditOpen(v => !v); setFileOpen(false); setFormatOpen(false) }}>Edit ▾</button>
         {editOpen && (
           <div className="menu-dropdown">
+            <div
+              className="menu-item submenu-trigger"
+              onMouseEnter={() => setInsertOpen(true)}
+              onMouseLeave={() => setInsertOpen(false)}
+              onClick={() => setInsertOpen(v => !v)}
+              style={{ position: 'relative', display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <span>Insert</span>
+              <span style={{ marginLeft: 'auto' }}>▸</span>
+              {insertOpen && (
+                <div
+                  className="submenu-dropdown"
+                  onMouseEnter={() => setInsertOpen(true)}
+                  onMouseLeave={() => setInsertOpen(false)}
+                >
+                  <button className="menu-item" onClick={() => { setEditOpen(false); setInsertOpen(false); onInsertRowAbove && onInsertRowAbove() }}>Row above</button>
+                  <button className="menu-item" onClick={() => { setEditOpen(false); setInsertOpen(false); onInsertRowBelow && onInsertRowBelow() }}>Row below</button>
+                  <button className="menu-item" onClick={() => { setEditOpen(false); setInsertOpen(false); onInsertColumnLeft && onInsertColumnLeft() }}>Column left</button>
+                  <button className="menu-item" onClick={() => { setEditOpen(false); setInsertOpen(false); onInsertColumnRight && onInsertColumnRight() }}>Column right</button>
+                </div>
+              )}
+            </div>
             <div
               className="menu-item submenu-trigger"
               onMouseEnter={() => setDeleteOpen(true)}
@@ -1197,6 +1273,33 @@ function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCs
                   >
                     {currentFormat.numberFormat === 'percentage' ? '✓ ' : ''}Percentage (%)
                   </button>
+                  <button 
+                    className="menu-item" 
+                    onClick={() => { 
+                      setFormatOpen(false); setNumberFormatOpen(false); 
+                      onApplyFormat && onApplyFormat('numberFormat', 'date');
+                    }}
+                  >
+                    {currentFormat.numberFormat === 'date' ? '✓ ' : ''}Date (2026-10-19)
+                  </button>
+                  <button 
+                    className="menu-item" 
+                    onClick={() => { 
+                      setFormatOpen(false); setNumberFormatOpen(false); 
+                      onApplyFormat && onApplyFormat('numberFormat', 'datetime');
+                    }}
+                  >
+                    {currentFormat.numberFormat === 'datetime' ? '✓ ' : ''}Date time (2026-10-19 14:30)
+                  </button>
+                  <button 
+                    className="menu-item" 
+                    onClick={() => { 
+                      setFormatOpen(false); setNumberFormatOpen(false); 
+                      onApplyFormat && onApplyFormat('numberFormat', 'time');
+                    }}
+                  >
+                    {currentFormat.numberFormat === 'time' ? '✓ ' : ''}Time (14:30)
+                  </button>
                   <div className="menu-divider" style={{ height: '1px', background: '#e0e0e0', margin: '4px 0' }} />
                   <button 
                     className="menu-item" 
@@ -1230,7 +1333,8 @@ function Menubar({ onFileNew, onFileOpen, onFileSave, onFileSaveAs, onDownloadCs
   )
 }
 
-function generateCsv(engine, sheetName) {
+// `computed(sheet, addr)` gives a formula's value
+function generateCsv(engine, sheetName, computed) {
   const ROWS = 100
   const COLS = 26
   const isNonEmpty = (r, c) => {
@@ -1256,7 +1360,7 @@ function generateCsv(engine, sheetName) {
     for (let c = 1; c <= lastCol; c++) {
       const addr = toA1(r, c)
       const raw = engine.getCell(sheetName, addr)
-      const val = (typeof raw === 'string' && raw.startsWith('=')) ? engine.evaluateCell(sheetName, addr) : raw
+      const val = (typeof raw === 'string' && raw.startsWith('=')) ? computed(sheetName, addr) : raw
       cells.push(escapeCsvCell(val))
     }
     lines.push(cells.join(','))
@@ -1364,6 +1468,26 @@ function parseA1(a1) {
   return { row, col }
 }
 
+// Moves "Sheet:A1" format keys of one sheet the same way the engine moves its cells
+function shiftFormatKeys(formats, sheetName, axis, at, count) {
+  const next = {}
+  const prefix = `${sheetName}:`
+  for (const [key, fmt] of Object.entries(formats || {})) {
+    if (!key.startsWith(prefix)) { next[key] = fmt; continue }
+    const { row, col } = parseA1(key.slice(prefix.length))
+    const pos = axis === 'row' ? row : col
+    let moved = pos
+    if (count > 0) moved = pos >= at ? pos + count : pos
+    else if (pos >= at) moved = pos < at - count ? null : pos + count
+    if (moved === null) continue
+    next[`${prefix}${axis === 'row' ? toA1(moved, col) : toA1(row, moved)}`] = fmt
+  }
+  return next
+}
+
+// Number formats that show a value as a date serial
+const DATE_FORMATS = new Set(['date', 'datetime', 'time'])
+
 function formatValue(v, format) {
   if (v == null) return ''
   if (typeof v === 'object' && v.code) return v.code
@@ -1378,6 +1502,8 @@ function formatValue(v, format) {
       displayValue = '$' + v.toFixed(precision)
     } else if (format?.numberFormat === 'percentage') {
       displayValue = (v * 100).toFixed(precision) + '%'
+    } else if (DATE_FORMATS.has(format?.numberFormat) && v >= 0) {
+      displayValue = formatSerial(v, format.numberFormat)
     } else if (format?.precision !== undefined) {
       displayValue = v.toFixed(precision)
     }
@@ -1391,6 +1517,8 @@ function normalizeInput(input) {
   const trimmed = input.trim()
   if (trimmed === '') return null
   if (trimmed.startsWith('=')) return trimmed
+  const date = parseDateInput(trimmed)
+  if (date) return date.serial
   const n = Number(trimmed)
   return Number.isNaN(n) ? input : n
 }
@@ -1421,7 +1549,7 @@ function FormulaBar({ selection, rawValue, onSubmit }) {
 }
 
 
-function SheetTabs({ sheets, active, onSelect, onAdd, onRename, onDelete }) {
+function SheetTabs({ sheets, active, onSelect, onAdd, onRename, onDelete, onDuplicate, onMove }) {
   return (
     <div className="sheet-tabs">
       <div className="sheet-tabs-list">
@@ -1437,7 +1565,10 @@ function SheetTabs({ sheets, active, onSelect, onAdd, onRename, onDelete }) {
         ))}
       </div>
       <div className="sheet-tabs-actions">
+        <button className="sheet-action-btn" onClick={() => onMove && onMove(active, -1)} title="Move active sheet left">◀</button>
+        <button className="sheet-action-btn" onClick={() => onMove && onMove(active, 1)} title="Move active sheet right">▶</button>
         <button className="sheet-action-btn" onClick={() => onRename && onRename(active)} title="Rename active sheet">Rename</button>
+        <button className="sheet-action-btn" onClick={() => onDuplicate && onDuplicate(active)} title="Duplicate active sheet">Duplicate</button>
         <button className="sheet-action-btn" onClick={() => onDelete && onDelete(active)} title="Delete active sheet">Delete</button>
         <button className="sheet-add-btn" onClick={() => onAdd && onAdd()} title="Add sheet">＋</button>
       </div>
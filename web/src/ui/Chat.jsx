@@ -6,7 +6,7 @@ import Groq from 'groq-sdk'
 import { useMcpClient } from './mcpClient.js'
 import { getSpreadsheetTools, isSpreadsheetToolName, runSpreadsheetTool } from './spreadsheetMcp.js'
 import { getBuiltinTools, isBuiltinToolName, runBuiltinTool } from './builtinTools.js'
-import { getBuiltinFunctionNames } from 'autosheet'
+import { formatSignature } from 'autosheet'
 
 function McpConnector({ index, name, url, transport, onSnapshot }) {
   if (transport !== 'http' && transport !== 'sse') return null
@@ -73,7 +73,7 @@ function getNextChatTitle(existingChats) {
   return `Chat ${next}`
 }
 
-export default function Chat({ engine, activeSheet, onEngineMutated }) {
+export default function Chat({ engine, engineClient, functions, activeSheet, onEngineMutated }) {
   const [systemPrompt, setSystemPrompt] = useState(() => {
     try {
       return localStorage.getItem(SYSTEM_PROMPT_STORAGE_KEY) || 'You are a helpful assistant.'
@@ -225,19 +225,19 @@ export default function Chat({ engine, activeSheet, onEngineMutated }) {
   const spreadsheetTools = useMemo(() => getSpreadsheetTools(), [])
   const builtinTools = useMemo(() => getBuiltinTools(), [])
 
-  // Dynamically list builtin spreadsheet functions to constrain JS codegen
+  // The spreadsheet functions with their signatures, to constrain JS codegen;
+  // `functions` has the scripts' too, the engine here only the built-ins
   const builtinFunctionList = useMemo(() => {
-    try {
-      if (!engine || !engine.registry) return []
-      // Prefer the snapshot captured by registerBuiltins if available
-      const names = engine.registry._builtinNames
-        ? Array.from(engine.registry._builtinNames)
-        : (typeof getBuiltinFunctionNames === 'function' ? getBuiltinFunctionNames(engine.registry) : [])
-      return names.filter((n) => n && n !== 'BUILTINS').sort()
-    } catch {
-      return []
-    }
-  }, [engine])
+    const list = functions || (engine && engine.registry ? engine.registry.list() : [])
+    const builtins = (engine && engine.registry && engine.registry._builtinNames) || new Set()
+    return [...list]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((meta) => {
+        const origin = builtins.has(meta.name) ? '' : ' (custom)'
+        const description = meta.description ? `: ${meta.description}` : ''
+        return `${formatSignature(meta)} -> ${meta.returns}${origin}${description}`
+      })
+  }, [engine, functions])
 
   // Build tool list from Builtin + Spreadsheet tools + current snapshots
   const toolsDef = useMemo(() => {
@@ -355,7 +355,7 @@ export default function Chat({ engine, activeSheet, onEngineMutated }) {
     try {
       const reqMessages = []
       const builtinNote = builtinFunctionList.length > 0
-        ? `\n\nSupported builtin spreadsheet functions (only use these when referencing builtins in generated code): ${builtinFunctionList.join(', ')}`
+        ? `\n\nSupported spreadsheet functions (only use these when referencing builtins in generated code; [x] is optional, ...x repeats):\n${builtinFunctionList.map((line) => `- ${line}`).join('\n')}`
         : ''
       const combinedSystem = systemPrompt && systemPrompt.trim()
         ? `${BASE_SYSTEM_PROMPT}${builtinNote}\n\n${systemPrompt.trim()}`
@@ -572,7 +572,7 @@ export default function Chat({ engine, activeSheet, onEngineMutated }) {
                 called = true
               }
               if (isSpreadsheetToolName(functionName)) {
-                result = await runSpreadsheetTool(functionName, parsedArgs, { engine, activeSheet, onEngineMutated })
+                result = await runSpreadsheetTool(functionName, parsedArgs, { engine, engineClient, activeSheet, onEngineMutated })
                 called = true
               }
 
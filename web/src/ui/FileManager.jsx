@@ -1,8 +1,18 @@
 "use client"
 import React, { useState, useCallback, useEffect } from 'react'
+import { migrateWorkbook } from 'autosheet'
 
 const FILES_STORAGE_KEY = 'autosheet.files.v2'
 const CURRENT_FILE_KEY = 'autosheet.currentFile.v2'
+// The open workbook in the package's JSON format; scripts live in the script editor's key
+export const WORKBOOK_STORAGE_KEY = 'autosheet.workbook.v2'
+const SCRIPTS_STORAGE_KEY = 'autosheet.scriptFiles.v1'
+// Where the workbook was stored, in pieces, before WORKBOOK_STORAGE_KEY
+const LEGACY_WORKBOOK_KEYS = ['autosheet.sheets.v1', 'autosheet.activeSheet', 'autosheet.cellFormats.v1', 'autosheet.sizes.v1']
+
+function emptyWorkbook() {
+  return migrateWorkbook({ sheets: { Sheet1: {} }, activeSheet: 'Sheet1' })
+}
 
 // File format structure
 function createNewFile(name) {
@@ -12,11 +22,7 @@ function createNewFile(name) {
     createdAt: Date.now(),
     updatedAt: Date.now(),
     data: {
-      sheets: {},
-      activeSheet: 'Sheet1',
-      cellFormats: {},
-      sizes: {},
-      scripts: [],
+      workbook: emptyWorkbook(),
       activeScriptId: null,
       chats: [],
       activeChatId: null,
@@ -86,14 +92,37 @@ export function setCurrentFileId(fileId) {
   }
 }
 
+// The stored workbook (without scripts), migrated to the current version, or
+// null if there is none. Workbooks saved before WORKBOOK_STORAGE_KEY existed
+// are read from their separate keys.
+export function loadStoredWorkbook() {
+  try {
+    const raw = localStorage.getItem(WORKBOOK_STORAGE_KEY)
+    if (raw) return migrateWorkbook(raw)
+    const sheetsRaw = localStorage.getItem('autosheet.sheets.v1')
+    if (!sheetsRaw) return null
+    const legacy = JSON.parse(sheetsRaw) || {}
+    legacy.activeSheet = localStorage.getItem('autosheet.activeSheet') || legacy.activeSheet
+    const formatsRaw = localStorage.getItem('autosheet.cellFormats.v1')
+    if (formatsRaw) legacy.formats = JSON.parse(formatsRaw)
+    const sizesRaw = localStorage.getItem('autosheet.sizes.v1')
+    if (sizesRaw) legacy.sizes = JSON.parse(sizesRaw)
+    return migrateWorkbook(legacy)
+  } catch (e) {
+    console.error('Failed to load workbook:', e)
+    return null
+  }
+}
+
+export function storeWorkbook(workbook) {
+  localStorage.setItem(WORKBOOK_STORAGE_KEY, JSON.stringify({ ...workbook, scripts: [] }))
+  for (const key of LEGACY_WORKBOOK_KEYS) localStorage.removeItem(key)
+}
+
 // Collect all current state from various localStorage keys
 export function collectCurrentState() {
   const state = {
-    sheets: {},
-    activeSheet: 'Sheet1',
-    cellFormats: {},
-    sizes: {},
-    scripts: [],
+    workbook: null,
     activeScriptId: null,
     chats: [],
     activeChatId: null,
@@ -106,32 +135,13 @@ export function collectCurrentState() {
   }
 
   try {
-    // Sheets data
-    const sheetsRaw = localStorage.getItem('autosheet.sheets.v1')
-    if (sheetsRaw) {
-      const parsed = JSON.parse(sheetsRaw)
-      state.sheets = parsed.sheets || {}
-      state.activeSheet = parsed.activeSheet || 'Sheet1'
-      state.cellFormats = parsed.formats || {}
-    }
-
-    // Cell formats (if stored separately)
-    const formatsRaw = localStorage.getItem('autosheet.cellFormats.v1')
-    if (formatsRaw) {
-      state.cellFormats = JSON.parse(formatsRaw) || {}
-    }
-
-    // Sizes
-    const sizesRaw = localStorage.getItem('autosheet.sizes.v1')
-    if (sizesRaw) {
-      state.sizes = JSON.parse(sizesRaw) || {}
-    }
-
-    // Scripts
-    const scriptsRaw = localStorage.getItem('autosheet.scriptFiles.v1')
+    // Workbook, with the scripts from the script editor
+    const workbook = loadStoredWorkbook() || emptyWorkbook()
+    const scriptsRaw = localStorage.getItem(SCRIPTS_STORAGE_KEY)
     if (scriptsRaw) {
-      state.scripts = JSON.parse(scriptsRaw) || []
+      workbook.scripts = JSON.parse(scriptsRaw) || []
     }
+    state.workbook = workbook
 
     // Chats
     const chatsRaw = localStorage.getItem('autosheet.chats.v1')
@@ -165,21 +175,14 @@ export function collectCurrentState() {
 // Apply file state to localStorage
 export function applyFileState(fileData) {
   try {
-    // Sheets and formats
-    localStorage.setItem('autosheet.sheets.v1', JSON.stringify({
-      sheets: fileData.sheets || {},
-      activeSheet: fileData.activeSheet || 'Sheet1',
-      formats: fileData.cellFormats || {}
-    }))
-    localStorage.setItem('autosheet.activeSheet', fileData.activeSheet || 'Sheet1')
-    localStorage.setItem('autosheet.cellFormats.v1', JSON.stringify(fileData.cellFormats || {}))
-    localStorage.setItem('autosheet.sizes.v1', JSON.stringify(fileData.sizes || {}))
-
-    // Scripts
-    if (fileData.scripts && fileData.scripts.length > 0) {
-      localStorage.setItem('autosheet.scriptFiles.v1', JSON.stringify(fileData.scripts))
+    // Workbook; files saved before it was embedded hold the earlier layout's
+    // fields (sheets, cellFormats, sizes, ...) themselves
+    const workbook = migrateWorkbook(fileData.workbook || fileData)
+    storeWorkbook(workbook)
+    if (workbook.scripts.length > 0) {
+      localStorage.setItem(SCRIPTS_STORAGE_KEY, JSON.stringify(workbook.scripts))
     } else {
-      localStorage.removeItem('autosheet.scriptFiles.v1')
+      localStorage.removeItem(SCRIPTS_STORAGE_KEY)
     }
 
     // Chats
@@ -0,0 +1,103 @@
+"use client"
+import React from 'react'
+import { formatSignature } from 'autosheet'
+
+const MAX_SUGGESTIONS = 8
+
+// Where the caret is in a formula being typed: the function name being
+// typed (`word`, from `start`) and the innermost call the caret is in, with
+// the index of the argument. Text in quotes is skipped.
+export function formulaContextAt(text, caret) {
+  if (!text || !text.startsWith('=')) return null
+  const calls = []
+  let name = ''
+  for (let i = 1; i < caret; i++) {
+    const ch = text[i]
+    if (ch === '"') {
+      const end = text.indexOf('"', i + 1)
+      if (end === -1 || end >= caret) return { word: '', start: caret, call: calls[calls.length - 1] || null }
+      i = end
+      name = ''
+    } else if (ch === '(') {
+      calls.push({ name: name.toUpperCase(), arg: 0 })
+      name = ''
+    } else if (ch === ')') {
+      calls.pop()
+      name = ''
+    } else if (ch === ',' && calls.length) {
+      calls[calls.length - 1].arg++
+      name = ''
+    } else if (/[\w.]/.test(ch)) {
+      name += ch
+    } else {
+      name = ''
+    }
+  }
+  // Cell references like A1 look like names too, but no function starts with a digit
+  const word = /^[A-Za-z_][\w.]*$/.test(name) ? name : ''
+  return { word, start: caret - name.length, call: calls[calls.length - 1] || null }
+}
+
+// Functions whose names start with what is typed before the caret.
+export function suggestFunctions(functions, text, caret) {
+  const context = formulaContextAt(text, caret)
+  if (!context || !context.word) return []
+  const prefix = context.word.toUpperCase()
+  return functions
+    .filter((meta) => meta.name.toUpperCase().startsWith(prefix) && meta.name.toUpperCase() !== prefix)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, MAX_SUGGESTIONS)
+}
+
+// `text` with the name being typed replaced by `NAME(`, and the new caret.
+export function completeFunction(text, caret, name) {
+  const { start } = formulaContextAt(text, caret)
+  const inserted = `${name}(`
+  return { text: text.slice(0, start) + inserted + text.slice(caret), caret: start + inserted.length }
+}
+
+// Suggestions while a name is typed, otherwise the signature of the call the
+// caret is in with the current argument in bold.
+export function FormulaHints({ functions, text, caret, suggestions, selected, onPick, style }) {
+  if (suggestions.length > 0) {
+    return (
+      <ul className="formula-hints" style={style}>
+        {suggestions.map((meta, i) => (
+          <li
+            key={meta.name}
+            className={i === selected ? 'active' : undefined}
+            onMouseDown={(e) => { e.preventDefault(); e.stopPropagation(); onPick(meta.name) }}
+          >
+            <span className="formula-hint-signature">{formatSignature(meta)}</span>
+            {meta.description && <span className="formula-hint-description">{meta.description}</span>}
+          </li>
+        ))}
+      </ul>
+    )
+  }
+  const context = formulaContextAt(text, caret)
+  const meta = context && context.call && functions.find((f) => f.name.toUpperCase() === context.call.name)
+  if (!meta || !meta.params) return null
+  const current = Math.min(context.call.arg, meta.params.length - 1)
+  return (
+    <div className="formula-hints formula-hint-call" style={style}>
+      <span className="formula-hint-signature">
+        {meta.name}(
+        {meta.params.map((p, i) => {
+          const name = p.repeating ? `...${p.name}` : p.name
+          const label = p.optional ? `[${name}]` : name
+          return (
+            <React.Fragment key={p.name}>
+              {i > 0 && ', '}
+              {i === current ? <b>{label}</b> : label}
+            </React.Fragment>
+          )
+        })}
+        )
+      </span>
+      {meta.params[current] && meta.params[current].description
+        ? <span className="formula-hint-description">{meta.params[current].name}: {meta.params[current].description}</span>
+        : meta.description && <span className="formula-hint-description">{meta.description}</span>}
+    </div>
+  )
+}
@@ -1,10 +1,19 @@
 "use client"
 import React, { useRef, useEffect, useState } from 'react'
+import { FormulaHints, suggestFunctions, completeFunction } from './FormulaHints.jsx'
 
-export function Grid({ rows, cols, selection, setSelection, getCellDisplay, getCellRaw, getCellFormat, onEdit, onApplyFormat, initialColWidths, initialRowHeights, onColumnWidthsChange, onRowHeightsChange }) {
+export function Grid({ rows, cols, selection, setSelection, getCellDisplay, getCellRaw, getCellFormat, getCellTooltip, isCellSpilled, functions = [], onEdit, onApplyFormat, initialColWidths, initialRowHeights, onColumnWidthsChange, onRowHeightsChange }) {
   const tableRef = useRef(null)
   const [editing, setEditing] = useState(null)
   const [editValue, setEditValue] = useState('')
+  // Formula autocomplete: the caret, the suggestion picked with the arrow
+  // keys (-1 for none, so Enter still commits) and where the hints show,
+  // below the cell being edited
+  const [editCaret, setEditCaret] = useState(0)
+  const [hintIndex, setHintIndex] = useState(-1)
+  const [hintPosition, setHintPosition] = useState(null)
+  const editInputRef = useRef(null)
+  const pendingCaretRef = useRef(null)
   const hasCommittedRef = useRef(false)
   const isSelectingRef = useRef(false)
   const dragStartRef = useRef(null)
@@ -65,9 +74,53 @@ export function Grid({ rows, cols, selection, setSelection, getCellDisplay, getC
   }, [rowHeights, rows, onRowHeightsChange])
 
   const startEditing = (row, col, initialValue) => {
+    // Spilled cells are filled by their anchor formula and cannot be edited
+    if (isCellSpilled && isCellSpilled(row, col)) return
     hasCommittedRef.current = false
     setEditing({ row, col })
     setEditValue(initialValue ?? '')
+    setEditCaret((initialValue ?? '').length)
+    setHintIndex(-1)
+  }
+
+  // The hints are fixed to the viewport, so they follow the cell as the grid scrolls
+  useEffect(() => {
+    const input = editInputRef.current
+    const gridEl = tableRef.current
+    if (!editing || !input || !gridEl) {
+      setHintPosition(null)
+      return
+    }
+    const place = () => {
+      const rect = input.getBoundingClientRect()
+      setHintPosition({ top: rect.bottom + 2, left: rect.left })
+    }
+    place()
+    gridEl.addEventListener('scroll', place)
+    window.addEventListener('resize', place)
+    return () => {
+      gridEl.removeEventListener('scroll', place)
+      window.removeEventListener('resize', place)
+    }
+  }, [editing, rowHeights, colWidths])
+
+  // Moves the caret after a completion once the input has the new text
+  useEffect(() => {
+    const input = editInputRef.current
+    if (input && pendingCaretRef.current != null) {
+      input.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current)
+      pendingCaretRef.current = null
+    }
+  }, [editValue])
+
+  const suggestions = editing ? suggestFunctions(functions, editValue, editCaret) : []
+
+  const pickSuggestion = (name) => {
+    const next = completeFunction(editValue, editCaret, name)
+    pendingCaretRef.current = next.caret
+    setEditValue(next.text)
+    setEditCaret(next.caret)
+    setHintIndex(-1)
   }
 
   const commitEditing = (row, col, value, move) => {
@@ -693,9 +746,11 @@ export function Grid({ rows, cols, selection, setSelection, getCellDisplay, getC
                 const bottom = hasFocus ? Math.max(selection.row, selection.focus.row) : selection.row
                 const right = hasFocus ? Math.max(selection.col, selection.focus.col) : selection.col
                 const inRange = hasFocus && rr >= top && rr <= bottom && cc >= left && cc <= right
-                const className = hasFocus
+                const selClass = hasFocus
                   ? (inRange ? (isAnchor ? 'sel-range sel-anchor' : 'sel-range') : '')
                   : (isAnchor ? 'sel' : '')
+                const spilled = isCellSpilled && isCellSpilled(rr, cc)
+                const className = spilled ? `${selClass} cell-spill`.trim() : selClass
                 const isEditing = editing && editing.row === rr && editing.col === cc
                 return (
                   <td
@@ -732,32 +787,60 @@ export function Grid({ rows, cols, selection, setSelection, getCellDisplay, getC
                     }}
                   >
                     {isEditing ? (
-                      <input
-                        autoFocus
-                        value={editValue}
-                        onChange={(e) => setEditValue(e.target.value)}
-                        onMouseDown={(e) => { e.stopPropagation() }}
-                        onDoubleClick={(e) => { e.stopPropagation() }}
-                        onKeyDown={(e) => {
-                          e.stopPropagation()
-                          if (e.key === 'Enter') {
-                            e.preventDefault()
-                            commitEditing(rr, cc, editValue, e.shiftKey ? 'up' : 'down')
-                          } else if (e.key === 'Escape') {
-                            e.preventDefault()
-                            cancelEditing()
-                          } else if (e.key === 'Tab') {
-                            e.preventDefault()
-                            commitEditing(rr, cc, editValue, e.shiftKey ? 'left' : 'right')
-                          }
-                        }}
-                        onBlur={() => commitEditing(rr, cc, editValue)}
-                        style={{ width: '100%', height: '100%', boxSizing: 'border-box', border: 'none', outline: 'none', font: 'inherit', padding: '0 1px', margin: 0 }}
-                      />
+                      <>
+                        <input
+                          autoFocus
+                          ref={editInputRef}
+                          value={editValue}
+                          onChange={(e) => {
+                            setEditValue(e.target.value)
+                            setEditCaret(e.target.selectionStart ?? e.target.value.length)
+                            setHintIndex(-1)
+                          }}
+                          onSelect={(e) => setEditCaret(e.target.selectionStart ?? editValue.length)}
+                          onMouseDown={(e) => { e.stopPropagation() }}
+                          onDoubleClick={(e) => { e.stopPropagation() }}
+                          onKeyDown={(e) => {
+                            e.stopPropagation()
+                            if (suggestions.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                              e.preventDefault()
+                              const step = e.key === 'ArrowDown' ? 1 : -1
+                              setHintIndex((i) => (i < 0 && step < 0 ? suggestions.length - 1 : (i + step + suggestions.length) % suggestions.length))
+                            } else if (suggestions.length > 0 && (e.key === 'Tab' || (e.key === 'Enter' && hintIndex >= 0))) {
+                              // Tab takes the first suggestion unless another is picked; Enter only a picked one
+                              e.preventDefault()
+                              pickSuggestion(suggestions[Math.min(Math.max(hintIndex, 0), suggestions.length - 1)].name)
+                            } else if (e.key === 'Enter') {
+                              e.preventDefault()
+                              commitEditing(rr, cc, editValue, e.shiftKey ? 'up' : 'down')
+                            } else if (e.key === 'Escape') {
+                              e.preventDefault()
+                              cancelEditing()
+                            } else if (e.key === 'Tab') {
+                              e.preventDefault()
+                              commitEditing(rr, cc, editValue, e.shiftKey ? 'left' : 'right')
+                            }
+                          }}
+                          onBlur={() => commitEditing(rr, cc, editValue)}
+                          style={{ width: '100%', height: '100%', boxSizing: 'border-box', border: 'none', outline: 'none', font: 'inherit', padding: '0 1px', margin: 0 }}
+                        />
+                        {hintPosition && (
+                          <FormulaHints
+                            functions={functions}
+                            text={editValue}
+                            caret={editCaret}
+                            suggestions={suggestions}
+                            selected={Math.min(hintIndex, suggestions.length - 1)}
+                            onPick={pickSuggestion}
+                            style={{ top: hintPosition.top, left: hintPosition.left }}
+                          />
+                        )}
+                      </>
                     ) : (
                       <div className="cell-display">
                         <span 
                           className="cell-text"
+                          title={getCellTooltip ? getCellTooltip(rr, cc) : undefined}
                           style={{
                             fontWeight: getCellFormat && getCellFormat(rr, cc)?.bold ? 'bold' : 'normal',
                             fontStyle: getCellFormat && getCellFormat(rr, cc)?.italic ? 'italic' : 'normal',
@@ -1,8 +1,9 @@
 "use client"
-import React, { useMemo, useState, useEffect, useCallback } from 'react'
+import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react'
 import CodeMirror from '@uiw/react-codemirror'
 import { javascript } from '@codemirror/lang-javascript'
 import { EditorView } from '@codemirror/view'
+import { lintGutter, setDiagnostics } from '@codemirror/lint'
 
 const STORAGE_KEY = 'autosheet.scriptFiles.v1'
 
@@ -36,6 +37,18 @@ export default function ScriptEditor({ scripts, setScripts, activeId, setActiveI
 
   const active = useMemo(() => scripts.find((s) => s.id === activeId) || scripts[0], [scripts, activeId])
 
+  // Load errors, { file, line, column, message } each; files with one lose
+  // their functions, and the open file's errors are marked inline
+  const fileErrors = (error && error.errors) || []
+  const failedFiles = useMemo(() => new Set(fileErrors.map((e) => e.file)), [error])
+  const viewRef = useRef(null)
+  useEffect(() => {
+    const view = viewRef.current
+    if (!view) return
+    const own = active ? fileErrors.filter((e) => e.file === active.name) : []
+    view.dispatch(setDiagnostics(view.state, own.map((e) => toDiagnostic(view.state.doc, e))))
+  }, [error, active && active.id, active && active.name])
+
   useEffect(() => {
     if (!active && scripts.length > 0) setActiveId(scripts[0].id)
     if (scripts.length === 0) {
@@ -103,7 +116,7 @@ export default function ScriptEditor({ scripts, setScripts, activeId, setActiveI
           </div>
           <div className="file-list">
             {scripts.map((file) => (
-              <div key={file.id} className={"file-item" + (active && active.id === file.id ? ' active' : '')}>
+              <div key={file.id} className={"file-item" + (active && active.id === file.id ? ' active' : '') + (failedFiles.has(file.name) ? ' failed' : '')}>
                 {renamingId === file.id ? (
                   <input
                     autoFocus
@@ -112,7 +125,7 @@ export default function ScriptEditor({ scripts, setScripts, activeId, setActiveI
                     onKeyDown={(e) => { if (e.key === 'Enter') commitRename(file.id, e.currentTarget.value.trim()); if (e.key === 'Escape') setRenamingId(null) }}
                   />
                 ) : (
-                  <button className="file-name" onClick={() => setActiveId(file.id)} title={file.name}>{file.name}</button>
+                  <button className="file-name" onClick={() => setActiveId(file.id)} title={failedFiles.has(file.name) ? `${file.name} failed to load` : file.name}>{file.name}</button>
                 )}
                 <div className="file-actions">
                   <button className="icon" title="Rename" onClick={() => startRename(file.id)}>✏️</button>
@@ -127,10 +140,12 @@ export default function ScriptEditor({ scripts, setScripts, activeId, setActiveI
             <div style={{ height: '100%', display: 'flex', flexDirection: 'column', minHeight: 0 }}>
               <CodeMirror
                 value={active.content}
+                onCreateEditor={(view) => { viewRef.current = view }}
                 style={{ flex: 1, minHeight: 0, overflow: 'auto' }}
                 height="100%"
                 extensions={[
                   javascript({ jsx: false, typescript: false }),
+                  lintGutter(),
                   EditorView.theme({
                     "&": { 
                       height: "100%"
@@ -161,9 +176,17 @@ export default function ScriptEditor({ scripts, setScripts, activeId, setActiveI
           )}
         </div>
       </div>
-      {error && (
+      {error && fileErrors.length === 0 && (
         <div className="scripts-error" title={error.details || ''}>{String(error.message || error)}</div>
       )}
+      {fileErrors.map((e, i) => {
+        const target = scripts.find((s) => s.name === e.file)
+        return (
+          <button key={i} className="scripts-error" onClick={() => target && setActiveId(target.id)}>
+            {e.file}{e.line ? ` (line ${e.line}${e.column ? `, column ${e.column}` : ''})` : ''}: {e.message}
+          </button>
+        )
+      })}
     </div>
   )
 }
@@ -173,14 +196,33 @@ function helperTextTemplate() {
 // - Define top-level functions: function Name(args) { ... }
 // - They become available in formulas by name; names starting with '_' are ignored.
 // - args: array of evaluated arguments from the cell formula
+//   (a range like A1:B2 arrives as a 2D array of rows: [[A1, B1], [A2, B2]])
 // - Use built-ins via the BUILTINS helper injected into your script's scope.
 //   Example: function DoubleSum(args) { return BUILTINS.SUM(args) * 2 }
+// - Each file loads on its own, so an error only disables that file's functions.
+//   Other files' functions can be called by name; '_' helpers stay in their file.
+// - Functions may be async (return a Promise): the cell shows #BUSY! until it
+//   resolves, and results are cached per arguments until the script changes.
+// - A JSDoc comment documents a function for autocomplete and checks its calls:
+//   @param {number} name per argument ({number=} optional, {...number} a list),
+//   @returns {number}, @example Abc(1) and @volatile. Types: number, string,
+//   boolean, date, range, any. A wrong argument count gives #N/A.
+// - A second parameter gets the call's context: function Name(args, ctx)
+//   ctx.caller is { sheet, address } of the calling cell, ctx.argRefs[i] the
+//   { sheet, address } of argument i when it is a reference (else null),
+//   await ctx.getRange('A1:B3') reads cells as rows and ctx.log(...) logs.
 `
 }
 
 function initialTemplate() {
   return `${helperTextTemplate()}
 // Example function:
+/**
+ * Adds one to a number.
+ * @param {number} x The number
+ * @returns {number}
+ * @example Abc(41)
+ */
 function Abc(args) {
   const x = Number(args?.[0] ?? 0)
   return x + 1
@@ -188,4 +230,11 @@ function Abc(args) {
 `
 }
 
-
+// A lint diagnostic at an error's line and column, or at the start of the
+// file when the position is unknown.
+function toDiagnostic(doc, { line, column, message }) {
+  if (!line || line > doc.lines) return { from: 0, to: 0, severity: 'error', message }
+  const at = doc.line(line)
+  const from = Math.min(at.from + (column ? column - 1 : 0), at.to)
+  return { from, to: column ? Math.min(from + 1, at.to) : at.to, severity: 'error', message }
+}
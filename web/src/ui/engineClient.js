@@ -0,0 +1,74 @@
+import { MIRRORED_METHODS } from 'autosheet'
+
+// Talks to the engine in engineWorker.js. The UI keeps its own engine for the
+// cell contents, created with { calculate: false }; mirror() forwards its
+// edits, and the worker answers with snapshots of the computed values.
+export function createEngineClient() {
+  const worker = new Worker(new URL('./engineWorker.js', import.meta.url), { type: 'module' })
+  const pending = new Map() // request id -> { resolve, reject }
+  const listeners = new Set()
+  let nextId = 1
+
+  worker.onmessage = (e) => {
+    const msg = e.data
+    if (msg.type === 'snapshot') {
+      for (const listener of listeners) listener(msg)
+      return
+    }
+    const request = pending.get(msg.id)
+    if (!request) return
+    pending.delete(msg.id)
+    if ('error' in msg) request.reject(new Error(msg.error))
+    else request.resolve(msg.result)
+  }
+
+  const request = (type, params = {}) => new Promise((resolve, reject) => {
+    const id = nextId++
+    pending.set(id, { resolve, reject })
+    worker.postMessage({ id, type, ...params })
+  })
+
+  return {
+    request,
+
+    // Calls `listener(snapshot)` for every snapshot; returns an unsubscribe function.
+    onSnapshot(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Wraps the edit methods of the UI's engine so the worker's engine gets
+    // every edit that succeeds there; returns a function undoing the wrapping.
+    mirror(engine) {
+      const originals = new Map()
+      const wrap = (method, forward) => {
+        const original = engine[method]
+        originals.set(method, original)
+        engine[method] = (...args) => {
+          const result = original.apply(engine, args)
+          forward(args, result).catch((err) => console.error(`Worker ${method} failed:`, err))
+          return result
+        }
+      }
+      wrap('setCell', ([sheet, address, value]) => request('setCell', { sheet, address, value }))
+      wrap('setRange', ([sheet, range, values]) => request('setRange', { sheet, range, values }))
+      wrap('loadJSON', () => request('load', { workbook: engine.toJSON() }))
+      for (const method of MIRRORED_METHODS) {
+        // Duplicating without a name picks one; the worker must use the same
+        const forward = method === 'duplicateSheet'
+          ? ([sheet], name) => request('call', { method, args: [sheet, name] })
+          : (args) => request('call', { method, args })
+        wrap(method, forward)
+      }
+      return () => {
+        for (const [method, original] of originals) engine[method] = original
+      }
+    },
+
+    terminate() {
+      worker.terminate()
+      for (const { reject } of pending.values()) reject(new Error('Engine worker terminated'))
+      pending.clear()
+    },
+  }
+}
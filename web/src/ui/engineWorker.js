@@ -0,0 +1,20 @@
+// Computes the workbook off the UI thread; see createEngineHost for the
+// message protocol and engineClient.js for the UI side. User scripts run in a
+// further worker, scriptWorker.js, so they cannot hang this one.
+import { SpreadsheetEngine, registerBuiltins, createEngineHost, createSandbox } from 'autosheet'
+
+const sandbox = createSandbox((onMessage, onError) => {
+  const worker = new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' })
+  worker.onmessage = (e) => onMessage(e.data)
+  worker.onerror = (e) => onError(new Error(e.message || 'Script worker failed'))
+  return {
+    post: (message) => worker.postMessage(message),
+    terminate: () => worker.terminate(),
+  }
+})
+
+const engine = new SpreadsheetEngine()
+registerBuiltins(engine.registry)
+const host = createEngineHost(engine, (message) => self.postMessage(message), { sandbox })
+
+self.onmessage = (e) => host.handle(e.data)
@@ -0,0 +1,5 @@
+// Runs user script functions for engineWorker.js; see serveSandbox.
+import { serveSandbox } from 'autosheet'
+
+const post = self.postMessage.bind(self)
+serveSandbox(post, (handler) => self.addEventListener('message', (e) => handler(e.data)))
@@ -1,23 +1,16 @@
-import * as acorn from 'acorn'
-import { registerBuiltins } from 'autosheet'
+import { formatScriptError, splitSheetRef } from 'autosheet'
 import { loadScriptsFromStorage, saveScriptsToStorage } from './ScriptEditor.jsx'
 
-// Resolve sheet-qualified single cell address like "Sheet2!A1"
+// Resolve sheet-qualified single cell address like "Sheet2!A1" or "'Q1 Sales'!A1"
 function resolveSheetAndAddress(defaultSheet, address) {
-  const m = /^([^!]+)!([^!]+)$/.exec(String(address))
-  if (m) {
-    return { sheet: String(m[1]), addr: String(m[2]).trim() }
-  }
-  return { sheet: String(defaultSheet), addr: String(address).trim() }
+  const { sheet, ref } = splitSheetRef(address)
+  return { sheet: sheet ?? String(defaultSheet), addr: ref }
 }
 
-// Resolve sheet-qualified range like "Sheet2!A1:C3"
+// Resolve sheet-qualified range like "Sheet2!A1:C3" or "'Q1 Sales'!A1:C3"
 function resolveSheetAndRange(defaultSheet, rangeStr) {
-  const m = /^([^!]+)!(.+)$/.exec(String(rangeStr))
-  if (m) {
-    return { sheet: String(m[1]), range: String(m[2]).trim() }
-  }
-  return { sheet: String(defaultSheet), range: String(rangeStr).trim() }
+  const { sheet, ref } = splitSheetRef(rangeStr)
+  return { sheet: sheet ?? String(defaultSheet), range: ref }
 }
 
 // Walk a result object and ensure cumulative string content <= limit chars.
@@ -114,7 +107,7 @@ export function getSpreadsheetTools() {
           type: 'object',
           properties: {
             sheet: { type: 'string', description: 'Sheet name. Defaults to the active sheet.' },
-            address: { type: 'string', description: 'A1 address, e.g., "A1".' },
+            address: { type: 'string', description: 'A1 address, e.g., "A1". May be sheet-qualified; quote names with spaces: "\'Q1 Sales\'!A1".' },
             mode: { type: 'string', description: 'What to return: raw, computed, or both. Defaults to computed.', enum: ['raw','computed','both'] },
           },
           required: ['address'],
@@ -146,7 +139,7 @@ export function getSpreadsheetTools() {
           type: 'object',
           properties: {
             sheet: { type: 'string', description: 'Sheet name. Defaults to the active sheet.' },
-            range: { type: 'string', description: 'A1 range like "A1:C3".' },
+            range: { type: 'string', description: 'A1 range like "A1:C3". May be sheet-qualified; quote names with spaces: "\'Q1 Sales\'!A1:C3".' },
             mode: { type: 'string', description: 'What to return per cell: raw, computed, or both. Defaults to computed.', enum: ['raw','computed','both'] },
           },
           required: ['range'],
@@ -176,7 +169,23 @@ export function getSpreadsheetTools() {
         },
       },
     },
-    // ===== Script management tools =====
+    {
+      type: 'function',
+      function: {
+        name: 'spreadsheet_edit_structure',
+        description: 'Inserts or deletes whole rows or columns. Cells below/right of the edit move, and formulas on all sheets are rewritten to keep pointing at the same data; references to deleted cells become #REF!.',
+        parameters: {
+          type: 'object',
+          properties: {
+            sheet: { type: 'string', description: 'Sheet name. Defaults to the active sheet.' },
+            action: { type: 'string', description: 'What to do.', enum: ['insert_rows','delete_rows','insert_columns','delete_columns'] },
+            at: { description: 'First row number (e.g., 5) or column letter/number (e.g., "C" or 3) affected. Inserted rows/columns are placed before it.', anyOf: [ { type: 'string' }, { type: 'integer' } ] },
+            count: { type: 'integer', description: 'How many rows/columns to insert or delete. Defaults to 1.' },
+          },
+          required: ['action','at'],
+        },
+      },
+    },
     {
       type: 'function',
       function: {
@@ -185,6 +194,45 @@ export function getSpreadsheetTools() {
         parameters: { type: 'object', properties: {} },
       },
     },
+    // ===== Defined name tools =====
+    {
+      type: 'function',
+      function: {
+        name: 'spreadsheet_names_list',
+        description: 'Lists the workbook\'s defined names (name and what it refers to). Names can be used in any formula in place of the reference, e.g. =SUM(Sales) * TaxRate.',
+        parameters: { type: 'object', properties: {} },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'spreadsheet_names_define',
+        description: 'Creates a defined name, or changes what an existing one refers to. Prefer meaningful names for inputs and data ranges used across formulas.',
+        parameters: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Name starting with a letter or underscore, then letters, digits, underscores or periods. Must not look like a cell reference (e.g., "TaxRate", not "TR1").' },
+            refers_to: { description: 'A sheet-qualified reference or range (e.g., "Settings!$B$2", "Data!A2:D500"), a constant (e.g., 0.2), or a formula (e.g., "=SUM(Sales)*2").', anyOf: [ { type: 'string' }, { type: 'number' }, { type: 'boolean' } ] },
+          },
+          required: ['name','refers_to'],
+        },
+      },
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'spreadsheet_names_delete',
+        description: 'Deletes a defined name. Formulas still using it evaluate to #NAME?.',
+        parameters: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Name to delete.' },
+          },
+          required: ['name'],
+        },
+      },
+    },
+    // ===== Script management tools =====
     {
       type: 'function',
       function: {
@@ -219,7 +267,7 @@ export function getSpreadsheetTools() {
       type: 'function',
       function: {
         name: 'spreadsheet_scripts_create',
-        description: 'Creates a new script in full mode. By default, add new functions to an existing script file (choose the most logical one, find out which ones exist using the spreadsheet_scripts_list tool) and only create a new file if the user explicitly asks for it. Provide the entire file content; name must end with .js and be unique.\n\nCustom functions guide\n- Define top-level functions: function Name(args) { ... }\n- They become available in formulas by name; names starting with \'_\' are ignored.\n- args: array of evaluated arguments from the cell formula\n- Use built-ins via the BUILTINS helper injected into your script\'s scope.\n  Example: function DoubleSum(args) { return BUILTINS.SUM(args) * 2 }\n\nExample function:\nfunction Abc(args) {\n  const x = Number(args?.[0] ?? 0)\n  return x + 1\n}',
+        description: 'Creates a new script in full mode. By default, add new functions to an existing script file (choose the most logical one, find out which ones exist using the spreadsheet_scripts_list tool) and only create a new file if the user explicitly asks for it. Provide the entire file content; name must end with .js and be unique.\n\nCustom functions guide\n- Define top-level functions: function Name(args) { ... }\n- They become available in formulas by name; names starting with \'_\' are ignored.\n- args: array of evaluated arguments from the cell formula; a range argument arrives as a 2D array of rows (e.g., A1:B2 -> [[A1, B1], [A2, B2]])\n- Use built-ins via the BUILTINS helper injected into your script\'s scope.\n  Example: function DoubleSum(args) { return BUILTINS.SUM(args) * 2 }\n\nExample function:\nfunction Abc(args) {\n  const x = Number(args?.[0] ?? 0)\n  return x + 1\n}',
         parameters: {
           type: 'object',
           properties: {
@@ -234,7 +282,7 @@ export function getSpreadsheetTools() {
       type: 'function',
       function: {
         name: 'spreadsheet_scripts_update',
-        description: 'Edits an existing script in full mode. This is the preferred way to add new functions: update an existing logical script file unless the user explicitly requests creating a new file. Identify by id or name. Provide the entire new content for the file; optionally rename with new_name (must end with .js).\n\nCustom functions guide\n- Define top-level functions: function Name(args) { ... }\n- They become available in formulas by name; names starting with \'_\' are ignored.\n- args: array of evaluated arguments from the cell formula\n- Use built-ins via the BUILTINS helper injected into your script\'s scope.\n  Example: function DoubleSum(args) { return BUILTINS.SUM(args) * 2 }\n\nExample function:\nfunction Abc(args) {\n  const x = Number(args?.[0] ?? 0)\n  return x + 1\n}',
+        description: 'Edits an existing script in full mode. This is the preferred way to add new functions: update an existing logical script file unless the user explicitly requests creating a new file. Identify by id or name. Provide the entire new content for the file; optionally rename with new_name (must end with .js).\n\nCustom functions guide\n- Define top-level functions: function Name(args) { ... }\n- They become available in formulas by name; names starting with \'_\' are ignored.\n- args: array of evaluated arguments from the cell formula; a range argument arrives as a 2D array of rows (e.g., A1:B2 -> [[A1, B1], [A2, B2]])\n- Use built-ins via the BUILTINS helper injected into your script\'s scope.\n  Example: function DoubleSum(args) { return BUILTINS.SUM(args) * 2 }\n\nExample function:\nfunction Abc(args) {\n  const x = Number(args?.[0] ?? 0)\n  return x + 1\n}',
         parameters: {
           type: 'object',
           properties: {
@@ -269,7 +317,11 @@ export function isSpreadsheetToolName(name) {
     || name === 'spreadsheet_set_cell'
     || name === 'spreadsheet_get_range'
     || name === 'spreadsheet_set_range'
+    || name === 'spreadsheet_edit_structure'
     || name === 'spreadsheet_sheets_list'
+    || name === 'spreadsheet_names_list'
+    || name === 'spreadsheet_names_define'
+    || name === 'spreadsheet_names_delete'
     || name === 'spreadsheet_scripts_list'
     || name === 'spreadsheet_scripts_get'
     || name === 'spreadsheet_scripts_get_all'
@@ -298,7 +350,7 @@ export async function runSpreadsheetTool(name, args, ctx) {
     let rawVal
     let compVal
     if (mode === 'raw' || mode === 'both') rawVal = engine.getCell(resolvedSheet, addr)
-    if (mode === 'computed' || mode === 'both') compVal = engine.evaluateCell(resolvedSheet, addr)
+    if (mode === 'computed' || mode === 'both') compVal = await evaluateComputed(ctx, resolvedSheet, addr)
 
     if (mode === 'raw' || mode === 'both') {
       const rawEmpty = rawVal === undefined || (typeof rawVal === 'string' && rawVal.length === 0)
@@ -334,7 +386,7 @@ export async function runSpreadsheetTool(name, args, ctx) {
     }
     engine.setCell(resolvedSheet, addr, value)
     if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
-    const computed = engine.evaluateCell(resolvedSheet, addr)
+    const computed = await evaluateComputed(ctx, resolvedSheet, addr)
     return enforceCharLimit({ ok: true, sheet: resolvedSheet, address: addr, raw: engine.getCell(resolvedSheet, addr), computed })
   }
 
@@ -343,7 +395,10 @@ export async function runSpreadsheetTool(name, args, ctx) {
     if (!rangeInput) throw new Error('Missing range')
     const mode = (args?.mode === 'raw' || args?.mode === 'both') ? args.mode : 'computed'
     const { sheet: resolvedSheet, range } = resolveSheetAndRange(sheet, rangeInput)
-    const res = engine.getRange(resolvedSheet, range, mode)
+    // Raw contents are in the UI's engine; computed values in the worker's
+    const res = (mode !== 'raw' && ctx.engineClient)
+      ? await ctx.engineClient.request('getRange', { sheet: resolvedSheet, range, mode })
+      : engine.getRange(resolvedSheet, range, mode)
     const filtered = filterRangeResult(res, mode)
     return enforceCharLimit(filtered)
   }
@@ -367,11 +422,54 @@ export async function runSpreadsheetTool(name, args, ctx) {
     return enforceCharLimit(filtered)
   }
 
+  if (name === 'spreadsheet_edit_structure') {
+    const action = String(args?.action || '')
+    const axis = action.endsWith('_rows') ? 'row' : action.endsWith('_columns') ? 'col' : null
+    if (!axis || !(action.startsWith('insert_') || action.startsWith('delete_'))) throw new Error('Invalid action')
+    const at = parseStructureIndex(args?.at, axis)
+    const count = args?.count == null ? 1 : Number(args.count)
+    if (!Number.isInteger(count) || count < 1) throw new Error('count must be a positive integer')
+    const sheetExists = !!(engine && engine.sheets && typeof engine.sheets.has === 'function' && engine.sheets.has(sheet))
+    if (!sheetExists) {
+      return { error: `Sheet '${sheet}' does not exist` }
+    }
+    if (action === 'insert_rows') engine.insertRows(sheet, at, count)
+    else if (action === 'delete_rows') engine.deleteRows(sheet, at, count)
+    else if (action === 'insert_columns') engine.insertColumns(sheet, at, count)
+    else engine.deleteColumns(sheet, at, count)
+    if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
+    return { ok: true, sheet, action, at, count }
+  }
+
   if (name === 'spreadsheet_sheets_list') {
     const names = Array.from((engine && engine.sheets && typeof engine.sheets.keys === 'function') ? engine.sheets.keys() : [])
     return names.map((n) => String(n))
   }
 
+  // ===== Defined name handlers =====
+  if (name === 'spreadsheet_names_list') {
+    return engine.listNames()
+  }
+
+  if (name === 'spreadsheet_names_define') {
+    const nameArg = String(args?.name || '').trim()
+    if (!nameArg) throw new Error('Missing name')
+    if (args?.refers_to == null || args.refers_to === '') throw new Error('Missing refers_to')
+    const existed = !!engine.getName(nameArg)
+    if (existed) engine.updateName(nameArg, args.refers_to)
+    else engine.defineName(nameArg, args.refers_to)
+    if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
+    return { ok: true, created: !existed, ...engine.getName(nameArg) }
+  }
+
+  if (name === 'spreadsheet_names_delete') {
+    const nameArg = String(args?.name || '').trim()
+    if (!nameArg) throw new Error('Missing name')
+    engine.deleteName(nameArg)
+    if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
+    return { ok: true }
+  }
+
   // ===== Script management handlers =====
   if (name === 'spreadsheet_scripts_list') {
     const scripts = safeLoadScripts()
@@ -403,9 +501,9 @@ export async function runSpreadsheetTool(name, args, ctx) {
     const next = [...scripts, { id, name: nameArg, content }]
     saveScriptsToStorage(next)
     emitScriptsUpdated(next)
-    await compileAndRegisterScripts(engine, next)
+    const loaded = await reloadScripts(ctx, next)
     if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
-    return { ok: true, id, name: nameArg }
+    return { ok: true, id, name: nameArg, ...loaded }
   }
 
   if (name === 'spreadsheet_scripts_update') {
@@ -428,9 +526,9 @@ export async function runSpreadsheetTool(name, args, ctx) {
     updated[idx] = { ...updated[idx], name: newName, content: full }
     saveScriptsToStorage(updated)
     emitScriptsUpdated(updated)
-    await compileAndRegisterScripts(engine, updated)
+    const loaded = await reloadScripts(ctx, updated)
     if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
-    return { ok: true, id: updated[idx].id, name: updated[idx].name }
+    return { ok: true, id: updated[idx].id, name: updated[idx].name, ...loaded }
   }
 
   if (name === 'spreadsheet_scripts_delete') {
@@ -443,15 +541,29 @@ export async function runSpreadsheetTool(name, args, ctx) {
     const remaining = scripts.filter((_, i) => i !== idx)
     saveScriptsToStorage(remaining)
     emitScriptsUpdated(remaining)
-    await compileAndRegisterScripts(engine, remaining)
+    const loaded = await reloadScripts(ctx, remaining)
     if (typeof ctx?.onEngineMutated === 'function') ctx.onEngineMutated()
-    return { ok: true }
+    return { ok: true, ...loaded }
   }
 
   return null
 }
 
 // ===== Helpers =====
+// Accepts a row number, a column number, or a column letter ("C")
+function parseStructureIndex(value, axis) {
+  const text = String(value ?? '').trim().toUpperCase()
+  if (/^\d+$/.test(text)) {
+    const n = parseInt(text, 10)
+    if (n >= 1) return n
+  } else if (axis === 'col' && /^[A-Z]+$/.test(text)) {
+    let col = 0
+    for (let i = 0; i < text.length; i++) col = col * 26 + (text.charCodeAt(i) - 64)
+    return col
+  }
+  throw new Error(axis === 'row' ? 'at must be a row number' : 'at must be a column letter or number')
+}
+
 function safeLoadScripts() {
   try {
     const arr = loadScriptsFromStorage()
@@ -460,35 +572,19 @@ function safeLoadScripts() {
   return []
 }
 
-async function compileAndRegisterScripts(engine, allScripts) {
-  // Build a combined script, gather top-level function declarations, and safely rebuild registry
-  const combined = allScripts.map((s) => String(s.content || '')).join('\n\n')
-  // Parse for function names (ignore names starting with '_')
-  const ast = acorn.parse(combined, { ecmaVersion: 'latest', sourceType: 'script' })
-  const functionNames = []
-  for (const node of ast.body) {
-    if (node.type === 'FunctionDeclaration' && node.id && node.id.name && !node.id.name.startsWith('_')) {
-      functionNames.push(node.id.name)
-    }
-  }
-  const exportList = functionNames.map((n) => `${n}: typeof ${n} !== 'undefined' ? ${n} : undefined`).join(', ')
-  const wrapper = `"use strict";\n${combined}\n;return { ${exportList} };`
-
-  const NewRegistryClass = engine.registry.constructor
-  const newRegistry = new NewRegistryClass()
-  registerBuiltins(newRegistry)
+// The value of a cell as computed by the engine worker, when the app has one
+function evaluateComputed(ctx, sheet, addr) {
+  if (ctx.engineClient) return ctx.engineClient.request('evaluate', { sheet, address: addr })
+  return ctx.engine.evaluateCell(sheet, addr)
+}
 
-  const builtinsHelper = {}
-  for (const name of newRegistry.names()) {
-    if (name === 'BUILTINS') continue
-    builtinsHelper[name] = (...fnArgs) => newRegistry.get(name)(fnArgs)
-  }
-  const bag = Function('BUILTINS', wrapper)(builtinsHelper)
-  for (const fnName of functionNames) {
-    const fn = bag[fnName]
-    if (typeof fn === 'function') newRegistry.register(fnName, fn)
-  }
-  engine.registry = newRegistry
+// The scripts run in the engine worker's sandbox, never on this page. Returns
+// the load errors as { errors: ['b.js:2:25: Unexpected token', ...] }, or {}
+// when every file loaded.
+async function reloadScripts(ctx, allScripts) {
+  if (!ctx?.engineClient) throw new Error('Spreadsheet engine unavailable')
+  const { errors } = await ctx.engineClient.request('reloadScripts', { scripts: allScripts })
+  return errors.length > 0 ? { errors: errors.map(formatScriptError) } : {}
 }
 
 function emitScriptsUpdated(scripts) {